@@ -0,0 +1,207 @@
+export default class ControlBar extends H5P.EventDispatcher {
+
+  /**
+   * Toolbar with buttons for zooming, resetting the view, fullscreen and a
+   * compass. Buttons trigger 'action' with the name of the action.
+   * @class
+   * @param {HTMLElement} container Container to add toolbar to.
+   * @param {object} [params] Parameters.
+   * @param {object} [params.l10n] Localization.
+   */
+  constructor(container, params = {}) {
+    super();
+
+    this.params = params;
+    this.state = {};
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleFullscreenChange = this.handleFullscreenChange.bind(this);
+
+    this.element = document.createElement('div');
+    this.element.classList.add('h5p-three-sixty-control-bar');
+    this.element.setAttribute('role', 'toolbar');
+    this.element.setAttribute('aria-label', params.l10n.controlBar);
+    this.element.addEventListener('keydown', this.handleKeyDown);
+
+    // Don't let clicks pan the camera or start a lasso
+    this.element.addEventListener('pointerdown', (event) => {
+      event.stopPropagation();
+    });
+
+    this.buttons = {
+      zoomIn: this.createButton('zoomIn', params.l10n.zoomIn),
+      zoomOut: this.createButton('zoomOut', params.l10n.zoomOut),
+      resetView: this.createButton('resetView', params.l10n.resetView),
+      toggleFullscreen: this.createButton(
+        'toggleFullscreen', params.l10n.toggleFullscreen
+      ),
+      faceNorth: this.createButton('faceNorth', '')
+    };
+
+    this.buttons.toggleFullscreen.setAttribute('aria-pressed', 'false');
+
+    this.needle = document.createElement('span');
+    this.needle.classList.add('h5p-three-sixty-compass-needle');
+    this.buttons.faceNorth.append(this.needle);
+
+    this.setFocusableButton(this.buttons.zoomIn);
+
+    document.addEventListener('fullscreenchange', this.handleFullscreenChange);
+
+    container.append(this.element);
+  }
+
+  /**
+   * Create button.
+   * @param {string} action Action triggered on click.
+   * @param {string} label Label.
+   * @returns {HTMLElement} Button.
+   */
+  createButton(action, label) {
+    const button = document.createElement('button');
+    button.classList.add(
+      'h5p-three-sixty-control-button',
+      `h5p-three-sixty-control-${action}`
+    );
+    button.setAttribute('type', 'button');
+    button.setAttribute('tabindex', '-1');
+    button.setAttribute('aria-label', label);
+    button.setAttribute('title', label);
+
+    button.addEventListener('click', () => {
+      this.setFocusableButton(button);
+
+      if (button.getAttribute('aria-disabled') === 'true') {
+        return;
+      }
+
+      this.trigger('action', { action: action });
+    });
+
+    this.element.append(button);
+
+    return button;
+  }
+
+  /**
+   * Update buttons for the current view. Called after rendering.
+   * @param {object} state State of the view.
+   * @param {number} state.bearing Clockwise angle of the view from north.
+   * @param {string} state.direction Localized compass direction of the view.
+   * @param {boolean} state.isZoomEnabled If true, zooming is possible.
+   * @param {boolean} state.isZoomInDisabled If true, cannot zoom in further.
+   * @param {boolean} state.isZoomOutDisabled If true, cannot zoom out further.
+   * @param {boolean} state.isFullscreen If true, viewer is in fullscreen.
+   */
+  update(state) {
+    if (state.bearing !== this.state.bearing) {
+      this.needle.style.transform = `rotate(${-state.bearing}rad)`;
+    }
+
+    if (state.direction !== this.state.direction) {
+      const label = this.params.l10n.compass
+        .replace('@direction', state.direction);
+
+      this.buttons.faceNorth.setAttribute('aria-label', label);
+      this.buttons.faceNorth.setAttribute('title', label);
+    }
+
+    if (state.isZoomEnabled !== this.state.isZoomEnabled) {
+      this.buttons.zoomIn.hidden = !state.isZoomEnabled;
+      this.buttons.zoomOut.hidden = !state.isZoomEnabled;
+
+      if (this.focusableButton?.hidden) {
+        this.setFocusableButton(this.getVisibleButtons()[0]);
+      }
+    }
+
+    // Disabled buttons stay focusable, so focus is not lost when reaching limit
+    this.buttons.zoomIn.setAttribute(
+      'aria-disabled', state.isZoomInDisabled ? 'true' : 'false'
+    );
+    this.buttons.zoomOut.setAttribute(
+      'aria-disabled', state.isZoomOutDisabled ? 'true' : 'false'
+    );
+    this.buttons.toggleFullscreen.setAttribute(
+      'aria-pressed', state.isFullscreen ? 'true' : 'false'
+    );
+
+    this.state = state;
+  }
+
+  /**
+   * Get buttons that are shown.
+   * @returns {HTMLElement[]} Buttons.
+   */
+  getVisibleButtons() {
+    return Object.values(this.buttons).filter((button) => !button.hidden);
+  }
+
+  /**
+   * Make button the one that is reached by tabbing into the toolbar.
+   * @param {HTMLElement} button Button.
+   */
+  setFocusableButton(button) {
+    this.focusableButton?.setAttribute('tabindex', '-1');
+    button.setAttribute('tabindex', '0');
+    this.focusableButton = button;
+  }
+
+  /**
+   * Handle key down, moving focus between buttons.
+   * @param {KeyboardEvent} event Keyboard event.
+   */
+  handleKeyDown(event) {
+    const buttons = this.getVisibleButtons();
+    const index = buttons.indexOf(document.activeElement);
+    if (index === -1) {
+      return;
+    }
+
+    let target;
+    switch (event.key) {
+      case 'ArrowLeft':
+        target = buttons[(index - 1 + buttons.length) % buttons.length];
+        break;
+
+      case 'ArrowRight':
+        target = buttons[(index + 1) % buttons.length];
+        break;
+
+      case 'Home':
+        target = buttons[0];
+        break;
+
+      case 'End':
+        target = buttons[buttons.length - 1];
+        break;
+
+      default:
+        return;
+    }
+
+    // Keys must not pan the camera or trigger shortcuts as well
+    event.preventDefault();
+    event.stopPropagation();
+
+    this.setFocusableButton(target);
+    target.focus();
+  }
+
+  /**
+   * Update fullscreen button when fullscreen changes.
+   */
+  handleFullscreenChange() {
+    this.trigger('change');
+  }
+
+  /**
+   * Remove toolbar and listeners.
+   */
+  destroy() {
+    document.removeEventListener(
+      'fullscreenchange', this.handleFullscreenChange
+    );
+    this.element.remove();
+  }
+}
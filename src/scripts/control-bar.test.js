@@ -0,0 +1,198 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  assertAngle, createViewer, pressKey, runFrames
+} from '../../tests/helpers.js';
+
+/**
+ * Create viewer with control bar that renders, facing yaw 0 and pitch 0.
+ * @param {object} [options] Options of the viewer.
+ * @returns {object} Viewer and buttons of control bar by action.
+ */
+const createViewerWithControlBar = (options = {}) => {
+  const viewer = createViewer({ controlBar: true, ...options });
+  viewer.setCameraPosition(0, 0);
+  viewer.startRendering();
+  runFrames();
+
+  return { viewer: viewer, buttons: viewer.controlBar.buttons };
+};
+
+/**
+ * Get buttons that can be reached by tabbing.
+ * @param {H5P.NDLAThreeSixty} viewer Viewer.
+ * @returns {HTMLElement[]} Buttons.
+ */
+const getTabbableButtons = (viewer) => {
+  return [...viewer.controlBar.element.querySelectorAll('[tabindex="0"]')];
+};
+
+describe('ControlBar', () => {
+  it('is not shown by default', () => {
+    const viewer = createViewer();
+
+    assert.equal(viewer.controlBar, undefined);
+    assert.equal(viewer.getElement().querySelector('[role="toolbar"]'), null);
+
+    viewer.destroy();
+  });
+
+  describe('keyboard', () => {
+    it('is reached by one tab stop', () => {
+      const { viewer, buttons } = createViewerWithControlBar();
+      const toolbar = viewer.controlBar.element;
+
+      assert.equal(toolbar.getAttribute('role'), 'toolbar');
+      assert.equal(toolbar.getAttribute('aria-label'), 'View controls');
+      assert.equal(buttons.zoomIn.getAttribute('aria-label'), 'Zoom in');
+      assert.deepEqual(getTabbableButtons(viewer), [buttons.zoomIn]);
+
+      viewer.destroy();
+    });
+
+    it('moves focus between buttons with arrows, Home and End', () => {
+      const { viewer, buttons } = createViewerWithControlBar();
+      const position = viewer.getCurrentPosition();
+      buttons.zoomIn.focus();
+
+      const steps = [
+        ['ArrowRight', buttons.zoomOut],
+        ['ArrowLeft', buttons.zoomIn],
+        ['ArrowLeft', buttons.faceNorth],
+        ['ArrowRight', buttons.zoomIn],
+        ['End', buttons.faceNorth],
+        ['Home', buttons.zoomIn]
+      ];
+      steps.forEach(([key, button]) => {
+        const event = pressKey(document.activeElement, key);
+
+        assert.equal(document.activeElement, button, key);
+        assert.deepEqual(getTabbableButtons(viewer), [button]);
+        assert.equal(event.defaultPrevented, true);
+      });
+
+      runFrames(5);
+      assert.deepEqual(viewer.getCurrentPosition(), position); // Camera kept
+      assert.equal(viewer.camera.fov, viewer.fieldOfView);
+
+      viewer.destroy();
+    });
+
+    it('skips hidden zoom buttons', () => {
+      const { viewer, buttons } = createViewerWithControlBar({
+        enableZoom: false
+      });
+
+      assert.equal(buttons.zoomIn.hidden, true);
+      assert.equal(buttons.zoomOut.hidden, true);
+      assert.deepEqual(getTabbableButtons(viewer), [buttons.resetView]);
+
+      buttons.resetView.focus();
+      pressKey(buttons.resetView, 'ArrowLeft');
+      assert.equal(document.activeElement, buttons.faceNorth);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('zoom buttons', () => {
+    it('zoom and are disabled at the limits', () => {
+      const { viewer, buttons } = createViewerWithControlBar();
+      const fov = viewer.camera.fov;
+      assert.equal(buttons.zoomOut.getAttribute('aria-disabled'), 'true');
+      assert.equal(buttons.zoomIn.getAttribute('aria-disabled'), 'false');
+
+      buttons.zoomIn.click();
+      runFrames();
+      assert.ok(viewer.camera.fov < fov);
+      assert.equal(buttons.zoomOut.getAttribute('aria-disabled'), 'false');
+
+      viewer.setZoom(100);
+      runFrames();
+      assert.equal(buttons.zoomIn.getAttribute('aria-disabled'), 'true');
+
+      // Disabled buttons keep focus
+      buttons.zoomIn.focus();
+      buttons.zoomIn.click();
+      assert.equal(viewer.camera.fov, viewer.zoomControls.minFov);
+      assert.equal(document.activeElement, buttons.zoomIn);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('reset view button', () => {
+    it('returns to the start position', () => {
+      const { viewer, buttons } = createViewerWithControlBar({
+        cameraStartPosition: { yaw: 0.5, pitch: 0.1 }
+      });
+      viewer.setZoom(50);
+      viewer.setCameraPosition(2, -0.3);
+
+      buttons.resetView.click();
+      runFrames(60);
+
+      assertAngle(viewer.getCurrentPosition().yaw, 0.5);
+      assertAngle(viewer.getCurrentPosition().pitch, 0.1);
+      assert.equal(viewer.camera.fov, viewer.fieldOfView);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('fullscreen button', () => {
+    it('toggles fullscreen and shows its state', (t) => {
+      const { viewer, buttons } = createViewerWithControlBar();
+      let isFullscreen = false;
+      // jsdom has no fullscreen API
+      Object.defineProperty(document, 'fullscreenElement', {
+        configurable: true,
+        get: () => isFullscreen ? viewer.getElement() : null
+      });
+      t.after(() => {
+        delete document.fullscreenElement;
+      });
+      let toggles = 0;
+      viewer.on('togglefullscreen', (event) => {
+        toggles++;
+        event.defaultPrevented = true; // Handled by content type
+      });
+
+      buttons.toggleFullscreen.click();
+      assert.equal(toggles, 1);
+      assert.equal(buttons.toggleFullscreen.getAttribute('aria-pressed'), 'false');
+
+      isFullscreen = true;
+      document.dispatchEvent(new window.Event('fullscreenchange'));
+      runFrames();
+      assert.equal(buttons.toggleFullscreen.getAttribute('aria-pressed'), 'true');
+
+      viewer.destroy();
+    });
+  });
+
+  describe('compass', () => {
+    it('follows the view and turns to north', () => {
+      const { viewer, buttons } = createViewerWithControlBar({ northYaw: 1 });
+      const needle = viewer.controlBar.needle;
+
+      viewer.setCameraPosition(1 + Math.PI / 2, 0);
+      runFrames();
+      assert.equal(needle.style.transform, `rotate(${-Math.PI / 2}rad)`);
+      assert.equal(
+        buttons.faceNorth.getAttribute('aria-label'), 'Facing east. Turn to north'
+      );
+
+      buttons.faceNorth.click();
+      runFrames(60);
+
+      assertAngle(viewer.getCurrentPosition().yaw, 1);
+      assert.equal(needle.style.transform, 'rotate(0rad)');
+      assert.equal(
+        buttons.faceNorth.getAttribute('title'), 'Facing north. Turn to north'
+      );
+
+      viewer.destroy();
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import Util from '@services/util';
+
+export default class DeviceOrientationControls extends H5P.EventDispatcher {
+
+  /**
+   * Class for reading the orientation of the device to control the camera.
+   * Based on DeviceOrientationControls.js from ThreeJS examples.
+   * @class
+   */
+  constructor() {
+    super();
+
+    this.isEnabled = false;
+
+    this.euler = new H5P.ThreeJS.Euler();
+    this.quaternion = new H5P.ThreeJS.Quaternion();
+    this.screenQuaternion = new H5P.ThreeJS.Quaternion();
+    this.zAxis = new H5P.ThreeJS.Vector3(0, 0, 1);
+
+    // Camera looks out the back of the device, not the top
+    this.deviceQuaternion = new H5P.ThreeJS.Quaternion(
+      -Math.sqrt(0.5), 0, 0, Math.sqrt(0.5)
+    );
+
+    this.handleDeviceOrientation = this.handleDeviceOrientation.bind(this);
+  }
+
+  /**
+   * Determine whether the browser can report device orientation.
+   * @returns {boolean} True, if device orientation is supported.
+   */
+  static isSupported() {
+    return typeof window.DeviceOrientationEvent !== 'undefined';
+  }
+
+  /**
+   * Start listening for device orientation.
+   * Must be called from a user gesture on browsers that ask for permission.
+   * @returns {Promise<boolean>} Resolves true if enabled.
+   */
+  async enable() {
+    if (this.isEnabled) {
+      return true;
+    }
+
+    if (!DeviceOrientationControls.isSupported()) {
+      return false;
+    }
+
+    if (typeof window.DeviceOrientationEvent.requestPermission === 'function') {
+      try {
+        const permission =
+          await window.DeviceOrientationEvent.requestPermission();
+
+        if (permission !== 'granted') {
+          return false;
+        }
+      }
+      catch {
+        return false; // Not called from a user gesture or denied
+      }
+    }
+
+    window.addEventListener(
+      'deviceorientation', this.handleDeviceOrientation, false
+    );
+    this.isEnabled = true;
+
+    return true;
+  }
+
+  /**
+   * Stop listening for device orientation.
+   */
+  disable() {
+    window.removeEventListener(
+      'deviceorientation', this.handleDeviceOrientation, false
+    );
+    this.isEnabled = false;
+  }
+
+  /**
+   * Remove all listeners.
+   */
+  destroy() {
+    this.disable();
+  }
+
+  /**
+   * Get current screen orientation.
+   * @returns {number} Screen orientation angle in radians.
+   */
+  getScreenOrientation() {
+    const angle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+    return Util.toRad(angle);
+  }
+
+  /**
+   * Handle device orientation.
+   * @param {DeviceOrientationEvent} event Device orientation event.
+   */
+  handleDeviceOrientation(event) {
+    if (event.alpha === null || event.beta === null || event.gamma === null) {
+      return; // No sensor data
+    }
+
+    // Device orientation is given as intrinsic Z-X'-Y'' rotation
+    this.euler.set(
+      Util.toRad(event.beta),
+      Util.toRad(event.alpha),
+      -Util.toRad(event.gamma),
+      'YXZ'
+    );
+
+    this.quaternion.setFromEuler(this.euler);
+    this.quaternion.multiply(this.deviceQuaternion);
+
+    // Compensate for screen orientation
+    this.screenQuaternion.setFromAxisAngle(
+      this.zAxis, -this.getScreenOrientation()
+    );
+    this.quaternion.multiply(this.screenQuaternion);
+
+    this.euler.setFromQuaternion(this.quaternion, 'YXZ');
+
+    this.trigger('orientationchange', {
+      yaw: this.euler.y,
+      pitch: this.euler.x
+    });
+  }
+}
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import DeviceOrientationControls from '@scripts/device-orientation-controls';
+import { assertAngle, trackListeners } from '../../tests/helpers.js';
+
+/**
+ * Replace DeviceOrientationEvent of the browser for the duration of a test.
+ * @param {object} t Test context.
+ * @param {function|null} [requestPermission] Permission request, if required.
+ *   If null, device orientation is not supported.
+ */
+const mockDeviceOrientationEvent = (t, requestPermission) => {
+  const original = window.DeviceOrientationEvent;
+
+  if (requestPermission === null) {
+    delete window.DeviceOrientationEvent;
+  }
+  else {
+    window.DeviceOrientationEvent = class {};
+    if (requestPermission) {
+      window.DeviceOrientationEvent.requestPermission = requestPermission;
+    }
+  }
+
+  t.after(() => {
+    window.DeviceOrientationEvent = original;
+  });
+};
+
+/**
+ * Dispatch device orientation to window.
+ * @param {object} angles Angles alpha, beta and gamma in degrees.
+ */
+const dispatchOrientation = (angles) => {
+  const event = new window.Event('deviceorientation');
+  Object.assign(event, { alpha: null, beta: null, gamma: null }, angles);
+  window.dispatchEvent(event);
+};
+
+describe('DeviceOrientationControls', () => {
+  describe('enable', () => {
+    it('is not possible without device orientation', async (t) => {
+      const countListeners = trackListeners(t, [window]);
+      mockDeviceOrientationEvent(t, null);
+      const controls = new DeviceOrientationControls();
+
+      assert.equal(DeviceOrientationControls.isSupported(), false);
+      assert.equal(await controls.enable(), false);
+      assert.equal(controls.isEnabled, false);
+      assert.equal(countListeners(), 0);
+    });
+
+    it('is not possible if permission is denied', async (t) => {
+      const countListeners = trackListeners(t, [window]);
+      mockDeviceOrientationEvent(t, async () => 'denied');
+      const controls = new DeviceOrientationControls();
+
+      assert.equal(await controls.enable(), false);
+      assert.equal(controls.isEnabled, false);
+      assert.equal(countListeners(), 0);
+    });
+
+    it('is not possible if asking for permission fails', async (t) => {
+      const countListeners = trackListeners(t, [window]);
+      mockDeviceOrientationEvent(t, async () => {
+        throw new Error('NotAllowedError');
+      });
+      const controls = new DeviceOrientationControls();
+
+      assert.equal(await controls.enable(), false);
+      assert.equal(countListeners(), 0);
+    });
+
+    it('listens once permission is granted', async (t) => {
+      const countListeners = trackListeners(t, [window]);
+      mockDeviceOrientationEvent(t, async () => 'granted');
+      const controls = new DeviceOrientationControls();
+
+      assert.equal(await controls.enable(), true);
+      assert.equal(await controls.enable(), true);
+      assert.equal(countListeners(), 1);
+
+      controls.destroy();
+      assert.equal(controls.isEnabled, false);
+      assert.equal(countListeners(), 0);
+    });
+
+    it('listens right away if no permission is needed', async (t) => {
+      mockDeviceOrientationEvent(t);
+      const controls = new DeviceOrientationControls();
+
+      assert.equal(await controls.enable(), true);
+
+      controls.destroy();
+    });
+  });
+
+  describe('orientationchange', () => {
+    it('reports where the back of the device points', async (t) => {
+      mockDeviceOrientationEvent(t);
+      const controls = new DeviceOrientationControls();
+      const positions = [];
+      controls.on('orientationchange', (event) => {
+        positions.push(event.data);
+      });
+      await controls.enable();
+
+      dispatchOrientation({ alpha: 0, beta: 90, gamma: 0 }); // Upright
+      dispatchOrientation({ alpha: 30, beta: 90, gamma: 0 }); // Turned left
+      dispatchOrientation({ alpha: 0, beta: 120, gamma: 0 }); // Tilted back
+      dispatchOrientation({}); // No sensor
+
+      assert.equal(positions.length, 3);
+      assertAngle(positions[0].yaw, 0);
+      assertAngle(positions[0].pitch, 0);
+      assertAngle(positions[1].yaw, Math.PI / 6);
+      assertAngle(positions[2].pitch, Math.PI / 6);
+
+      controls.destroy();
+    });
+  });
+});
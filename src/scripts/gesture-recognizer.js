@@ -0,0 +1,270 @@
+import { TAP_DURATION, TAP_THRESHOLD } from '@services/constants';
+
+/** @constant {WeakMap} instances Recognizers shared per element. */
+const instances = new WeakMap();
+
+export default class GestureRecognizer extends H5P.EventDispatcher {
+
+  /**
+   * Class for recognizing pan, pinch and tap gestures using Pointer Events.
+   * Use GestureRecognizer.for(element) to share one recognizer per element
+   * and release() when done.
+   * @class
+   * @param {HTMLElement} element Element to recognize gestures on.
+   */
+  constructor(element) {
+    super();
+
+    this.element = element;
+    this.pointers = new Map(); // Active pointers by pointerId
+    this.midpoint = null;
+    this.distance = null;
+    this.tap = null; // Candidate for tap gesture
+    this.users = 0; // Number of components sharing this recognizer
+
+    [
+      'handlePointerDown', 'handlePointerMove', 'handlePointerUp'
+    ].forEach((listener) => {
+      this[listener] = this[listener].bind(this);
+    });
+
+    element.addEventListener('pointerdown', this.handlePointerDown, false);
+    element.addEventListener('pointermove', this.handlePointerMove, false);
+    element.addEventListener('pointerup', this.handlePointerUp, false);
+    element.addEventListener('pointercancel', this.handlePointerUp, false);
+  }
+
+  /**
+   * Get recognizer for element, creating it if required.
+   * @param {HTMLElement} element Element to recognize gestures on.
+   * @returns {GestureRecognizer} Recognizer.
+   */
+  static for(element) {
+    if (!instances.has(element)) {
+      instances.set(element, new GestureRecognizer(element));
+    }
+
+    const instance = instances.get(element);
+    instance.users++;
+
+    return instance;
+  }
+
+  /**
+   * Release recognizer, destroying it when no component uses it anymore.
+   */
+  release() {
+    this.users--;
+
+    if (this.users <= 0) {
+      this.destroy();
+    }
+  }
+
+  /**
+   * Remove all listeners.
+   */
+  destroy() {
+    this.element.removeEventListener(
+      'pointerdown', this.handlePointerDown, false
+    );
+    this.element.removeEventListener(
+      'pointermove', this.handlePointerMove, false
+    );
+    this.element.removeEventListener('pointerup', this.handlePointerUp, false);
+    this.element.removeEventListener(
+      'pointercancel', this.handlePointerUp, false
+    );
+
+    this.pointers.clear();
+    instances.delete(this.element);
+  }
+
+  /**
+   * Get midpoint of all active pointers.
+   * @returns {object} Midpoint with x and y coordinate.
+   */
+  getMidpoint() {
+    const pointers = [...this.pointers.values()];
+
+    return {
+      x: pointers.reduce((sum, pointer) => sum + pointer.x, 0) / pointers.length,
+      y: pointers.reduce((sum, pointer) => sum + pointer.y, 0) / pointers.length
+    };
+  }
+
+  /**
+   * Get distance between the first two active pointers.
+   * @returns {number} Distance in px.
+   */
+  getDistance() {
+    const [first, second] = [...this.pointers.values()];
+
+    return Math.sqrt(
+      Math.pow(first.x - second.x, 2) + Math.pow(first.y - second.y, 2)
+    );
+  }
+
+  /**
+   * Handle pointer down.
+   * @param {PointerEvent} event Pointer event.
+   */
+  handlePointerDown(event) {
+    if (event.pointerType === 'mouse' && event.button !== 0) {
+      return; // Not left mouse button
+    }
+
+    if (this.pointers.has(event.pointerId)) {
+      return;
+    }
+
+    if (!this.pointers.size) {
+      // Give listeners chance to cancel the gesture
+      const panstartEvent = new H5P.Event('panstart', {
+        x: event.clientX,
+        y: event.clientY,
+        pointerType: event.pointerType,
+        originalEvent: event
+      });
+      panstartEvent.defaultPrevented = false;
+
+      this.trigger(panstartEvent);
+
+      if (panstartEvent.defaultPrevented) {
+        return;
+      }
+
+      this.tap = {
+        x: event.clientX,
+        y: event.clientY,
+        time: event.timeStamp
+      };
+    }
+    else {
+      this.tap = null; // Multiple pointers are no tap
+    }
+
+    this.pointers.set(event.pointerId, {
+      x: event.clientX,
+      y: event.clientY,
+      isCaptured: false
+    });
+
+    this.midpoint = this.getMidpoint();
+
+    if (this.pointers.size === 2) {
+      this.distance = this.getDistance();
+
+      this.trigger('pinchstart', {
+        center: this.midpoint,
+        originalEvent: event
+      });
+    }
+  }
+
+  /**
+   * Handle pointer move.
+   * @param {PointerEvent} event Pointer event.
+   */
+  handlePointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) {
+      return; // Not tracked by this recognizer
+    }
+
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+
+    if (
+      this.tap &&
+      Math.abs(pointer.x - this.tap.x) + Math.abs(pointer.y - this.tap.y) >
+        TAP_THRESHOLD
+    ) {
+      this.tap = null;
+    }
+
+    /*
+     * Capture pointer only when it has clearly been dragged, capturing on
+     * pointerdown would retarget the click event to the capturing element.
+     */
+    if (!pointer.isCaptured && !this.tap) {
+      this.element.setPointerCapture(event.pointerId);
+      pointer.isCaptured = true;
+    }
+
+    event.preventDefault();
+
+    const midpoint = this.getMidpoint();
+
+    this.trigger('pan', {
+      deltaX: midpoint.x - this.midpoint.x,
+      deltaY: midpoint.y - this.midpoint.y,
+      pointerType: event.pointerType,
+      pointerCount: this.pointers.size,
+      originalEvent: event
+    });
+
+    this.midpoint = midpoint;
+
+    if (this.pointers.size === 2) {
+      const distance = this.getDistance();
+
+      this.trigger('pinch', {
+        scale: this.distance ? distance / this.distance : 1,
+        center: midpoint,
+        originalEvent: event
+      });
+
+      this.distance = distance;
+    }
+  }
+
+  /**
+   * Handle pointer up and pointer cancel.
+   * @param {PointerEvent} event Pointer event.
+   */
+  handlePointerUp(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) {
+      return; // Not tracked by this recognizer
+    }
+
+    if (pointer.isCaptured) {
+      this.element.releasePointerCapture(event.pointerId);
+    }
+
+    this.pointers.delete(event.pointerId);
+
+    if (this.pointers.size === 1) {
+      this.distance = null;
+      this.trigger('pinchend', { originalEvent: event });
+    }
+
+    if (this.pointers.size) {
+      // Continue panning from remaining pointers without jumping
+      this.midpoint = this.getMidpoint();
+      return;
+    }
+
+    this.midpoint = null;
+
+    this.trigger('panend', {
+      pointerType: event.pointerType,
+      originalEvent: event
+    });
+
+    if (
+      this.tap && event.type === 'pointerup' &&
+      event.timeStamp - this.tap.time <= TAP_DURATION
+    ) {
+      this.trigger('tap', {
+        x: event.clientX,
+        y: event.clientY,
+        pointerType: event.pointerType,
+        originalEvent: event
+      });
+    }
+
+    this.tap = null;
+  }
+}
@@ -0,0 +1,296 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import GestureRecognizer from '@scripts/gesture-recognizer';
+import { TAP_DURATION, TAP_THRESHOLD } from '@services/constants';
+import {
+  createViewer, dispatchPointer, dragPointer
+} from '../../tests/helpers.js';
+
+/**
+ * Create recognizer for an element, recording its events.
+ * @returns {object} Recognizer, element and events.
+ */
+const createRecognizer = () => {
+  const element = document.createElement('div');
+  document.body.append(element);
+
+  const gestures = GestureRecognizer.for(element);
+  const events = [];
+  ['panstart', 'pan', 'panend', 'pinchstart', 'pinch', 'pinchend', 'tap']
+    .forEach((type) => {
+      gestures.on(type, (event) => {
+        events.push({ type: type, ...event.data });
+      });
+    });
+
+  return { gestures: gestures, element: element, events: events };
+};
+
+/**
+ * Get types of events.
+ * @param {object[]} events Events.
+ * @returns {string[]} Types.
+ */
+const getTypes = (events) => events.map((event) => event.type);
+
+describe('GestureRecognizer', () => {
+  describe('pan', () => {
+    it('reports movement of the pointer', () => {
+      const { gestures, element, events } = createRecognizer();
+
+      dragPointer(element, [
+        { clientX: 10, clientY: 10 },
+        { clientX: 30, clientY: 5 },
+        { clientX: 40, clientY: 5 }
+      ], { pointerType: 'pen' });
+
+      assert.deepEqual(getTypes(events), ['panstart', 'pan', 'pan', 'panend']);
+      assert.equal(events[0].x, 10);
+      assert.equal(events[0].y, 10);
+      assert.equal(events[0].pointerType, 'pen');
+      assert.deepEqual(
+        events.slice(1, 3).map((event) => [event.deltaX, event.deltaY]),
+        [[20, -5], [10, 0]]
+      );
+
+      gestures.release();
+      element.remove();
+    });
+
+    it('captures the pointer only once it has been dragged', () => {
+      const { gestures, element } = createRecognizer();
+
+      dispatchPointer(element, 'pointerdown', { clientX: 0 });
+      dispatchPointer(element, 'pointermove', { clientX: TAP_THRESHOLD });
+      assert.equal(element.hasPointerCapture(1), false);
+
+      dispatchPointer(element, 'pointermove', { clientX: TAP_THRESHOLD + 1 });
+      assert.equal(element.hasPointerCapture(1), true);
+
+      dispatchPointer(element, 'pointerup', { clientX: TAP_THRESHOLD + 1 });
+      assert.equal(element.hasPointerCapture(1), false);
+
+      gestures.release();
+      element.remove();
+    });
+
+    it('ignores other mouse buttons than the left one', () => {
+      const { gestures, element, events } = createRecognizer();
+
+      dragPointer(element, [{ clientX: 0 }, { clientX: 20 }], { button: 2 });
+
+      assert.deepEqual(events, []);
+
+      gestures.release();
+      element.remove();
+    });
+
+    it('can be prevented when starting', () => {
+      const { gestures, element, events } = createRecognizer();
+      gestures.on('panstart', (event) => {
+        event.defaultPrevented = true;
+      });
+
+      dragPointer(element, [{ clientX: 0 }, { clientX: 20 }]);
+
+      assert.deepEqual(getTypes(events), ['panstart']);
+
+      gestures.release();
+      element.remove();
+    });
+  });
+
+  describe('pinch', () => {
+    it('reports scale and center of two pointers', () => {
+      const { gestures, element, events } = createRecognizer();
+      const touch = { pointerType: 'touch' };
+
+      dispatchPointer(element, 'pointerdown', {
+        ...touch, pointerId: 1, clientX: 100, clientY: 100
+      });
+      dispatchPointer(element, 'pointerdown', {
+        ...touch, pointerId: 2, isPrimary: false, clientX: 200, clientY: 100
+      });
+      dispatchPointer(element, 'pointermove', {
+        ...touch, pointerId: 2, isPrimary: false, clientX: 300, clientY: 100
+      });
+
+      assert.deepEqual(
+        getTypes(events), ['panstart', 'pinchstart', 'pan', 'pinch']
+      );
+      assert.deepEqual(events[1].center, { x: 150, y: 100 });
+      assert.equal(events[2].deltaX, 50);
+      assert.equal(events[2].pointerCount, 2);
+      assert.equal(events[3].scale, 2);
+      assert.deepEqual(events[3].center, { x: 200, y: 100 });
+
+      // Panning continues with the remaining pointer without jumping
+      dispatchPointer(element, 'pointerup', {
+        ...touch, pointerId: 2, isPrimary: false, clientX: 300, clientY: 100
+      });
+      dispatchPointer(element, 'pointermove', {
+        ...touch, pointerId: 1, clientX: 110, clientY: 100
+      });
+      dispatchPointer(element, 'pointerup', {
+        ...touch, pointerId: 1, clientX: 110, clientY: 100
+      });
+
+      assert.deepEqual(
+        getTypes(events.slice(4)), ['pinchend', 'pan', 'panend']
+      );
+      assert.equal(events[5].deltaX, 10);
+      assert.equal(events[5].pointerCount, 1);
+
+      gestures.release();
+      element.remove();
+    });
+  });
+
+  describe('tap', () => {
+    it('is reported for a short press without movement', () => {
+      const { gestures, element, events } = createRecognizer();
+
+      dispatchPointer(element, 'pointerdown', {
+        clientX: 10, timeStamp: 1000
+      });
+      dispatchPointer(element, 'pointermove', {
+        clientX: 10 + TAP_THRESHOLD, timeStamp: 1050
+      });
+      dispatchPointer(element, 'pointerup', {
+        clientX: 10 + TAP_THRESHOLD, timeStamp: 1000 + TAP_DURATION
+      });
+
+      assert.equal(getTypes(events).at(-1), 'tap');
+      assert.equal(events.at(-1).x, 10 + TAP_THRESHOLD);
+
+      gestures.release();
+      element.remove();
+    });
+
+    [
+      {
+        name: 'moved too far',
+        clientX: 11 + TAP_THRESHOLD,
+        timeStamp: 1050,
+        type: 'pointerup'
+      },
+      {
+        name: 'held too long',
+        clientX: 10,
+        timeStamp: 1001 + TAP_DURATION,
+        type: 'pointerup'
+      },
+      {
+        name: 'cancelled',
+        clientX: 10,
+        timeStamp: 1050,
+        type: 'pointercancel'
+      }
+    ].forEach(({ name, clientX, timeStamp, type }) => {
+      it(`is not reported if ${name}`, () => {
+        const { gestures, element, events } = createRecognizer();
+
+        dispatchPointer(element, 'pointerdown', {
+          clientX: 10, timeStamp: 1000
+        });
+        dispatchPointer(element, 'pointermove', {
+          clientX: clientX, timeStamp: timeStamp
+        });
+        dispatchPointer(element, type, {
+          clientX: clientX, timeStamp: timeStamp
+        });
+
+        assert.equal(getTypes(events).at(-1), 'panend');
+
+        gestures.release();
+        element.remove();
+      });
+    });
+
+    it('is reported at client coordinates like the pan', (t) => {
+      const { gestures, element, events } = createRecognizer();
+      // Page scrolled by 100 pixels, jsdom has no scrolling
+      t.mock.getter(window.MouseEvent.prototype, 'pageX', function () {
+        return this.clientX + 100;
+      });
+      t.mock.getter(window.MouseEvent.prototype, 'pageY', function () {
+        return this.clientY + 100;
+      });
+
+      dispatchPointer(element, 'pointerdown', { clientX: 10, clientY: 20 });
+      dispatchPointer(element, 'pointerup', { clientX: 10, clientY: 20 });
+
+      assert.deepEqual(getTypes(events), ['panstart', 'panend', 'tap']);
+      assert.deepEqual([events[0].x, events[0].y], [10, 20]);
+      assert.deepEqual([events[2].x, events[2].y], [10, 20]);
+
+      gestures.release();
+      element.remove();
+    });
+
+    it('is not reported for two pointers', () => {
+      const { gestures, element, events } = createRecognizer();
+
+      dispatchPointer(element, 'pointerdown', { pointerId: 1 });
+      dispatchPointer(element, 'pointerdown', { pointerId: 2 });
+      dispatchPointer(element, 'pointerup', { pointerId: 2 });
+      dispatchPointer(element, 'pointerup', { pointerId: 1 });
+
+      assert.equal(getTypes(events).includes('tap'), false);
+
+      gestures.release();
+      element.remove();
+    });
+  });
+
+  describe('for', () => {
+    it('shares one recognizer per element until all released it', () => {
+      const { gestures, element, events } = createRecognizer();
+      const shared = GestureRecognizer.for(element);
+
+      assert.equal(shared, gestures);
+
+      gestures.release();
+      dragPointer(element, [{ clientX: 0 }, { clientX: 20 }]);
+      assert.ok(events.length > 0);
+
+      events.length = 0;
+      shared.release();
+      dragPointer(element, [{ clientX: 0 }, { clientX: 20 }]);
+      assert.deepEqual(events, []);
+      assert.notEqual(GestureRecognizer.for(element), gestures);
+
+      element.remove();
+    });
+  });
+
+  describe('viewer', () => {
+    it('zooms and pans with the same two pointers', (t) => {
+      const viewer = createViewer();
+      const element = viewer.css2dRenderer.domElement;
+      t.mock.method(element, 'getBoundingClientRect', () => {
+        return { left: 0, top: 0, width: 800, height: 450 };
+      });
+      viewer.setCameraPosition(0, 0);
+      const fov = viewer.camera.fov;
+      const touch = { pointerType: 'touch' };
+
+      dispatchPointer(element, 'pointerdown', {
+        ...touch, pointerId: 1, clientX: 300, clientY: 225
+      });
+      dispatchPointer(element, 'pointerdown', {
+        ...touch, pointerId: 2, isPrimary: false, clientX: 400, clientY: 225
+      });
+      dispatchPointer(element, 'pointermove', {
+        ...touch, pointerId: 2, isPrimary: false, clientX: 500, clientY: 225
+      });
+
+      assert.ok(viewer.camera.fov < fov);
+      assert.notEqual(viewer.getCurrentPosition().yaw, 0);
+
+      dispatchPointer(element, 'pointerup', { ...touch, pointerId: 2 });
+      dispatchPointer(element, 'pointerup', { ...touch, pointerId: 1 });
+      viewer.destroy();
+    });
+  });
+});
@@ -1,11 +1,22 @@
 import {
-  DEFAULT_RATIO, DEFAULT_ROTATION_ORDER, FOV_PANORAMA, FOV_SPHERE
+  DEFAULT_RATIO, DEFAULT_ROTATION_ORDER, PROJECTION_CUBEMAP,
+  PROJECTION_EQUIRECTANGULAR, PROJECTION_TILED, SNAP_THRESHOLD
 } from '@services/constants';
 
-import PositionControls from '@scripts/position-controls';
+import HotspotCollection from '@scripts/hotspot-collection';
+import Keymap from '@scripts/keymap';
+import PanoramaMetadata from '@services/panorama-metadata';
 import Util from '@services/util';
+import AccessibilityHandling from '@mixins/accessibility-handling';
+import CameraHandling from '@mixins/camera-handling';
+import HotspotEditing from '@mixins/hotspot-editing';
 import Initialization from '@mixins/initialization';
 import SphereHandling from '@mixins/sphere-handling';
+import TransitionHandling from '@mixins/transition-handling';
+import VRHandling from '@mixins/vr-handling';
+
+/** @constant {WeakMap} viewers Viewers by the elements added to them. */
+const viewers = new WeakMap();
 
 export default class NDLAThreeSixty extends H5P.EventDispatcher {
 
@@ -13,7 +24,7 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
    * The 360 degree panorama viewer with support for virtual reality.
    * @class H5P.NDLAThreeSixty
    * @augments H5P.EventDispatcher
-   * @param {HTMLElement} sourceElement Video or image source.
+   * @param {HTMLElement|HTMLElement[]|object} sourceElement Video or image source, six cubemap faces or tiled source, see TiledPanorama.
    * @param {object} options Options.
    * @param {number} options.ratio Display ratio of the viewport
    * @param {object} options.cameraStartPosition Start position.
@@ -22,12 +33,34 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
    * @param {number} options.segments Number of segments.
    * @param {boolean} options.isPanorama If true, scene is panorama scene.
    * @param {boolean} options.enableZoom If true, enable zoom.
+   * @param {number} [options.minFov] Field of view when zoomed in fully, default FOV_MIN.
+   * @param {number} [options.maxFov] Field of view when zoomed out fully, cannot exceed the field of view of the scene.
+   * @param {object} [options.viewBounds] Part of the scene that may be seen, see setViewBounds.
+   * @param {number} [options.horizontalCoverage] Degrees of the horizon that a panorama covers, default 360.
+   * @param {number} [options.verticalCoverage] Degrees that a panorama covers vertically, default by aspect ratio if horizontalCoverage is set, else FOV_PANORAMA.
+   * @param {object} [options.croppedArea] Part of the full sphere that a cropped equirectangular image covers, with left, top, width and height as fractions of the full image. Default full sphere.
+   * @param {string} [options.projection] equirectangular|cubemap|tiled.
+   * @param {string} [options.cubemapLayout] 6x1|3x2 for cubemap strips, default by aspect ratio.
+   * @param {string} [options.hotspotLayout] cluster|spread to handle overlapping 2D elements, default none.
+   * @param {boolean|function} [options.offscreenIndicators] If true, show arrows towards off-screen elements. A function receiving a hotspot selects the elements to show arrows for.
+   * @param {object} [options.hotspotSnapping] Snapping of dragged elements, see setHotspotSnapping.
+   * @param {boolean} [options.hotspotSelection] If true, elements with controls can be selected by shift-click or shift-dragging a lasso and moved together.
+   * @param {boolean} [options.announceView] If true, announce direction and zoom to screen readers after moving, default false.
+   * @param {number} [options.northYaw] Yaw that is considered north when describing directions.
+   * @param {object} [options.keymap] Keyboard bindings by action, see setKeymap. Bind an action to [] to turn its key off.
+   * @param {boolean} [options.keyboardShortcuts] If false, keys don't reset the view, move between elements or toggle fullscreen, default true.
+   * @param {boolean} [options.controlBar] If true, show buttons for zooming, resetting the view, fullscreen and a compass.
+   * @param {object} [options.l10n] Localization.
    */
   constructor(sourceElement, options) {
     super();
 
     Util.addMixins(
-      NDLAThreeSixty, [Initialization, SphereHandling]
+      NDLAThreeSixty,
+      [
+        AccessibilityHandling, CameraHandling, HotspotEditing, Initialization,
+        SphereHandling, TransitionHandling, VRHandling
+      ]
     );
 
     this.options = Util.extend({
@@ -35,23 +68,78 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
       ratio: DEFAULT_RATIO,
       segments: 4,
       isPanorama: false,
-      enableZoom: true
+      enableZoom: true,
+      projection: PROJECTION_EQUIRECTANGULAR,
+      offscreenIndicators: false,
+      hotspotSelection: false,
+      announceView: false,
+      keyboardShortcuts: true,
+      northYaw: 0,
+      controlBar: false,
+      hotspotSnapping: {
+        grid: 0,
+        horizon: false,
+        hotspots: false,
+        threshold: SNAP_THRESHOLD
+      },
+      l10n: {
+        offscreenIndicator: 'Turn towards @label',
+        hotspotPickedUp: 'Moving @label. Use the arrow keys to move, hold Shift for small steps. Press Enter to confirm or Escape to cancel.',
+        hotspotPosition: 'Yaw @yaw degrees, pitch @pitch degrees.',
+        hotspotDropped: '@label placed at yaw @yaw degrees, pitch @pitch degrees.',
+        hotspotMoveCancelled: 'Moving @label cancelled.',
+        facingDirection: 'Facing @direction, @pitch.',
+        zoomLevel: 'Zoomed in @zoom percent.',
+        hotspotOfTotal: '@label, @index of @total, @direction.',
+        north: 'north',
+        northEast: 'north-east',
+        east: 'east',
+        southEast: 'south-east',
+        south: 'south',
+        southWest: 'south-west',
+        west: 'west',
+        northWest: 'north-west',
+        lookingStraightAhead: 'looking straight ahead',
+        lookingSlightlyUp: 'looking slightly up',
+        lookingUp: 'looking up',
+        lookingStraightUp: 'looking straight up',
+        lookingSlightlyDown: 'looking slightly down',
+        lookingDown: 'looking down',
+        lookingStraightDown: 'looking straight down',
+        controlBar: 'View controls',
+        zoomIn: 'Zoom in',
+        zoomOut: 'Zoom out',
+        resetView: 'Reset view',
+        toggleFullscreen: 'Fullscreen',
+        compass: 'Facing @direction. Turn to north'
+      }
     }, options);
 
+    if (NDLAThreeSixty.isCubeProjection(this.options.projection)) {
+      this.options.isPanorama = false; // Cubes always cover the full sphere
+    }
+
     this.sourceElement = sourceElement;
 
-    this.fieldOfView = options.isPanorama ? FOV_PANORAMA : FOV_SPHERE;
+    this.fieldOfView = this.getSceneFieldOfView();
 
-    /*
-     * // TODO: ThreeSixty should not have to deal with this, this belongs in a
-     * a separate collection/array class. (ThreeSixty should just add or remove
-     * elements from the 3d world, not keep an indexed mapping for the
-     * consumer/user of this library.). Originally added by H5P Group. True, but
-     * not urgent now.
-     */
-    this.threeElements = [];
+    this.hotspots = new HotspotCollection(this);
+    this.keymap = new Keymap(this.options.keymap);
     this.preventCameraMovement = false;
-    this.renderLoopId = null;
+    this.isRendering = false;
+    this.renderLoopId = null; // Id of scheduled frame
+    this.needsRender = false;
+    this.isContinuousRendering = false;
+    this.cameraAnimation = null;
+    this.sceneTransition = null;
+    this.sceneTransitionId = 0; // Changes when a transition is abandoned
+    this.zoomingSceneTransition = null;
+    this.hotspotDrag = null;
+    this.selectedHotspotIds = new Set();
+    this.hotspotHistory = { undo: [], redo: [] };
+    this.lasso = null;
+    this.xrSession = null;
+    this.sourceLoad = null; // Listeners for image sources that are loading
 
     // Main wrapper element
     this.element = document.createElement('div');
@@ -65,8 +153,16 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
 
     this.buildCamera(options.cameraStartPosition);
     this.buildRenderers();
+    this.buildLiveRegion();
+    this.buildHotspotLayout();
+    this.buildHotspotIndicators();
+    this.buildHotspotLasso();
     this.buildCameraControls();
     this.buildZoomControls();
+    this.buildControlBar();
+    this.buildDeviceOrientationControls();
+    this.buildKeyboardShortcuts();
+    this.updateViewBounds();
   }
 
   /**
@@ -97,6 +193,48 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
     return this.camera.getEffectiveFOV();
   }
 
+  /**
+   * Get zoom.
+   * @param {object} [options] Options.
+   * @param {string} [options.unit] percent|fov, default percent.
+   * @returns {number} Zoom from 0 (zoomed out) to 100 or field of view.
+   */
+  getZoom(options = {}) {
+    return (options.unit === 'fov') ?
+      this.camera.fov :
+      this.zoomControls.zoomPercentage;
+  }
+
+  /**
+   * Set zoom. Triggers zoomchange once it changed.
+   * @param {number} value Zoom from 0 (zoomed out) to 100 or field of view.
+   * @param {object} [options] Options.
+   * @param {string} [options.unit] percent|fov, default percent.
+   * @param {boolean} [options.animate] If true, animate zooming.
+   * @returns {Promise<boolean>} Resolves true when done, false if cancelled.
+   */
+  setZoom(value, options = {}) {
+    const fov = (options.unit === 'fov') ?
+      value :
+      this.zoomControls.getFovForPercentage(value);
+
+    return this.flyTo({ fov: fov }, options.animate ? {} : { duration: 0 });
+  }
+
+  /**
+   * Set limits of zooming, e.g. for the current scene.
+   * @param {object} [limits] Limits, default no custom limits.
+   * @param {number} [limits.minFov] Field of view when zoomed in fully.
+   * @param {number} [limits.maxFov] Field of view when zoomed out fully.
+   */
+  setZoomLimits(limits = {}) {
+    this.zoomControls.setFovLimits(limits);
+
+    // Zooming out may be limited, so the view may be able to move less
+    this.setCameraRotation(this.clampCameraPosition(this.getCurrentPosition()));
+    this.requestRender();
+  }
+
   /**
    * Get scene container element.
    * @returns {HTMLElement} Scene container element.
@@ -105,6 +243,47 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
     return this.element;
   }
 
+  /**
+   * Get keyboard bindings.
+   * @returns {object} Keys by action, see Keymap.DEFAULT_BINDINGS.
+   */
+  getKeymap() {
+    return this.keymap.get();
+  }
+
+  /**
+   * Replace keyboard bindings of actions. A binding is either a physical key
+   * (KeyboardEvent.code) or a character (KeyboardEvent.key). Bindings are not
+   * changed if a key would be bound to several actions.
+   * @param {object} bindings Keys by action, e.g. { resetView: ['Home', 'KeyR'] }.
+   * @returns {object[]} Conflicts with key and actions, empty if applied.
+   */
+  setKeymap(bindings) {
+    return this.keymap.set(bindings);
+  }
+
+  /**
+   * Toggle fullscreen. Listeners of the togglefullscreen event can set its
+   * defaultPrevented to true to handle fullscreen themselves.
+   */
+  toggleFullscreen() {
+    const toggleEvent = new H5P.Event('togglefullscreen');
+    toggleEvent.defaultPrevented = false;
+
+    this.trigger(toggleEvent);
+
+    if (toggleEvent.defaultPrevented) {
+      return;
+    }
+
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    }
+    else {
+      this.element.requestFullscreen?.();
+    }
+  }
+
   /**
    * Change the number of segments used to create the sphere.
    * Note: Rendering has to be stopped and started again for these changes
@@ -118,25 +297,53 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
   /**
    * Change the sourceElement of the world sphere.
    * Useful for changing scenes.
-   * @param {HTMLElement} element Video or image source.
+   * @param {HTMLElement|HTMLElement[]|object} element Video or image source, six cubemap faces or tiled source.
    * @param {boolean} isPanorama If true, source is panorama scene.
    * @param {boolean} enableZoom If true, enable zoom.
+   * @param {string} [projection] equirectangular|cubemap|tiled.
+   * @param {object} [coverage] Coverage of panorama in degrees.
+   * @param {number} [coverage.horizontal] Horizontal coverage, default 360.
+   * @param {number} [coverage.vertical] Vertical coverage, default by aspect ratio if horizontal is set.
+   * @param {object} [coverage.croppedArea] Part of the full sphere that a cropped equirectangular image covers, see options.croppedArea.
    */
-  setSourceElement(element, isPanorama, enableZoom) {
+  setSourceElement(
+    element, isPanorama, enableZoom, projection = PROJECTION_EQUIRECTANGULAR,
+    coverage = {}
+  ) {
     this.sourceElement = element;
-    this.options.isPanorama = isPanorama;
+    this.options.projection = projection;
+    this.options.isPanorama =
+      isPanorama && !NDLAThreeSixty.isCubeProjection(projection);
     this.options.enableZoom = enableZoom;
+    this.options.horizontalCoverage = coverage.horizontal;
+    this.options.verticalCoverage = coverage.vertical;
+    this.options.croppedArea = coverage.croppedArea;
 
-    const fov = this.options.isPanorama ? FOV_PANORAMA : FOV_SPHERE;
+    const fov = this.getSceneFieldOfView();
 
     this.camera.fov = fov;
     this.fieldOfView = fov;
 
     this.camera.updateProjectionMatrix();
+    this.requestRender();
 
     this.cameraControls.setPanorama(this.options.isPanorama);
     this.zoomControls.setEnableZoom(this.options.enableZoom);
-    this.zoomControls.setMaxFov(fov);
+    this.updateViewBounds();
+  }
+
+  /**
+   * Set part of the scene that may be seen, e.g. for images that do not
+   * cover the full sphere. The edges of the view stay within the bounds.
+   * @param {object} [bounds] Bounds, default none. Angles in radians.
+   * @param {number} [bounds.minYaw] Left edge, requires maxYaw.
+   * @param {number} [bounds.maxYaw] Right edge, requires minYaw.
+   * @param {number} [bounds.minPitch] Bottom edge.
+   * @param {number} [bounds.maxPitch] Top edge.
+   */
+  setViewBounds(bounds) {
+    this.options.viewBounds = bounds;
+    this.updateViewBounds();
   }
 
   /**
@@ -159,8 +366,13 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
       return; // Prevent other code from setting position while user is dragging
     }
 
-    this.camera.rotation.y = -yaw;
-    this.camera.rotation.x = this.options.isPanorama ? 0 : pitch;
+    this.setCameraRotation(this.clampCameraPosition({
+      yaw: yaw,
+      pitch: this.options.isPanorama ? 0 : pitch
+    }));
+
+    this.deviceOrientationOutOfSync = true;
+    this.requestRender();
   }
 
   /**
@@ -175,6 +387,7 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
     if (newRatio) {
       this.camera.aspect = newRatio;
       this.camera.updateProjectionMatrix();
+      this.updateViewBounds(); // Width of view changed
     }
     else {
       newRatio = this.options.ratio; // Avoid replacing the original
@@ -189,6 +402,8 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
         this.element.clientWidth, this.element.clientHeight
       );
     });
+
+    this.requestRender();
   }
 
   /**
@@ -196,9 +411,12 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
    * @param {HTMLElement} element Element to add.
    * @param {object} startPosition Start position.
    * @param {boolean} enableControls If true, enable controls.
+   * @param {object} [options] Options.
+   * @param {string} [options.id] Hotspot ID, generated if not set.
+   * @param {object} [options.metadata] Hotspot metadata.
    * @returns {H5P.ThreeJS.CSS3DObject} ThreeJS CSS3DObject.
    */
-  add(element, startPosition, enableControls) {
+  add(element, startPosition, enableControls, options = {}) {
     let threeElement;
 
     if (element.classList.contains('render-in-3d')) {
@@ -209,70 +427,39 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
       threeElement = new H5P.ThreeJS.CSS2DObject(element);
     }
 
-    this.threeElements.push(threeElement);
+    this.hotspots.register(threeElement, {
+      id: options.id,
+      enableControls: enableControls,
+      metadata: options.metadata
+    });
+    viewers.set(threeElement, this);
 
     // Reset HUD values
     element.style.left = '0';
     element.style.top = '0';
 
     // Move camera to element when tabbing
-    element.addEventListener('focus', (event) => {
+    threeElement.userData.handleFocus = (event) => {
       if (!event.defaultPrevented && !this.preventCameraMovement) {
-        this.setCameraPosition(
-          -threeElement.rotation.y, threeElement.rotation.x
-        );
+        this.flyTo({
+          yaw: -threeElement.rotation.y,
+          pitch: threeElement.rotation.x
+        });
       }
 
       this.setPreventCameraMovement(false);
-    }, false);
+    };
+    element.addEventListener('focus', threeElement.userData.handleFocus, false);
 
     if (enableControls) {
-      const elementControls = new PositionControls(element);
-
-      // Relay and supplement startMoving event
-      elementControls.on('movestart', (event) => {
-        // Set camera start position
-        elementControls.startY = -threeElement.rotation.y;
-        elementControls.startX = threeElement.rotation.x;
-
-        this.preventDeviceOrientation = true;
-        this.trigger(event);
-      });
-
-      // Update element position according to movement
-      elementControls.on('move', (event) => {
-        let pitch = elementControls.startX - event.beta;
-
-        // Limit pitch for panorama
-        if (this.options.isPanorama) {
-          const MAX_PITCH = 0.42;
-          pitch = Math.max(Math.min(pitch, MAX_PITCH ), -MAX_PITCH);
-        }
-        
-        NDLAThreeSixty.setElementPosition(threeElement, {
-          yaw: elementControls.startY + event.alpha,
-          pitch: pitch
-        });
-      });
-
-      // Relay and supplement stopMoving event
-      elementControls.on('movestop', (event) => {
-        event.data = {
-          target: element,
-          yaw: -threeElement.rotation.y,
-          pitch: threeElement.rotation.x
-        };
-
-        this.preventDeviceOrientation = false;
-        this.trigger(event);
-      });
+      this.buildElementControls(threeElement);
     }
 
-    // Set initial position
-    NDLAThreeSixty.setElementPosition(threeElement, startPosition);
-
     this.cssScene.add(threeElement);
 
+    // Set initial position
+    this.setHotspotPosition(threeElement, startPosition);
+
     return threeElement;
   }
 
@@ -281,8 +468,20 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
    * @param {H5P.ThreeJS.CSS3DObject} threeElement Element to be removed.
    */
   remove(threeElement) {
-    this.threeElements.splice(this.threeElements.indexOf(threeElement), 1);
+    const id = threeElement?.userData.hotspotId;
+    if (!id || this.hotspots.get(id)?.threeElement !== threeElement) {
+      return;
+    }
+
+    this.hotspots.unregister(id);
+    viewers.delete(threeElement);
     this.cssScene.remove(threeElement);
+    this.requestRender();
+
+    threeElement.element.removeEventListener(
+      'focus', threeElement.userData.handleFocus, false
+    );
+    this.destroyElementControls(threeElement);
   }
 
   /**
@@ -291,9 +490,27 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
    * @returns {H5P.ThreeJS.CSS3DObject} Corresponding ThreeJS CSS3DObject.
    */
   find(element) {
-    return this.threeElements.find((threeElement) => {
-      return threeElement.element === element;
-    });
+    return this.hotspots.getByElement(element)?.threeElement;
+  }
+
+  /**
+   * Get the collection of elements added to the "CSS world".
+   * @returns {HotspotCollection} Hotspot collection.
+   */
+  getHotspots() {
+    return this.hotspots;
+  }
+
+  /**
+   * Set position of element in the "CSS world".
+   * @param {H5P.ThreeJS.CSS3DObject} threeElement Element.
+   * @param {object} position Position.
+   * @param {number} position.yaw Horizontal angle.
+   * @param {number} position.pitch Vertical angle.
+   */
+  setHotspotPosition(threeElement, position) {
+    NDLAThreeSixty.positionElement(threeElement, position);
+    this.requestRender();
   }
 
   /**
@@ -308,14 +525,25 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
       this.disposeSphere();
     }
 
-    if (this.options.isPanorama) {
+    if (this.options.projection === PROJECTION_CUBEMAP) {
+      this.createCube();
+    }
+    else if (this.options.projection === PROJECTION_TILED) {
+      this.createTiledCube();
+    }
+    else if (this.options.isPanorama) {
       this.createCylinder();
     }
     else {
       this.createSphere();
     }
 
+    // Video changes every frame
+    this.isContinuousRendering =
+      this.sourceElement instanceof HTMLVideoElement;
+
     this.triggerFirstRenderEvent = true;
+    this.requestRender();
   }
 
   /**
@@ -323,7 +551,14 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
    * Triggers redraw of texture fetched from the sourceElement.
    */
   updateSource() {
-    this.sphere.material.map.needsUpdate = true;
+    if (this.cubemapFaceCanvases && !this.tiledPanorama) {
+      this.drawCubemapFaces(this.sourceElement);
+    }
+
+    this.getSphereMaterials().forEach((material) => {
+      material.map.needsUpdate = true;
+    });
+    this.requestRender();
   }
 
   /**
@@ -354,14 +589,58 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
     this.css3dRenderer.domElement.setAttribute('role', 'document');
   }
 
+  /**
+   * Announce message to screen reader users.
+   * @param {string} message Message.
+   */
+  announce(message) {
+    this.liveRegion.textContent = message;
+  }
+
+  /**
+   * Stop rendering and release all listeners and resources.
+   * The instance cannot be used afterwards.
+   */
+  destroy() {
+    this.abortSceneTransition();
+    this.stopRendering();
+
+    if (this.xrSession) {
+      this.wasRenderingBeforeVR = false; // Don't resume when session ends
+      this.xrSession.end().catch(() => {}); // May have ended already
+    }
+
+    this.hotspots.clear();
+    this.hotspotLayout?.destroy();
+    this.hotspotIndicators?.destroy();
+    this.controlBar?.destroy();
+    this.destroyHotspotLasso();
+    this.destroyAccessibility();
+
+    if (this.sphere) {
+      this.disposeSphere();
+    }
+
+    this.cameraControls.destroy();
+    this.zoomControls.destroy();
+    this.deviceOrientationControls.destroy();
+
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+
+    this.element.remove();
+  }
+
   /**
    * Start rendering scene
    */
   startRendering() {
-    if (this.renderLoopId !== null) {
+    if (this.isRendering) {
       return; // Prevent double rendering
     }
 
+    this.isRendering = true;
+
     window.requestAnimationFrame(() => {
       /*
        * Since the 2D environment is rendered as "screen space overlay",
@@ -383,23 +662,90 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
    * Stop rendering scene
    */
   stopRendering() {
+    this.isRendering = false;
+    this.cancelCameraAnimation();
+    this.finishSceneTransition();
     cancelAnimationFrame(this.renderLoopId);
     this.renderLoopId = null;
   }
 
+  /**
+   * Request the scene to be rendered on the next frame.
+   * Scene is only rendered when something changed unless rendering is
+   * continuous, so call this after changing anything that is displayed.
+   */
+  requestRender() {
+    this.needsRender = true;
+
+    if (!this.isRendering || this.renderLoopId !== null) {
+      return; // Not rendering or already scheduled
+    }
+
+    this.renderLoopId = window.requestAnimationFrame(() => {
+      this.render();
+    });
+  }
+
+  /**
+   * Set whether to render every frame, e.g. for video sources.
+   * @param {boolean} state If true, render every frame. Else on demand.
+   */
+  setContinuousRendering(state) {
+    this.isContinuousRendering = state;
+    this.requestRender();
+  }
+
+  /**
+   * Update control bar for the current view.
+   */
+  updateControlBar() {
+    if (!this.controlBar) {
+      return;
+    }
+
+    const yaw = this.getCurrentPosition().yaw;
+
+    this.controlBar.update({
+      bearing: AccessibilityHandling.getBearing(yaw, this.options.northYaw),
+      direction: this.getCompassDirection(yaw),
+      isZoomEnabled: this.zoomControls.enableZoom,
+      isZoomInDisabled: this.zoomControls.isDollyInDisabled(),
+      isZoomOutDisabled: this.zoomControls.isDollyOutDisabled(),
+      isFullscreen: !!document.fullscreenElement
+    });
+  }
+
   /**
    * Render scene.
    */
   render() {
+    this.renderLoopId = null;
+    this.needsRender = false;
+
+    const timestamp = performance.now();
+    this.updateCameraAnimation(timestamp);
+    this.updateSceneTransition(timestamp);
+    this.tiledPanorama?.update(this.camera, this.element.clientHeight);
+
     // Draw scenes
     this.renderer.render(this.scene, this.camera);
     this.css2dRenderer.render(this.cssScene, this.camera);
     this.css3dRenderer.render(this.cssScene, this.camera);
-
-    // Prepare next render
-    this.renderLoopId = window.requestAnimationFrame(() => {
-      this.render();
-    });
+    this.hotspotLayout?.update(
+      this.camera, this.element.clientWidth, this.element.clientHeight
+    );
+    this.hotspotIndicators?.update(
+      this.camera, this.element.clientWidth, this.element.clientHeight
+    );
+    this.updateSnapGuides();
+    this.updateControlBar();
+
+    // Prepare next render if anything is still changing
+    if (
+      this.isContinuousRendering || this.cameraAnimation || this.sceneTransition
+    ) {
+      this.requestRender();
+    }
 
     if (this.triggerFirstRenderEvent) {
       this.triggerFirstRenderEvent = false;
@@ -408,13 +754,51 @@ export default class NDLAThreeSixty extends H5P.EventDispatcher {
   }
 
   /**
-   * Set element's position in the 3d world, always facing the camera.
+   * Determine whether a projection is rendered onto a cube.
+   * @param {string} projection Projection.
+   * @returns {boolean} True, if projection uses a cube.
+   */
+  static isCubeProjection(projection) {
+    return [PROJECTION_CUBEMAP, PROJECTION_TILED].includes(projection);
+  }
+
+  /**
+   * Get options from the photo sphere metadata of a JPEG image, e.g. to
+   * place cropped images on the sphere and to set the start position.
+   * @param {ArrayBuffer} buffer Image data.
+   * @returns {object} Options, empty if the image has no usable metadata.
+   */
+  static getOptionsFromImage(buffer) {
+    return PanoramaMetadata.toViewerOptions(PanoramaMetadata.read(buffer));
+  }
+
+  /**
+   * Set element's position in the 3d world, always facing the camera, and
+   * render the viewer that the element was added to.
+   * @deprecated Use setHotspotPosition of the viewer instead.
    * @param {H5P.ThreeJS.CSS3DObject} threeElement CSS3DObject.
    * @param {object} position Position object.
    * @param {number} position.yaw Radians from 0 to Math.PI*2 (0-360).
    * @param {number} position.pitch Radians from -Math.PI/2 to Math.PI/2 (-90-90).
    */
   static setElementPosition(threeElement, position) {
+    const viewer = viewers.get(threeElement);
+    if (viewer) {
+      viewer.setHotspotPosition(threeElement, position);
+    }
+    else {
+      NDLAThreeSixty.positionElement(threeElement, position);
+    }
+  }
+
+  /**
+   * Position element in the 3d world, always facing the camera.
+   * @param {H5P.ThreeJS.CSS3DObject} threeElement CSS3DObject.
+   * @param {object} position Position object.
+   * @param {number} position.yaw Radians from 0 to Math.PI*2 (0-360).
+   * @param {number} position.pitch Radians from -Math.PI/2 to Math.PI/2 (-90-90).
+   */
+  static positionElement(threeElement, position) {
     const radius = 800; // Default radius of 800
 
     threeElement.position.x = radius *
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import NDLAThreeSixty from '@scripts/h5p-ndla-three-sixty';
+import {
+  assertAngle, createViewer, hasRequestedFrames, runFrames, trackListeners
+} from '../../tests/helpers.js';
+
+describe('NDLAThreeSixty', () => {
+  describe('destroy', () => {
+    it('releases listeners and WebGL contexts over create/destroy cycles', async (t) => {
+      const countListeners = trackListeners(t, [window, document]);
+      const forceContextLoss = t.mock.method(
+        H5P.ThreeJS.WebGLRenderer.prototype, 'forceContextLoss'
+      );
+      const DeviceOrientationEvent = window.DeviceOrientationEvent;
+      window.DeviceOrientationEvent = class {};
+      t.after(() => {
+        window.DeviceOrientationEvent = DeviceOrientationEvent;
+      });
+
+      for (let i = 0; i < 100; i++) {
+        const viewer = createViewer({
+          controlBar: true,
+          hotspotLayout: 'cluster',
+          hotspotSelection: true,
+          offscreenIndicators: true
+        });
+
+        const element = document.createElement('button');
+        viewer.add(element, { yaw: 0, pitch: 0 }, true);
+
+        await viewer.enableDeviceOrientation();
+        viewer.startRendering();
+        viewer.flyTo({ yaw: 1 });
+        runFrames();
+
+        viewer.destroy();
+
+        assert.equal(viewer.getElement().isConnected, false);
+      }
+
+      runFrames(); // Nothing should be left to render
+      assert.equal(hasRequestedFrames(), false);
+      assert.equal(countListeners(), 0);
+      assert.equal(forceContextLoss.mock.callCount(), 100);
+    });
+
+    it('ends a running XR session without rejecting', async () => {
+      const viewer = createViewer();
+      const error = new Error('Session already ended');
+      viewer.xrSession = {
+        end: () => Promise.reject(error)
+      };
+
+      viewer.destroy();
+
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.equal(viewer.wasRenderingBeforeVR, false);
+    });
+  });
+
+  describe('setElementPosition', () => {
+    it('renders the viewer that the element was added to', () => {
+      const viewer = createViewer();
+      const threeElement = viewer.add(
+        document.createElement('button'), { yaw: 0, pitch: 0 }, false
+      );
+      viewer.startRendering();
+      runFrames();
+      const renderCount = viewer.renderer.renderCount;
+
+      NDLAThreeSixty.setElementPosition(threeElement, { yaw: 1, pitch: 0.5 });
+      runFrames();
+
+      assert.equal(viewer.renderer.renderCount, renderCount + 1);
+      assertAngle(-threeElement.rotation.y, 1);
+      assertAngle(threeElement.rotation.x, 0.5);
+
+      viewer.destroy();
+    });
+
+    it('positions elements that were not added', () => {
+      const threeElement = new H5P.ThreeJS.CSS2DObject(
+        document.createElement('div')
+      );
+
+      NDLAThreeSixty.setElementPosition(threeElement, { yaw: Math.PI, pitch: 0 });
+
+      assert.ok(Math.abs(threeElement.position.z - 800) < 1e-9);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+export default class HotspotCollection extends H5P.EventDispatcher {
+
+  /**
+   * Collection of the elements added to the "CSS world", keyed by stable IDs.
+   * Elements are added and removed through the viewer, the collection keeps
+   * track of them and their metadata.
+   * @class
+   * @param {H5P.NDLAThreeSixty} viewer Viewer that renders the hotspots.
+   */
+  constructor(viewer) {
+    super();
+
+    this.viewer = viewer;
+    this.hotspots = new Map(); // Hotspots in order of adding by ID
+  }
+
+  /**
+   * Register hotspot. Called by the viewer when adding an element.
+   * @param {H5P.ThreeJS.CSS3DObject} threeElement ThreeJS object of element.
+   * @param {object} [params] Parameters.
+   * @param {string} [params.id] ID, generated if not set.
+   * @param {boolean} [params.enableControls] If true, controls are enabled.
+   * @param {object} [params.metadata] Metadata for the consumer.
+   * @returns {object} Hotspot.
+   */
+  register(threeElement, params = {}) {
+    const id = params.id ?? H5P.createUUID();
+
+    if (this.hotspots.has(id)) {
+      throw new Error(`Hotspot ID "${id}" is already in use.`);
+    }
+
+    const hotspot = {
+      id: id,
+      element: threeElement.element,
+      threeElement: threeElement,
+      enableControls: !!params.enableControls,
+      metadata: params.metadata ?? {},
+      get yaw() {
+        return -this.threeElement.rotation.y;
+      },
+      get pitch() {
+        return this.threeElement.rotation.x;
+      },
+      get is3d() {
+        return !!this.threeElement.is3d;
+      },
+      get label() {
+        return (
+          this.element.getAttribute('aria-label') ||
+          this.element.textContent ||
+          ''
+        ).trim();
+      }
+    };
+
+    threeElement.userData.hotspotId = id;
+    this.hotspots.set(id, hotspot);
+
+    this.trigger('add', { hotspot: hotspot });
+
+    return hotspot;
+  }
+
+  /**
+   * Unregister hotspot. Called by the viewer when removing an element.
+   * @param {string} id ID.
+   */
+  unregister(id) {
+    const hotspot = this.hotspots.get(id);
+    if (!hotspot) {
+      return;
+    }
+
+    this.hotspots.delete(id);
+
+    this.trigger('remove', { hotspot: hotspot });
+  }
+
+  /**
+   * Get hotspot.
+   * @param {string} id ID.
+   * @returns {object|undefined} Hotspot.
+   */
+  get(id) {
+    return this.hotspots.get(id);
+  }
+
+  /**
+   * Get hotspot of element.
+   * @param {HTMLElement} element Element.
+   * @returns {object|undefined} Hotspot.
+   */
+  getByElement(element) {
+    return this.list().find((hotspot) => hotspot.element === element);
+  }
+
+  /**
+   * Determine whether hotspot exists.
+   * @param {string} id ID.
+   * @returns {boolean} True, if hotspot exists.
+   */
+  has(id) {
+    return this.hotspots.has(id);
+  }
+
+  /**
+   * List all hotspots in the order they were added.
+   * @returns {object[]} Hotspots.
+   */
+  list() {
+    return [...this.hotspots.values()];
+  }
+
+  /**
+   * Update position and/or metadata of hotspot.
+   * @param {string} id ID.
+   * @param {object} changes Changes.
+   * @param {number} [changes.yaw] Horizontal angle.
+   * @param {number} [changes.pitch] Vertical angle.
+   * @param {object} [changes.metadata] Metadata, merged with current.
+   * @returns {object|undefined} Updated hotspot.
+   */
+  update(id, changes = {}) {
+    const hotspot = this.hotspots.get(id);
+    if (!hotspot) {
+      return;
+    }
+
+    if (changes.yaw !== undefined || changes.pitch !== undefined) {
+      this.viewer.setHotspotPosition(hotspot.threeElement, {
+        yaw: changes.yaw ?? hotspot.yaw,
+        pitch: changes.pitch ?? hotspot.pitch
+      });
+    }
+
+    if (changes.metadata) {
+      hotspot.metadata = { ...hotspot.metadata, ...changes.metadata };
+    }
+
+    this.trigger('update', { hotspot: hotspot });
+
+    return hotspot;
+  }
+
+  /**
+   * Remove hotspot from the "CSS world".
+   * @param {string} id ID.
+   */
+  remove(id) {
+    const hotspot = this.hotspots.get(id);
+    if (!hotspot) {
+      return;
+    }
+
+    this.viewer.remove(hotspot.threeElement);
+  }
+
+  /**
+   * Remove all hotspots from the "CSS world".
+   */
+  clear() {
+    this.list().forEach((hotspot) => {
+      this.remove(hotspot.id);
+    });
+  }
+
+  /**
+   * Serialize hotspot layout.
+   * @returns {object[]} Hotspots with id, yaw, pitch, is3d, enableControls and metadata.
+   */
+  toJSON() {
+    return this.list().map((hotspot) => ({
+      id: hotspot.id,
+      yaw: hotspot.yaw,
+      pitch: hotspot.pitch,
+      is3d: hotspot.is3d,
+      enableControls: hotspot.enableControls,
+      metadata: JSON.parse(JSON.stringify(hotspot.metadata)) // Not shared
+    }));
+  }
+
+  /**
+   * Restore hotspot layout, replacing all current hotspots.
+   * @param {object[]} json Serialized hotspots as created by toJSON().
+   * @param {function} createElement Callback creating element for a hotspot.
+   * @returns {object[]} Restored hotspots.
+   */
+  fromJSON(json, createElement) {
+    json = json ?? [];
+
+    // Check IDs before removing current hotspots to keep them on errors
+    const ids = new Set();
+    json.forEach((params) => {
+      if (params.id === undefined) {
+        return;
+      }
+
+      if (ids.has(params.id)) {
+        throw new Error(`Hotspot ID "${params.id}" is used more than once.`);
+      }
+      ids.add(params.id);
+    });
+
+    this.clear();
+
+    return json.map((params) => {
+      const element = createElement(params);
+      element.classList.toggle('render-in-3d', !!params.is3d);
+
+      const threeElement = this.viewer.add(
+        element,
+        { yaw: params.yaw, pitch: params.pitch },
+        params.enableControls,
+        { id: params.id, metadata: params.metadata }
+      );
+
+      return this.get(threeElement.userData.hotspotId);
+    });
+  }
+}
@@ -0,0 +1,212 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { assertAngle, createViewer } from '../../tests/helpers.js';
+
+/**
+ * Create element for a hotspot.
+ * @param {object} [params] Serialized hotspot.
+ * @returns {HTMLElement} Element.
+ */
+const createElement = (params = {}) => {
+  const element = document.createElement('button');
+  element.textContent = params.metadata?.label ?? 'Hotspot';
+  if (params.is3d) {
+    element.classList.add('render-in-3d');
+  }
+
+  return element;
+};
+
+describe('HotspotCollection', () => {
+  describe('register', () => {
+    it('gives hotspots stable string IDs', () => {
+      const viewer = createViewer();
+      const hotspots = viewer.getHotspots();
+
+      const first = viewer.add(createElement(), { yaw: 0, pitch: 0 });
+      const second = viewer.add(
+        createElement(), { yaw: 1, pitch: 0 }, false, { id: 'door' }
+      );
+
+      const firstId = first.userData.hotspotId;
+      assert.equal(typeof firstId, 'string');
+      assert.equal(second.userData.hotspotId, 'door');
+      assert.deepEqual(hotspots.list().map((hotspot) => hotspot.id), [
+        firstId, 'door'
+      ]);
+
+      hotspots.update(firstId, { yaw: 2 });
+      assert.equal(hotspots.list()[0].id, firstId);
+
+      viewer.destroy();
+    });
+
+    it('rejects IDs that are in use', () => {
+      const viewer = createViewer();
+      viewer.add(createElement(), { yaw: 0, pitch: 0 }, false, { id: 'door' });
+
+      assert.throws(() => {
+        viewer.add(
+          createElement(), { yaw: 1, pitch: 0 }, false, { id: 'door' }
+        );
+      }, /"door" is already in use/);
+      assert.equal(viewer.getHotspots().list().length, 1);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('get', () => {
+    it('finds hotspots by ID and element', () => {
+      const viewer = createViewer();
+      const hotspots = viewer.getHotspots();
+      const element = createElement();
+      const threeElement = viewer.add(
+        element, { yaw: 0.5, pitch: 0.2 }, false,
+        { id: 'door', metadata: { target: 2 } }
+      );
+
+      const hotspot = hotspots.get('door');
+      assert.equal(hotspot.threeElement, threeElement);
+      assert.equal(hotspot.element, element);
+      assert.equal(hotspot.label, 'Hotspot');
+      assert.deepEqual(hotspot.metadata, { target: 2 });
+      assertAngle(hotspot.yaw, 0.5);
+      assertAngle(hotspot.pitch, 0.2);
+      assert.equal(hotspots.getByElement(element), hotspot);
+      assert.equal(viewer.find(element), threeElement);
+      assert.equal(hotspots.has('door'), true);
+      assert.equal(hotspots.get('window'), undefined);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('update', () => {
+    it('moves hotspots and merges metadata', () => {
+      const viewer = createViewer();
+      const hotspots = viewer.getHotspots();
+      viewer.add(
+        createElement(), { yaw: 0, pitch: 0 }, false,
+        { id: 'door', metadata: { target: 2, label: 'Door' } }
+      );
+      const updates = [];
+      hotspots.on('update', (event) => {
+        updates.push(event.data.hotspot.id);
+      });
+
+      const hotspot = hotspots.update('door', {
+        pitch: 0.3, metadata: { target: 3 }
+      });
+
+      assertAngle(hotspot.yaw, 0);
+      assertAngle(hotspot.pitch, 0.3);
+      assert.deepEqual(hotspot.metadata, { target: 3, label: 'Door' });
+      assert.deepEqual(updates, ['door']);
+
+      assert.equal(hotspots.update('window', { yaw: 1 }), undefined);
+      assert.deepEqual(updates, ['door']);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('remove', () => {
+    it('removes hotspots from the viewer', () => {
+      const viewer = createViewer();
+      const hotspots = viewer.getHotspots();
+      const threeElement = viewer.add(
+        createElement(), { yaw: 0, pitch: 0 }, false, { id: 'door' }
+      );
+      viewer.add(createElement(), { yaw: 1, pitch: 0 }, false, { id: 'exit' });
+      const removed = [];
+      hotspots.on('remove', (event) => {
+        removed.push(event.data.hotspot.id);
+      });
+
+      hotspots.remove('door');
+      hotspots.remove('door');
+
+      assert.deepEqual(removed, ['door']);
+      assert.equal(hotspots.has('door'), false);
+      assert.equal(viewer.cssScene.children.includes(threeElement), false);
+
+      hotspots.clear();
+      assert.deepEqual(removed, ['door', 'exit']);
+      assert.equal(viewer.cssScene.children.length, 0);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('toJSON', () => {
+    it('round-trips position, rendering and metadata', () => {
+      const viewer = createViewer();
+      viewer.add(
+        createElement(), { yaw: 0.5, pitch: -0.25 }, true,
+        { id: 'door', metadata: { label: 'Door', target: 2 } }
+      );
+      viewer.add(
+        createElement({ is3d: true }), { yaw: -2, pitch: 0.75 }, false,
+        { id: 'sign' }
+      );
+
+      const json = JSON.parse(JSON.stringify(viewer.getHotspots()));
+      assert.deepEqual(json.map((params) => params.id), ['door', 'sign']);
+      assert.deepEqual(json.map((params) => params.is3d), [false, true]);
+      assert.deepEqual(
+        json.map((params) => params.enableControls), [true, false]
+      );
+
+      const restoredViewer = createViewer();
+      restoredViewer.add(createElement(), { yaw: 0, pitch: 0 });
+      const restored = restoredViewer.getHotspots()
+        .fromJSON(json, createElement);
+
+      assert.deepEqual(restoredViewer.getHotspots().toJSON(), json);
+      assert.equal(restored[0].label, 'Door');
+      assert.ok(restored[1].threeElement instanceof H5P.ThreeJS.CSS3DObject);
+      assertAngle(restored[1].yaw, -2);
+      assertAngle(restored[1].pitch, 0.75);
+
+      viewer.destroy();
+      restoredViewer.destroy();
+    });
+
+    it('does not share metadata with the hotspots', () => {
+      const viewer = createViewer();
+      viewer.add(
+        createElement(), { yaw: 0, pitch: 0 }, false,
+        { id: 'door', metadata: { target: { scene: 2 } } }
+      );
+      const hotspots = viewer.getHotspots();
+
+      hotspots.toJSON()[0].metadata.target.scene = 3;
+
+      assert.deepEqual(hotspots.get('door').metadata, { target: { scene: 2 } });
+
+      viewer.destroy();
+    });
+  });
+
+  describe('fromJSON', () => {
+    it('keeps the current hotspots if IDs are duplicated', () => {
+      const viewer = createViewer();
+      viewer.add(createElement(), { yaw: 0, pitch: 0 }, false, { id: 'door' });
+      const hotspots = viewer.getHotspots();
+      const json = [
+        { id: 'sign', yaw: 1, pitch: 0 },
+        { id: 'sign', yaw: 2, pitch: 0 }
+      ];
+
+      assert.throws(() => {
+        hotspots.fromJSON(json, createElement);
+      }, /"sign" is used more than once/);
+
+      assert.deepEqual(hotspots.list().map((hotspot) => hotspot.id), ['door']);
+      assert.equal(hotspots.get('door').threeElement.parent, viewer.cssScene);
+
+      viewer.destroy();
+    });
+  });
+});
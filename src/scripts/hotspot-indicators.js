@@ -0,0 +1,133 @@
+import { INDICATOR_EDGE_MARGIN } from '@services/constants';
+
+export default class HotspotIndicators extends H5P.EventDispatcher {
+
+  /**
+   * Arrows at the edge of the viewport pointing towards off-screen hotspots.
+   * @class
+   * @param {HotspotCollection} hotspots Hotspots to indicate.
+   * @param {HTMLElement} container Container to draw arrows in.
+   * @param {object} [params] Parameters.
+   * @param {function} [params.filter] Returns true for hotspots to indicate.
+   * @param {string} [params.label] Title of arrows, @label is replaced.
+   */
+  constructor(hotspots, container, params = {}) {
+    super();
+
+    this.hotspots = hotspots;
+    this.container = container;
+    this.params = params;
+
+    this.arrows = new Map(); // Arrows by hotspot ID
+    this.vector = new H5P.ThreeJS.Vector3();
+
+    this.handleHotspotUpdate = this.handleHotspotUpdate.bind(this);
+    this.hotspots.on('update', this.handleHotspotUpdate);
+  }
+
+  /**
+   * Update arrows for the current view. Called after rendering.
+   * @param {H5P.ThreeJS.PerspectiveCamera} camera Camera.
+   * @param {number} width Width of viewport in px.
+   * @param {number} height Height of viewport in px.
+   */
+  update(camera, width, height) {
+    const ids = new Set();
+
+    this.hotspots.list().forEach((hotspot) => {
+      if (this.params.filter && !this.params.filter(hotspot)) {
+        return;
+      }
+
+      this.vector
+        .setFromMatrixPosition(hotspot.threeElement.matrixWorld)
+        .project(camera);
+
+      const isOnScreen = this.vector.z >= -1 && this.vector.z <= 1 &&
+        Math.abs(this.vector.x) <= 1 && Math.abs(this.vector.y) <= 1;
+
+      if (isOnScreen) {
+        return;
+      }
+
+      ids.add(hotspot.id);
+
+      // Direction in camera space also works for hotspots behind the camera
+      this.vector
+        .setFromMatrixPosition(hotspot.threeElement.matrixWorld)
+        .applyMatrix4(camera.matrixWorldInverse);
+
+      let directionX = this.vector.x;
+      let directionY = -this.vector.y; // Screen y points down
+      if (!directionX && !directionY) {
+        directionX = 1; // Straight behind
+      }
+
+      // Place arrow where direction from center meets the inset edge
+      const halfWidth = width / 2 - INDICATOR_EDGE_MARGIN;
+      const halfHeight = height / 2 - INDICATOR_EDGE_MARGIN;
+      const scale = Math.min(
+        halfWidth / Math.abs(directionX), halfHeight / Math.abs(directionY)
+      );
+
+      const x = width / 2 + directionX * scale;
+      const y = height / 2 + directionY * scale;
+      const angle = Math.atan2(directionY, directionX);
+
+      const arrow = this.arrows.get(hotspot.id) ?? this.createArrow(hotspot);
+      arrow.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%) rotate(${angle}rad)`;
+    });
+
+    [...this.arrows.entries()].forEach(([id, arrow]) => {
+      if (!ids.has(id)) {
+        arrow.remove();
+        this.arrows.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Create arrow for hotspot.
+   * @param {object} hotspot Hotspot.
+   * @returns {HTMLElement} Arrow.
+   */
+  createArrow(hotspot) {
+    // Hotspots themselves are focusable, so arrows are for pointers only
+    const arrow = document.createElement('button');
+    arrow.classList.add('h5p-three-sixty-offscreen-indicator');
+    arrow.setAttribute('type', 'button');
+    arrow.setAttribute('tabindex', '-1');
+    arrow.setAttribute('aria-hidden', 'true');
+    arrow.setAttribute(
+      'title', (this.params.label ?? '@label').replace('@label', hotspot.label)
+    );
+
+    arrow.addEventListener('click', () => {
+      this.trigger('select', { hotspot: hotspot });
+    });
+
+    this.container.append(arrow);
+    this.arrows.set(hotspot.id, arrow);
+
+    return arrow;
+  }
+
+  /**
+   * Update arrows when hotspots change, their metadata may affect the filter.
+   */
+  handleHotspotUpdate() {
+    this.trigger('change');
+  }
+
+  /**
+   * Remove arrows and listeners.
+   */
+  destroy() {
+    this.hotspots.off('update', this.handleHotspotUpdate);
+
+    this.arrows.forEach((arrow) => {
+      arrow.remove();
+    });
+    this.arrows.clear();
+  }
+}
@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { INDICATOR_EDGE_MARGIN } from '@services/constants';
+import {
+  assertAngle, createViewer, runFrames, setElementSize
+} from '../../tests/helpers.js';
+
+const WIDTH = 800;
+const HEIGHT = 450;
+const ARROW = '.h5p-three-sixty-offscreen-indicator';
+
+/**
+ * Create viewer that renders, facing yaw 0 and pitch 0.
+ * @param {object} [options] Options of the viewer.
+ * @returns {H5P.NDLAThreeSixty} Viewer.
+ */
+const createRenderingViewer = (options) => {
+  const viewer = createViewer(options);
+  setElementSize(viewer.getElement(), WIDTH, HEIGHT);
+  viewer.setCameraPosition(0, 0);
+  viewer.startRendering();
+  runFrames();
+
+  return viewer;
+};
+
+/**
+ * Add hotspot to viewer.
+ * @param {H5P.NDLAThreeSixty} viewer Viewer.
+ * @param {string} id ID.
+ * @param {object} position Position with yaw and pitch.
+ * @param {object} [metadata] Metadata.
+ * @returns {object} Hotspot.
+ */
+const addHotspot = (viewer, id, position, metadata) => {
+  const element = document.createElement('button');
+  element.textContent = id;
+  viewer.add(element, position, false, { id: id, metadata: metadata });
+
+  return viewer.getHotspots().get(id);
+};
+
+/**
+ * Get arrows that are shown.
+ * @param {H5P.NDLAThreeSixty} viewer Viewer.
+ * @returns {HTMLElement[]} Arrows.
+ */
+const getArrows = (viewer) => {
+  return [...viewer.getElement().querySelectorAll(ARROW)];
+};
+
+/**
+ * Get placement of arrow from its transform.
+ * @param {HTMLElement} arrow Arrow.
+ * @returns {number[]} X and y in px and angle in radians.
+ */
+const getPlacement = (arrow) => {
+  return arrow.style.transform
+    .match(/^translate\((.+)px, (.+)px\) .* rotate\((.+)rad\)$/)
+    .slice(1)
+    .map((value) => Math.round(parseFloat(value) * 1000) / 1000);
+};
+
+describe('HotspotIndicators', () => {
+  it('are not shown by default', () => {
+    const viewer = createRenderingViewer();
+    addHotspot(viewer, 'behind', { yaw: 2.5, pitch: 0 });
+    runFrames();
+
+    assert.equal(viewer.hotspotIndicators, undefined);
+    assert.equal(getArrows(viewer).length, 0);
+
+    viewer.destroy();
+  });
+
+  it('point towards off-screen hotspots from the edge', () => {
+    const viewer = createRenderingViewer({ offscreenIndicators: true });
+    addHotspot(viewer, 'front', { yaw: 0, pitch: 0 });
+    addHotspot(viewer, 'right', { yaw: 2.5, pitch: 0 });
+    addHotspot(viewer, 'left', { yaw: -2.5, pitch: 0 });
+    addHotspot(viewer, 'up', { yaw: 0, pitch: 1.4 });
+    runFrames();
+
+    const arrows = viewer.hotspotIndicators.arrows;
+    assert.deepEqual([...arrows.keys()], ['right', 'left', 'up']);
+    assert.equal(getArrows(viewer).length, 3);
+
+    const right = getPlacement(arrows.get('right'));
+    assert.equal(right[0], WIDTH - INDICATOR_EDGE_MARGIN);
+    assert.equal(right[2], 0);
+
+    const left = getPlacement(arrows.get('left'));
+    assert.equal(left[0], INDICATOR_EDGE_MARGIN);
+    assert.equal(Math.abs(left[2]), Math.round(Math.PI * 1000) / 1000);
+
+    assert.deepEqual(getPlacement(arrows.get('up')), [
+      WIDTH / 2, INDICATOR_EDGE_MARGIN, -Math.round(Math.PI / 2 * 1000) / 1000
+    ]);
+
+    assert.equal(arrows.get('right').getAttribute('title'), 'Turn towards right');
+    assert.equal(arrows.get('right').getAttribute('aria-hidden'), 'true');
+
+    viewer.destroy();
+    assert.equal(getArrows(viewer).length, 0);
+  });
+
+  it('turn the camera to the hotspot when clicked', () => {
+    const viewer = createRenderingViewer({ offscreenIndicators: true });
+    addHotspot(viewer, 'right', { yaw: 2.5, pitch: 0.2 });
+    runFrames();
+
+    getArrows(viewer)[0].click();
+    runFrames(60);
+
+    assertAngle(viewer.getCurrentPosition().yaw, 2.5);
+    assertAngle(viewer.getCurrentPosition().pitch, 0.2);
+    assert.equal(getArrows(viewer).length, 0);
+
+    viewer.destroy();
+  });
+
+  it('are shown for hotspots the filter selects', () => {
+    const viewer = createRenderingViewer({
+      offscreenIndicators: (hotspot) => !hotspot.metadata.visited
+    });
+    addHotspot(viewer, 'visited', { yaw: 2, pitch: 0 }, { visited: true });
+    addHotspot(viewer, 'new', { yaw: -2, pitch: 0 });
+    runFrames();
+
+    assert.deepEqual([...viewer.hotspotIndicators.arrows.keys()], ['new']);
+
+    viewer.getHotspots().update('new', { metadata: { visited: true } });
+    runFrames();
+
+    assert.equal(getArrows(viewer).length, 0);
+
+    viewer.destroy();
+  });
+
+  it('are removed with their hotspots', () => {
+    const viewer = createRenderingViewer({ offscreenIndicators: true });
+    addHotspot(viewer, 'right', { yaw: 2.5, pitch: 0 });
+    runFrames();
+
+    viewer.getHotspots().remove('right');
+    runFrames();
+
+    assert.equal(getArrows(viewer).length, 0);
+    assert.equal(viewer.hotspotIndicators.arrows.size, 0);
+
+    viewer.destroy();
+  });
+});
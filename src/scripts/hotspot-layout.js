@@ -0,0 +1,504 @@
+import {
+  GOLDEN_ANGLE, HOTSPOT_LAYOUT_CLUSTER, HOTSPOT_LAYOUT_SPREAD,
+  HOTSPOT_SPREAD_ITERATIONS
+} from '@services/constants';
+import Util from '@services/util';
+
+export default class HotspotLayout extends H5P.EventDispatcher {
+
+  /**
+   * Layout pass for elements in the "CSS world" that overlap on screen.
+   * Overlapping 2D elements are either clustered into a count badge that
+   * expands on click or nudged apart with leader lines to their position.
+   * Elements are only moved or hidden visually, so their focus order is kept.
+   * @class
+   * @param {HotspotCollection} hotspots Hotspots to lay out.
+   * @param {HTMLElement} container Container of the 2D elements.
+   * @param {object} [params] Parameters.
+   * @param {string} [params.mode] cluster|spread, anything else disables the layout.
+   * @param {number} [params.spacing] Minimum distance between elements in px.
+   */
+  constructor(hotspots, container, params = {}) {
+    super();
+
+    this.hotspots = hotspots;
+    this.container = container;
+
+    this.params = Util.extend({
+      mode: HOTSPOT_LAYOUT_CLUSTER,
+      spacing: 4
+    }, params);
+
+    this.isEnabled = HotspotLayout.isValidMode(this.params.mode);
+
+    this.clusters = []; // Ids of hotspots in current clusters
+    this.expandedIds = new Set();
+    this.badges = new Map(); // Badges by cluster key
+    this.lines = new Map(); // Leader lines by hotspot id
+    this.sizes = new Map(); // Sizes of elements in px by element
+    this.viewBox = '';
+    this.vector = new H5P.ThreeJS.Vector3();
+
+    this.leaderLines = document.createElementNS(
+      'http://www.w3.org/2000/svg', 'svg'
+    );
+    this.leaderLines.classList.add('h5p-three-sixty-leader-lines');
+    this.leaderLines.setAttribute('aria-hidden', 'true');
+    this.container.prepend(this.leaderLines);
+
+    // Measure elements when they change instead of on every frame
+    if (window.ResizeObserver) {
+      this.resizeObserver = new window.ResizeObserver((entries) => {
+        this.handleResize(entries);
+      });
+    }
+
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+    this.container.addEventListener('focusin', this.handleFocusIn);
+
+    this.handleHotspotRemove = this.handleHotspotRemove.bind(this);
+    this.hotspots.on('remove', this.handleHotspotRemove);
+  }
+
+  /**
+   * Lay out hotspots for the current view. Called after rendering.
+   * @param {H5P.ThreeJS.PerspectiveCamera} camera Camera.
+   * @param {number} width Width of viewport in px.
+   * @param {number} height Height of viewport in px.
+   */
+  update(camera, width, height) {
+    if (!this.isEnabled) {
+      return;
+    }
+
+    const items = this.getScreenItems(camera, width, height);
+
+    const viewBox = `0 0 ${width} ${height}`;
+    if (viewBox !== this.viewBox) {
+      this.leaderLines.setAttribute('viewBox', viewBox);
+      this.viewBox = viewBox;
+    }
+
+    if (this.params.mode === HOTSPOT_LAYOUT_SPREAD) {
+      this.clusters = [];
+      this.updateLines(this.spread(items));
+      this.updateBadges([]);
+      return;
+    }
+
+    const groups = this.getOverlappingGroups(items);
+    const clusters = groups.filter((group) => {
+      return group.length > 1 &&
+        !group.every((item) => this.expandedIds.has(item.hotspot.id));
+    });
+
+    this.clusters = clusters.map((group) => {
+      return group.map((item) => item.hotspot.id);
+    });
+
+    const spreadItems = [];
+    groups.forEach((group) => {
+      const isClustered = clusters.includes(group);
+
+      group.forEach((item) => {
+        item.hotspot.element.classList.toggle(
+          'h5p-three-sixty-clustered', isClustered
+        );
+      });
+
+      if (!isClustered) {
+        spreadItems.push(...this.spread(group));
+      }
+      else {
+        group.forEach((item) => HotspotLayout.resetItem(item));
+      }
+    });
+
+    this.updateLines(spreadItems);
+    this.updateBadges(clusters);
+  }
+
+  /**
+   * Get screen positions and sizes of visible 2D hotspots.
+   * Hotspots that are not visible are reset.
+   * @param {H5P.ThreeJS.PerspectiveCamera} camera Camera.
+   * @param {number} width Width of viewport in px.
+   * @param {number} height Height of viewport in px.
+   * @returns {object[]} Items with hotspot, x, y, width and height.
+   */
+  getScreenItems(camera, width, height) {
+    const items = [];
+
+    this.hotspots.list().forEach((hotspot) => {
+      const element = hotspot.element;
+
+      this.vector
+        .setFromMatrixPosition(hotspot.threeElement.matrixWorld)
+        .project(camera);
+
+      const isVisible = !hotspot.is3d &&
+        this.vector.z >= -1 && this.vector.z <= 1 &&
+        Math.abs(this.vector.x) <= 1 && Math.abs(this.vector.y) <= 1;
+
+      if (!isVisible) {
+        element.classList.remove('h5p-three-sixty-clustered');
+        element.style.translate = '';
+        return;
+      }
+
+      const size = this.getSize(element);
+
+      items.push({
+        hotspot: hotspot,
+        x: (this.vector.x + 1) / 2 * width,
+        y: (1 - this.vector.y) / 2 * height,
+        width: size.width,
+        height: size.height,
+        offsetX: 0,
+        offsetY: 0
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * Get size of element, measured once and then kept up to date on resize.
+   * @param {HTMLElement} element Element.
+   * @returns {object} Width and height in px.
+   */
+  getSize(element) {
+    let size = this.sizes.get(element);
+    if (size) {
+      return size;
+    }
+
+    size = { width: element.offsetWidth, height: element.offsetHeight };
+    if (!this.resizeObserver) {
+      return size; // Cannot tell when size changes
+    }
+
+    this.sizes.set(element, size);
+    this.resizeObserver.observe(element, { box: 'border-box' });
+
+    return size;
+  }
+
+  /**
+   * Handle elements that changed size.
+   * @param {ResizeObserverEntry[]} entries Entries of elements.
+   */
+  handleResize(entries) {
+    let hasChanged = false;
+
+    entries.forEach((entry) => {
+      const size = this.sizes.get(entry.target);
+      const box = entry.borderBoxSize?.[0];
+      if (!size || !box) {
+        return;
+      }
+
+      if (size.width !== box.inlineSize || size.height !== box.blockSize) {
+        size.width = box.inlineSize;
+        size.height = box.blockSize;
+        hasChanged = true;
+      }
+    });
+
+    if (hasChanged) {
+      this.trigger('change');
+    }
+  }
+
+  /**
+   * Group items that overlap directly or via other items.
+   * @param {object[]} items Items.
+   * @returns {object[][]} Groups of items, in order of hotspots.
+   */
+  getOverlappingGroups(items) {
+    const groups = [];
+    const groupOfItem = new Map();
+
+    items.forEach((item) => {
+      let group = groupOfItem.get(item);
+      if (!group) {
+        group = [item];
+        groupOfItem.set(item, group);
+        groups.push(group);
+      }
+
+      // Add overlapping items, merging groups if needed
+      items.forEach((other) => {
+        if (
+          groupOfItem.get(other) === group ||
+          !HotspotLayout.isOverlapping(item, other, this.params.spacing)
+        ) {
+          return;
+        }
+
+        const otherGroup = groupOfItem.get(other);
+        if (otherGroup) {
+          groups.splice(groups.indexOf(otherGroup), 1);
+        }
+
+        (otherGroup ?? [other]).forEach((member) => {
+          group.push(member);
+          groupOfItem.set(member, group);
+        });
+      });
+    });
+
+    return groups;
+  }
+
+  /**
+   * Nudge items apart until they don't overlap.
+   * @param {object[]} items Items.
+   * @returns {object[]} Items that were moved and need a leader line.
+   */
+  spread(items) {
+    const spacing = this.params.spacing;
+
+    for (let i = 0; i < HOTSPOT_SPREAD_ITERATIONS; i++) {
+      let hasOverlap = false;
+
+      items.forEach((item, index) => {
+        items.slice(index + 1).forEach((other, otherIndex) => {
+          const overlapX = (item.width + other.width) / 2 + spacing -
+            Math.abs(HotspotLayout.getX(item) - HotspotLayout.getX(other));
+          const overlapY = (item.height + other.height) / 2 + spacing -
+            Math.abs(HotspotLayout.getY(item) - HotspotLayout.getY(other));
+
+          if (overlapX <= 0 || overlapY <= 0) {
+            return;
+          }
+
+          hasOverlap = true;
+
+          // Push apart along the line between centers, fan out identical ones
+          let deltaX = HotspotLayout.getX(other) - HotspotLayout.getX(item);
+          let deltaY = HotspotLayout.getY(other) - HotspotLayout.getY(item);
+          if (!deltaX && !deltaY) {
+            const angle = (index + otherIndex + 1) * GOLDEN_ANGLE;
+            deltaX = Math.cos(angle);
+            deltaY = Math.sin(angle);
+          }
+
+          const distance = Math.hypot(deltaX, deltaY);
+          const push = Math.min(overlapX, overlapY) / 2;
+
+          item.offsetX -= deltaX / distance * push;
+          item.offsetY -= deltaY / distance * push;
+          other.offsetX += deltaX / distance * push;
+          other.offsetY += deltaY / distance * push;
+        });
+      });
+
+      if (!hasOverlap) {
+        break;
+      }
+    }
+
+    return items.filter((item) => {
+      if (Math.hypot(item.offsetX, item.offsetY) < 1) {
+        HotspotLayout.resetItem(item);
+        return false;
+      }
+
+      item.hotspot.element.style.translate =
+        `${item.offsetX}px ${item.offsetY}px`;
+
+      return true;
+    });
+  }
+
+  /**
+   * Draw leader lines from moved items to their position.
+   * Lines are only added or removed when the moved items change.
+   * @param {object[]} items Items that were moved.
+   */
+  updateLines(items) {
+    const ids = new Set();
+
+    items.forEach((item) => {
+      const id = item.hotspot.id;
+      ids.add(id);
+
+      let line = this.lines.get(id);
+      if (!line) {
+        line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        this.leaderLines.append(line);
+        this.lines.set(id, line);
+      }
+
+      line.setAttribute('x1', item.x);
+      line.setAttribute('y1', item.y);
+      line.setAttribute('x2', HotspotLayout.getX(item));
+      line.setAttribute('y2', HotspotLayout.getY(item));
+    });
+
+    [...this.lines.entries()].forEach(([id, line]) => {
+      if (!ids.has(id)) {
+        line.remove();
+        this.lines.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Show a count badge for each cluster and remove badges no longer needed.
+   * @param {object[][]} clusters Clusters of items.
+   */
+  updateBadges(clusters) {
+    const keys = new Set();
+
+    clusters.forEach((cluster) => {
+      const ids = cluster.map((item) => item.hotspot.id);
+      const key = ids.join(',');
+      keys.add(key);
+
+      let badge = this.badges.get(key);
+      if (!badge) {
+        badge = document.createElement('button');
+        badge.classList.add('h5p-three-sixty-cluster-badge');
+        badge.setAttribute('type', 'button');
+        badge.setAttribute('tabindex', '-1'); // Clustered elements stay focusable
+        badge.setAttribute('aria-hidden', 'true');
+        badge.textContent = ids.length;
+        badge.addEventListener('click', () => {
+          this.expand(ids);
+        });
+
+        this.container.append(badge);
+        this.badges.set(key, badge);
+      }
+
+      const x = cluster.reduce((sum, item) => sum + item.x, 0) / ids.length;
+      const y = cluster.reduce((sum, item) => sum + item.y, 0) / ids.length;
+      badge.style.transform =
+        `translate(-50%, -50%) translate(${x}px, ${y}px)`;
+    });
+
+    [...this.badges.entries()].forEach(([key, badge]) => {
+      if (!keys.has(key)) {
+        badge.remove();
+        this.badges.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Expand cluster, so its hotspots are spread out.
+   * @param {string[]} ids Ids of hotspots in cluster.
+   */
+  expand(ids) {
+    this.expandedIds = new Set(ids);
+    this.trigger('change');
+  }
+
+  /**
+   * Collapse expanded cluster again.
+   */
+  collapse() {
+    if (!this.expandedIds.size) {
+      return;
+    }
+
+    this.expandedIds = new Set();
+    this.trigger('change');
+  }
+
+  /**
+   * Expand cluster when one of its hotspots receives keyboard focus.
+   * @param {FocusEvent} event Focus event.
+   */
+  handleFocusIn(event) {
+    const hotspot = this.hotspots.list().find((hotspot) => {
+      return hotspot.element.contains(event.target);
+    });
+
+    const cluster = this.clusters.find((ids) => ids.includes(hotspot?.id));
+    if (cluster) {
+      this.expand(cluster);
+    }
+  }
+
+  /**
+   * Reset layout of hotspot that was removed.
+   * @param {H5P.Event} event Remove event.
+   */
+  handleHotspotRemove(event) {
+    const element = event.data.hotspot.element;
+    element.classList.remove('h5p-three-sixty-clustered');
+    element.style.translate = '';
+
+    this.resizeObserver?.unobserve(element);
+    this.sizes.delete(element);
+  }
+
+  /**
+   * Remove badges, leader lines and listeners.
+   */
+  destroy() {
+    this.hotspots.off('remove', this.handleHotspotRemove);
+    this.container.removeEventListener('focusin', this.handleFocusIn);
+
+    this.hotspots.list().forEach((hotspot) => {
+      this.handleHotspotRemove({ data: { hotspot: hotspot } });
+    });
+
+    this.resizeObserver?.disconnect();
+
+    this.updateLines([]);
+    this.updateBadges([]);
+    this.leaderLines.remove();
+  }
+
+  /**
+   * Determine whether a layout mode is known.
+   * @param {string} mode Mode.
+   * @returns {boolean} True, if mode is cluster or spread.
+   */
+  static isValidMode(mode) {
+    return mode === HOTSPOT_LAYOUT_CLUSTER ||
+      mode === HOTSPOT_LAYOUT_SPREAD;
+  }
+
+  /**
+   * Determine whether two items overlap on screen.
+   * @param {object} item Item.
+   * @param {object} other Other item.
+   * @param {number} spacing Minimum distance in px.
+   * @returns {boolean} True, if items overlap.
+   */
+  static isOverlapping(item, other, spacing) {
+    return Math.abs(item.x - other.x) < (item.width + other.width) / 2 + spacing &&
+      Math.abs(item.y - other.y) < (item.height + other.height) / 2 + spacing;
+  }
+
+  /**
+   * Get horizontal screen position of item including its offset.
+   * @param {object} item Item.
+   * @returns {number} Position in px.
+   */
+  static getX(item) {
+    return item.x + item.offsetX;
+  }
+
+  /**
+   * Get vertical screen position of item including its offset.
+   * @param {object} item Item.
+   * @returns {number} Position in px.
+   */
+  static getY(item) {
+    return item.y + item.offsetY;
+  }
+
+  /**
+   * Reset offset of item.
+   * @param {object} item Item.
+   */
+  static resetItem(item) {
+    item.hotspot.element.style.translate = '';
+  }
+}
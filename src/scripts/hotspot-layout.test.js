@@ -0,0 +1,243 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import HotspotCollection from '@scripts/hotspot-collection';
+import HotspotLayout from '@scripts/hotspot-layout';
+import { createViewer } from '../../tests/helpers.js';
+
+const WIDTH = 800;
+const HEIGHT = 450;
+const CLUSTERED = 'h5p-three-sixty-clustered';
+const BADGE = '.h5p-three-sixty-cluster-badge';
+
+/**
+ * Replace ResizeObserver of the browser for the duration of a test.
+ * @param {object} t Test context.
+ * @returns {object[]} Observers that were created.
+ */
+const mockResizeObserver = (t) => {
+  const original = window.ResizeObserver;
+  const observers = [];
+
+  window.ResizeObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      this.elements = new Set();
+      observers.push(this);
+    }
+
+    observe(element) {
+      this.elements.add(element);
+    }
+
+    unobserve(element) {
+      this.elements.delete(element);
+    }
+
+    disconnect() {
+      this.elements.clear();
+    }
+
+    resize(element, width, height) {
+      this.callback([{
+        target: element,
+        borderBoxSize: [{ inlineSize: width, blockSize: height }]
+      }]);
+    }
+  };
+
+  t.after(() => {
+    window.ResizeObserver = original;
+  });
+
+  return observers;
+};
+
+/**
+ * Create layout for elements of 40 x 20 px, the first two overlapping.
+ * @param {object} [params] Parameters of layout.
+ * @returns {object} Layout, hotspots, camera, container and offset reads.
+ */
+const createLayout = (params) => {
+  const container = document.createElement('div');
+  const hotspots = new HotspotCollection();
+  const camera = new H5P.ThreeJS.PerspectiveCamera(
+    75, WIDTH / HEIGHT, 0.1, 1000
+  );
+  camera.updateMatrixWorld();
+
+  const layout = new HotspotLayout(hotspots, container, params);
+  const reads = { count: 0 };
+
+  const list = [-0.05, 0.05, 5].map((x) => {
+    const element = document.createElement('button');
+    Object.defineProperty(element, 'offsetWidth', {
+      get: () => {
+        reads.count++;
+        return 40;
+      }
+    });
+    Object.defineProperty(element, 'offsetHeight', { value: 20 });
+    container.append(element);
+
+    const threeElement = new H5P.ThreeJS.CSS2DObject(element);
+    threeElement.position.set(x, 0, -10);
+    threeElement.updateMatrixWorld();
+
+    return hotspots.register(threeElement);
+  });
+
+  return {
+    layout: layout,
+    hotspots: hotspots,
+    list: list,
+    camera: camera,
+    container: container,
+    reads: reads
+  };
+};
+
+describe('HotspotLayout', () => {
+  describe('modes', () => {
+    it('clusters overlapping elements into a badge', () => {
+      const { layout, list, camera, container } = createLayout();
+      let changes = 0;
+      layout.on('change', () => {
+        changes++;
+      });
+
+      layout.update(camera, WIDTH, HEIGHT);
+
+      const badges = container.querySelectorAll(BADGE);
+      assert.equal(badges.length, 1);
+      assert.equal(badges[0].textContent, '2');
+      assert.deepEqual(
+        list.map((hotspot) => hotspot.element.classList.contains(CLUSTERED)),
+        [true, true, false]
+      );
+
+      badges[0].click();
+      layout.update(camera, WIDTH, HEIGHT);
+
+      assert.equal(changes, 1);
+      assert.equal(container.querySelector(BADGE), null);
+      assert.equal(container.querySelectorAll('line').length, 2);
+      assert.equal(list[0].element.classList.contains(CLUSTERED), false);
+    });
+
+    it('spreads overlapping elements with leader lines', () => {
+      const { layout, list, camera, container } = createLayout({
+        mode: 'spread'
+      });
+
+      layout.update(camera, WIDTH, HEIGHT);
+
+      assert.equal(container.querySelectorAll('line').length, 2);
+      assert.notEqual(list[0].element.style.translate, '');
+      assert.equal(list[2].element.style.translate, '');
+    });
+
+    ['', 'clusters', true].forEach((mode) => {
+      it(`is disabled for mode ${JSON.stringify(mode)}`, () => {
+        const { layout, list, camera, container } = createLayout({
+          mode: mode
+        });
+
+        layout.update(camera, WIDTH, HEIGHT);
+
+        assert.equal(layout.isEnabled, false);
+        assert.equal(list[0].element.classList.contains(CLUSTERED), false);
+        assert.equal(list[0].element.style.translate, '');
+        assert.equal(container.querySelectorAll('line').length, 0);
+      });
+    });
+
+    [undefined, '', 'clusters', true].forEach((mode) => {
+      it(`is not built by the viewer for ${JSON.stringify(mode)}`, () => {
+        const viewer = createViewer({ hotspotLayout: mode });
+
+        assert.equal(viewer.hotspotLayout, undefined);
+
+        viewer.destroy();
+      });
+    });
+  });
+
+  describe('leader lines', () => {
+    it('are kept while the same elements are spread', () => {
+      const { layout, list, camera, container } = createLayout({
+        mode: 'spread'
+      });
+
+      layout.update(camera, WIDTH, HEIGHT);
+      const lines = [...container.querySelectorAll('line')];
+      const x1 = lines[0].getAttribute('x1');
+
+      camera.rotation.y = 0.01;
+      camera.updateMatrixWorld();
+      layout.update(camera, WIDTH, HEIGHT);
+
+      assert.deepEqual([...container.querySelectorAll('line')], lines);
+      assert.notEqual(lines[0].getAttribute('x1'), x1);
+
+      list[1].threeElement.position.x = 3;
+      list[1].threeElement.updateMatrixWorld();
+      layout.update(camera, WIDTH, HEIGHT);
+
+      assert.equal(container.querySelectorAll('line').length, 0);
+    });
+  });
+
+  describe('sizes', () => {
+    it('are measured once and then taken from the resize observer', (t) => {
+      const observers = mockResizeObserver(t);
+      const { layout, list, camera, container, reads } = createLayout();
+      let changes = 0;
+      layout.on('change', () => {
+        changes++;
+      });
+
+      layout.update(camera, WIDTH, HEIGHT);
+      layout.update(camera, WIDTH, HEIGHT);
+      assert.equal(reads.count, 3);
+      assert.equal(observers[0].elements.size, 3);
+
+      // Third element grows into the others
+      observers[0].resize(list[2].element, 40, 20);
+      assert.equal(changes, 0);
+      observers[0].resize(list[2].element, 2000, 20);
+      assert.equal(changes, 1);
+
+      layout.update(camera, WIDTH, HEIGHT);
+      assert.equal(reads.count, 3);
+      assert.equal(container.querySelector(BADGE).textContent, '3');
+    });
+
+    it('are forgotten when elements are removed', (t) => {
+      const observers = mockResizeObserver(t);
+      const { layout, hotspots, list, camera } = createLayout();
+
+      layout.update(camera, WIDTH, HEIGHT);
+      hotspots.unregister(list[0].id);
+
+      assert.equal(observers[0].elements.has(list[0].element), false);
+      assert.equal(layout.sizes.has(list[0].element), false);
+
+      layout.destroy();
+      assert.equal(observers[0].elements.size, 0);
+    });
+
+    it('are measured on every update without a resize observer', (t) => {
+      const original = window.ResizeObserver;
+      delete window.ResizeObserver;
+      t.after(() => {
+        window.ResizeObserver = original;
+      });
+      const { layout, camera, reads } = createLayout();
+
+      layout.update(camera, WIDTH, HEIGHT);
+      layout.update(camera, WIDTH, HEIGHT);
+
+      assert.equal(reads.count, 6);
+    });
+  });
+});
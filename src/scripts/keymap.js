@@ -0,0 +1,149 @@
+export default class Keymap {
+
+  /**
+   * Mapping of keyboard shortcuts to actions. A binding matches either the
+   * physical key (KeyboardEvent.code, e.g. 'Period') or the produced
+   * character (KeyboardEvent.key, e.g. '+'), so bindings can be chosen to
+   * work across keyboard layouts.
+   * @class
+   * @param {object} [bindings] Bindings by action, replacing the defaults.
+   */
+  constructor(bindings = {}) {
+    this.bindings = Keymap.copy(Keymap.DEFAULT_BINDINGS);
+    this.set(bindings);
+  }
+
+  /**
+   * Get bindings.
+   * @returns {object} Copy of bindings by action.
+   */
+  get() {
+    return Keymap.copy(this.bindings);
+  }
+
+  /**
+   * Replace bindings of actions. Nothing is changed if the resulting keymap
+   * has conflicts. Unknown actions are ignored.
+   * @param {object} bindings Bindings by action, e.g. { zoomIn: ['+'] }.
+   * @returns {object[]} Conflicts with key and actions, empty if applied.
+   */
+  set(bindings = {}) {
+    const merged = Keymap.copy(this.bindings);
+
+    Object.entries(bindings).forEach(([action, keys]) => {
+      if (merged[action] && Array.isArray(keys)) {
+        merged[action] = [...keys];
+      }
+    });
+
+    const conflicts = Keymap.getConflicts(merged);
+    if (!conflicts.length) {
+      this.bindings = merged;
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Get action that a keyboard event is bound to.
+   * @param {KeyboardEvent} event Keyboard event.
+   * @returns {string|null} Action or null.
+   */
+  getAction(event) {
+    const action = Object.keys(this.bindings).find((action) => {
+      return this.bindings[action].some((key) => {
+        return key === event.code || key === event.key;
+      });
+    });
+
+    return action ?? null;
+  }
+
+  /**
+   * Find physical keys that are bound to more than one action, whether bound
+   * by code or by the character they produce.
+   * @param {object} bindings Bindings by action.
+   * @returns {object[]} Conflicts with key code and actions.
+   */
+  static getConflicts(bindings) {
+    const actionsByKey = {};
+
+    Object.entries(bindings).forEach(([action, keys]) => {
+      keys.flatMap((key) => Keymap.getCodes(key)).forEach((key) => {
+        actionsByKey[key] = actionsByKey[key] ?? [];
+        if (!actionsByKey[key].includes(action)) {
+          actionsByKey[key].push(action);
+        }
+      });
+    });
+
+    return Object.entries(actionsByKey)
+      .filter(([, actions]) => actions.length > 1)
+      .map(([key, actions]) => ({ key: key, actions: actions }));
+  }
+
+  /**
+   * Get codes of the physical keys that a binding matches. Characters are
+   * looked up for US keyboards and the numeric keypad, named keys such as
+   * 'Home' have the same key and code.
+   * @param {string} binding Code or character, e.g. 'KeyF', 'f' or '+'.
+   * @returns {string[]} Codes.
+   */
+  static getCodes(binding) {
+    if (/^[a-z]$/i.test(binding)) {
+      return [`Key${binding.toUpperCase()}`];
+    }
+
+    if (/^[0-9]$/.test(binding)) {
+      return [`Digit${binding}`, `Numpad${binding}`];
+    }
+
+    return Keymap.CHARACTER_CODES[binding] ?? [binding];
+  }
+
+  /**
+   * Copy bindings.
+   * @param {object} bindings Bindings by action.
+   * @returns {object} Copy.
+   */
+  static copy(bindings) {
+    return Object.fromEntries(
+      Object.entries(bindings).map(([action, keys]) => [action, [...keys]])
+    );
+  }
+}
+
+/**
+ * @constant {object} DEFAULT_BINDINGS Default bindings by action.
+ * Zoom uses the produced characters, as + and - sit on different physical
+ * keys on e.g. Nordic and US keyboards. moveHotspot picks up a focused
+ * element with controls, so Enter and Space still activate it.
+ */
+Keymap.DEFAULT_BINDINGS = {
+  panLeft: ['ArrowLeft', 'Numpad4'],
+  panRight: ['ArrowRight', 'Numpad6'],
+  panUp: ['ArrowUp', 'Numpad8'],
+  panDown: ['ArrowDown', 'Numpad2'],
+  zoomIn: ['+', 'NumpadAdd'],
+  zoomOut: ['-', 'NumpadSubtract'],
+  resetView: ['Home'],
+  nextHotspot: ['Period'],
+  previousHotspot: ['Comma'],
+  toggleFullscreen: ['KeyF'],
+  moveHotspot: ['KeyM']
+};
+
+/**
+ * @constant {object} CHARACTER_CODES Codes of keys producing characters
+ * that are not letters or digits, on US keyboards and the numeric keypad.
+ */
+Keymap.CHARACTER_CODES = {
+  ' ': ['Space'],
+  '+': ['Equal', 'NumpadAdd'],
+  '-': ['Minus', 'NumpadSubtract'],
+  '*': ['Digit8', 'NumpadMultiply'],
+  '/': ['Slash', 'NumpadDivide'],
+  '.': ['Period', 'NumpadDecimal'],
+  ',': ['Comma'],
+  '=': ['Equal']
+};
@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Keymap from '@scripts/keymap';
+import { createViewer, pressKey, runFrames } from '../../tests/helpers.js';
+
+describe('Keymap', () => {
+  describe('getAction', () => {
+    it('matches physical keys and produced characters', () => {
+      const keymap = new Keymap();
+
+      assert.equal(keymap.getAction({ code: 'Numpad4', key: '4' }), 'panLeft');
+      assert.equal(keymap.getAction({ code: 'Period', key: ':' }), 'nextHotspot');
+      assert.equal(keymap.getAction({ code: 'KeyX', key: 'x' }), null);
+    });
+
+    it('zooms with + and - on Nordic and US keyboards', () => {
+      const keymap = new Keymap();
+
+      // Nordic layout
+      assert.equal(keymap.getAction({ code: 'Minus', key: '+' }), 'zoomIn');
+      assert.equal(keymap.getAction({ code: 'Slash', key: '-' }), 'zoomOut');
+
+      // US layout
+      assert.equal(keymap.getAction({ code: 'Equal', key: '+' }), 'zoomIn');
+      assert.equal(keymap.getAction({ code: 'Minus', key: '-' }), 'zoomOut');
+    });
+  });
+
+  describe('set', () => {
+    it('replaces bindings of the given actions only', () => {
+      const keymap = new Keymap({ resetView: ['Home', 'KeyR'] });
+
+      const conflicts = keymap.set({ zoomIn: ['KeyI'], unknown: ['KeyU'] });
+
+      assert.deepEqual(conflicts, []);
+      assert.deepEqual(keymap.get().resetView, ['Home', 'KeyR']);
+      assert.deepEqual(keymap.get().zoomIn, ['KeyI']);
+      assert.deepEqual(keymap.get().zoomOut, Keymap.DEFAULT_BINDINGS.zoomOut);
+      assert.equal(keymap.get().unknown, undefined);
+    });
+
+    it('reports conflicts and keeps the bindings', () => {
+      const keymap = new Keymap();
+
+      const conflicts = keymap.set({ zoomIn: ['Home', 'KeyI'] });
+
+      assert.deepEqual(conflicts, [
+        { key: 'Home', actions: ['zoomIn', 'resetView'] }
+      ]);
+      assert.deepEqual(keymap.get(), Keymap.DEFAULT_BINDINGS);
+    });
+
+    it('reports conflicts between characters and codes of a key', () => {
+      const keymap = new Keymap();
+
+      assert.deepEqual(keymap.set({ nextHotspot: ['f'] }), [
+        { key: 'KeyF', actions: ['nextHotspot', 'toggleFullscreen'] }
+      ]);
+      assert.deepEqual(keymap.set({ resetView: ['NumpadAdd'] }), [
+        { key: 'NumpadAdd', actions: ['zoomIn', 'resetView'] }
+      ]);
+      assert.deepEqual(keymap.set({ resetView: ['4'] }), [
+        { key: 'Numpad4', actions: ['panLeft', 'resetView'] }
+      ]);
+      assert.deepEqual(keymap.get(), Keymap.DEFAULT_BINDINGS);
+
+      // Character and code of the same key for one action are fine
+      assert.deepEqual(keymap.set({ resetView: ['Home', 'r', 'KeyR'] }), []);
+    });
+
+    it('turns actions off with empty bindings', () => {
+      const keymap = new Keymap({ toggleFullscreen: [] });
+
+      assert.equal(keymap.getAction({ code: 'KeyF', key: 'f' }), null);
+    });
+  });
+
+  describe('get', () => {
+    it('returns a copy', () => {
+      const keymap = new Keymap();
+
+      keymap.get().panLeft.push('KeyA');
+
+      assert.equal(keymap.getAction({ code: 'KeyA', key: 'a' }), null);
+    });
+  });
+
+  describe('viewer', () => {
+    it('rebinds keys of zoom and camera controls', () => {
+      const viewer = createViewer({ keymap: { zoomIn: ['KeyI'] } });
+      const element = viewer.css2dRenderer.domElement;
+      viewer.setCameraPosition(0, 0);
+      viewer.startRendering();
+      const fov = viewer.camera.fov;
+
+      pressKey(element, '+', { code: 'Equal' });
+      assert.equal(viewer.camera.fov, fov);
+
+      pressKey(element, 'i', { code: 'KeyI' });
+      assert.ok(viewer.camera.fov < fov);
+
+      assert.deepEqual(viewer.setKeymap({ panLeft: ['KeyA'] }), []);
+      assert.deepEqual(viewer.getKeymap().panLeft, ['KeyA']);
+
+      pressKey(element, 'a', { code: 'KeyA' });
+      runFrames(5);
+      element.dispatchEvent(new KeyboardEvent('keyup', {
+        key: 'a', code: 'KeyA', bubbles: true
+      }));
+      runFrames();
+      assert.ok(viewer.getCurrentPosition().yaw < 0);
+
+      viewer.destroy();
+    });
+
+    it('rejects conflicting bindings', () => {
+      const viewer = createViewer();
+
+      const conflicts = viewer.setKeymap({ nextHotspot: ['KeyF'] });
+
+      assert.deepEqual(conflicts, [
+        { key: 'KeyF', actions: ['nextHotspot', 'toggleFullscreen'] }
+      ]);
+      assert.deepEqual(viewer.getKeymap().nextHotspot, ['Period']);
+
+      viewer.destroy();
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import { VIEW_ANNOUNCEMENT_DELAY } from '@services/constants';
+import Util from '@services/util';
+
+/**
+ * Mixin containing methods for screen reader and keyboard navigation.
+ */
+export default class AccessibilityHandling {
+  /**
+   * Build keyboard shortcuts of the viewer, panning and zooming are handled
+   * by their controls.
+   */
+  buildKeyboardShortcuts() {
+    this.handleShortcutKeyDown = this.handleShortcutKeyDown.bind(this);
+    this.css2dRenderer.domElement.addEventListener(
+      'keydown', this.handleShortcutKeyDown
+    );
+  }
+
+  /**
+   * Handle key down for shortcuts.
+   * @param {KeyboardEvent} event Keyboard event.
+   */
+  handleShortcutKeyDown(event) {
+    if (
+      !this.options.keyboardShortcuts ||
+      event.ctrlKey || event.altKey || event.metaKey ||
+      event.target.closest('input, textarea, select, [contenteditable="true"]')
+    ) {
+      return;
+    }
+
+    switch (this.keymap.getAction(event)) {
+      case 'nextHotspot':
+        this.focusAdjacentHotspot(1);
+        break;
+
+      case 'previousHotspot':
+        this.focusAdjacentHotspot(-1);
+        break;
+
+      case 'resetView':
+        this.resetView();
+        break;
+
+      case 'toggleFullscreen':
+        this.toggleFullscreen();
+        break;
+
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  /**
+   * Announce the current view once the camera has settled.
+   */
+  scheduleViewAnnouncement() {
+    if (!this.options.announceView) {
+      return;
+    }
+
+    window.clearTimeout(this.viewAnnouncementTimeout);
+    this.viewAnnouncementTimeout = window.setTimeout(() => {
+      this.announce(this.getViewDescription());
+    }, VIEW_ANNOUNCEMENT_DELAY);
+  }
+
+  /**
+   * Get description of the current view.
+   * @returns {string} Description, e.g. "Facing north-east, looking slightly up."
+   */
+  getViewDescription() {
+    const position = this.getCurrentPosition();
+    const l10n = this.options.l10n;
+
+    let description = l10n.facingDirection
+      .replace('@direction', this.getCompassDirection(position.yaw))
+      .replace('@pitch', this.getPitchDescription(position.pitch));
+
+    if (this.zoomControls.enableZoom) {
+      description = `${description} ${l10n.zoomLevel.replace(
+        '@zoom', this.zoomControls.zoomPercentage
+      )}`;
+    }
+
+    return description;
+  }
+
+  /**
+   * Get compass direction of a horizontal angle.
+   * @param {number} yaw Horizontal angle.
+   * @returns {string} Localized direction of eight.
+   */
+  getCompassDirection(yaw) {
+    const l10n = this.options.l10n;
+    const directions = [
+      l10n.north, l10n.northEast, l10n.east, l10n.southEast,
+      l10n.south, l10n.southWest, l10n.west, l10n.northWest
+    ];
+
+    const sector = Math.round(
+      AccessibilityHandling.getBearing(yaw, this.options.northYaw) /
+      (Math.PI / 4)
+    );
+
+    return directions[sector % directions.length];
+  }
+
+  /**
+   * Get description of a vertical angle.
+   * @param {number} pitch Vertical angle.
+   * @returns {string} Localized description.
+   */
+  getPitchDescription(pitch) {
+    const l10n = this.options.l10n;
+    const degrees = Util.toDeg(Math.abs(pitch));
+
+    if (degrees < 10) {
+      return l10n.lookingStraightAhead;
+    }
+
+    const isUp = pitch > 0;
+
+    if (degrees < 30) {
+      return isUp ? l10n.lookingSlightlyUp : l10n.lookingSlightlyDown;
+    }
+
+    if (degrees < 60) {
+      return isUp ? l10n.lookingUp : l10n.lookingDown;
+    }
+
+    return isUp ? l10n.lookingStraightUp : l10n.lookingStraightDown;
+  }
+
+  /**
+   * Get elements ordered clockwise from north, top to bottom on equal yaw.
+   * @returns {object[]} Hotspots.
+   */
+  getHotspotsInOrder() {
+    const northYaw = this.options.northYaw;
+
+    return this.hotspots.list().sort((a, b) => {
+      return (
+        AccessibilityHandling.getBearing(a.yaw, northYaw) -
+        AccessibilityHandling.getBearing(b.yaw, northYaw)
+      ) || (b.pitch - a.pitch);
+    });
+  }
+
+  /**
+   * Focus next or previous element in order, starting from the focused
+   * element or from the current view.
+   * @param {number} direction 1 for next, -1 for previous.
+   * @returns {boolean} True, if an element was focused.
+   */
+  focusAdjacentHotspot(direction) {
+    const hotspots = this.getHotspotsInOrder();
+    if (!hotspots.length) {
+      return false;
+    }
+
+    const current = hotspots.findIndex((hotspot) => {
+      return hotspot.element === document.activeElement;
+    });
+
+    let index;
+    if (current !== -1) {
+      index = (current + direction + hotspots.length) % hotspots.length;
+    }
+    else {
+      // Closest element clockwise or counter-clockwise from the view
+      const northYaw = this.options.northYaw;
+      const bearing = AccessibilityHandling.getBearing(
+        this.getCurrentPosition().yaw, northYaw
+      );
+      const bearings = hotspots.map((hotspot) => {
+        return AccessibilityHandling.getBearing(hotspot.yaw, northYaw);
+      });
+
+      if (direction > 0) {
+        index = bearings.findIndex((value) => value > bearing);
+        index = (index === -1) ? 0 : index;
+      }
+      else {
+        // Last hotspot before the bearing, findLastIndex is too recent
+        index = bearings.length - 1;
+        while (index >= 0 && bearings[index] >= bearing) {
+          index--;
+        }
+        index = (index === -1) ? hotspots.length - 1 : index;
+      }
+    }
+
+    const hotspot = hotspots[index];
+    hotspot.element.focus();
+
+    this.announce(this.options.l10n.hotspotOfTotal
+      .replace('@label', hotspot.label)
+      .replace('@index', index + 1)
+      .replace('@total', hotspots.length)
+      .replace('@direction', this.getCompassDirection(hotspot.yaw))
+    );
+
+    return true;
+  }
+
+  /**
+   * Remove shortcut listener and pending announcement.
+   */
+  destroyAccessibility() {
+    window.clearTimeout(this.viewAnnouncementTimeout);
+    this.css2dRenderer.domElement.removeEventListener(
+      'keydown', this.handleShortcutKeyDown
+    );
+  }
+
+  /**
+   * Get clockwise angle of a horizontal angle from north.
+   * @param {number} yaw Horizontal angle.
+   * @param {number} northYaw Horizontal angle of north.
+   * @returns {number} Angle from 0 to 2 * Math.PI.
+   */
+  static getBearing(yaw, northYaw) {
+    const fullCircle = Math.PI * 2;
+    return (((yaw - northYaw) % fullCircle) + fullCircle) % fullCircle;
+  }
+}
@@ -0,0 +1,179 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  assertAngle, createViewer, pressKey, runFrames
+} from '../../../tests/helpers.js';
+
+/**
+ * Create viewer with elements to move between.
+ * @param {object} [options] Options of the viewer.
+ * @returns {object} Viewer and elements.
+ */
+const createViewerWithHotspots = (options) => {
+  const viewer = createViewer(options);
+  viewer.setCameraPosition(0, 0);
+
+  const elements = [['Left', -0.3], ['Right', 0.3]]
+    .map(([label, yaw]) => {
+      const element = document.createElement('button');
+      element.setAttribute('aria-label', label);
+      viewer.add(element, { yaw: yaw, pitch: 0 }, false);
+
+      return element;
+    });
+  viewer.startRendering();
+  runFrames(); // Attach elements to the document
+
+  return { viewer: viewer, elements: elements };
+};
+
+describe('AccessibilityHandling', () => {
+  describe('view announcements', () => {
+    it('are off by default', (t) => {
+      t.mock.timers.enable({ apis: ['setTimeout'] });
+      const viewer = createViewer();
+
+      viewer.zoomControls.dollyIn();
+      t.mock.timers.tick(1000);
+
+      assert.equal(viewer.liveRegion.textContent, '');
+
+      viewer.destroy();
+    });
+
+    it('describe the view once it has settled', (t) => {
+      t.mock.timers.enable({ apis: ['setTimeout'] });
+      const viewer = createViewer({ announceView: true });
+      viewer.setCameraPosition(Math.PI / 2, 0.3);
+
+      viewer.zoomControls.dollyIn();
+      t.mock.timers.tick(400);
+      viewer.zoomControls.dollyIn();
+      t.mock.timers.tick(400);
+      assert.equal(viewer.liveRegion.textContent, '');
+
+      t.mock.timers.tick(100);
+      assert.match(
+        viewer.liveRegion.textContent,
+        /^Facing east, looking slightly up\. Zoomed in \d+ percent\.$/
+      );
+
+      viewer.destroy();
+    });
+  });
+
+  describe('getCompassDirection', () => {
+    it('names directions relative to north', () => {
+      const viewer = createViewer({ northYaw: Math.PI / 2 });
+
+      assert.equal(viewer.getCompassDirection(Math.PI / 2), 'north');
+      assert.equal(viewer.getCompassDirection(Math.PI), 'east');
+      assert.equal(viewer.getCompassDirection(0), 'west');
+      assert.equal(viewer.getCompassDirection(Math.PI / 4), 'north-west');
+
+      viewer.destroy();
+    });
+  });
+
+  describe('keyboard shortcuts', () => {
+    it('move between elements clockwise from the view', () => {
+      const { viewer, elements } = createViewerWithHotspots();
+      const scene = viewer.getRenderers()[0];
+
+      const event = pressKey(scene, '.', { code: 'Period' });
+      assert.equal(event.defaultPrevented, true);
+      assert.equal(document.activeElement, elements[1]);
+      assert.equal(viewer.liveRegion.textContent, 'Right, 1 of 2, north.');
+
+      pressKey(scene, ',', { code: 'Comma' });
+      assert.equal(document.activeElement, elements[0]);
+
+      viewer.destroy();
+    });
+
+    it('move counter-clockwise from the view', () => {
+      const { viewer, elements } = createViewerWithHotspots();
+      const scene = viewer.getRenderers()[0];
+
+      pressKey(scene, ',', { code: 'Comma' });
+      assert.equal(document.activeElement, elements[0]);
+
+      // Wraps around if no element is counter-clockwise of the view
+      elements[0].blur();
+      viewer.setCameraPosition(-1, 0);
+      pressKey(scene, ',', { code: 'Comma' });
+      assert.equal(document.activeElement, elements[1]);
+
+      viewer.destroy();
+    });
+
+    it('reset the view', () => {
+      const viewer = createViewer();
+      viewer.setCameraPosition(1, 0.5);
+
+      pressKey(viewer.getRenderers()[0], 'Home');
+
+      assertAngle(viewer.getCurrentPosition().yaw, 0);
+      assertAngle(viewer.getCurrentPosition().pitch, 0);
+
+      viewer.destroy();
+    });
+
+    it('toggle fullscreen', () => {
+      const viewer = createViewer();
+      let count = 0;
+      viewer.on('togglefullscreen', (event) => {
+        count++;
+        event.defaultPrevented = true;
+      });
+
+      pressKey(viewer.getRenderers()[0], 'f', { code: 'KeyF' });
+
+      assert.equal(count, 1);
+
+      viewer.destroy();
+    });
+
+    it('can be turned off', () => {
+      const { viewer, elements } = createViewerWithHotspots({
+        keyboardShortcuts: false
+      });
+      viewer.setCameraPosition(1, 0);
+      const scene = viewer.getRenderers()[0];
+
+      ['Home', 'Period', 'Comma', 'KeyF'].forEach((code) => {
+        const event = pressKey(scene, code, { code: code });
+        assert.equal(event.defaultPrevented, false);
+      });
+
+      assertAngle(viewer.getCurrentPosition().yaw, 1);
+      assert.equal(elements.includes(document.activeElement), false);
+
+      viewer.destroy();
+    });
+
+    it('can be turned off one by one', () => {
+      const viewer = createViewer({ keymap: { resetView: [] } });
+      viewer.setCameraPosition(1, 0);
+
+      pressKey(viewer.getRenderers()[0], 'Home');
+
+      assertAngle(viewer.getCurrentPosition().yaw, 1);
+
+      viewer.destroy();
+    });
+
+    it('ignore keys typed into fields', () => {
+      const viewer = createViewer();
+      viewer.setCameraPosition(1, 0);
+
+      const input = document.createElement('input');
+      viewer.getRenderers()[0].append(input);
+      pressKey(input, 'Home');
+
+      assertAngle(viewer.getCurrentPosition().yaw, 1);
+
+      viewer.destroy();
+    });
+  });
+});
@@ -0,0 +1,470 @@
+import {
+  CAMERA_ANIMATION_DURATION, MAX_PITCH, PROJECTION_EQUIRECTANGULAR
+} from '@services/constants';
+import Easing from '@services/easing';
+import Util from '@services/util';
+
+/**
+ * Mixin containing methods for camera handling.
+ */
+export default class CameraHandling {
+  /**
+   * Clamp pitch, so the camera does not loop around or leave the panorama.
+   * @param {number} pitch Pitch to clamp.
+   * @param {number} [fov] Field of view to clamp for, default current.
+   * @returns {number} Clamped pitch.
+   */
+  clampCameraPitch(pitch, fov = this.camera.fov) {
+    if (this.options.isPanorama) {
+      // Base max pitch on field of view
+      const maxPitchPanorama =
+        (Util.toRad(this.fieldOfView) - Util.toRad(fov)) / 2;
+      const maxPitch = Math.max(0, Math.min(maxPitchPanorama, MAX_PITCH));
+
+      return Math.max(-maxPitch, Math.min(pitch, maxPitch));
+    }
+
+    // Keep pitch between -90 and 90 degrees
+    const radsFromCameraCenter = Util.toRad(this.fieldOfView) / 2;
+
+    if (pitch + radsFromCameraCenter > MAX_PITCH) {
+      return MAX_PITCH - radsFromCameraCenter;
+    }
+    else if (pitch - radsFromCameraCenter < -MAX_PITCH) {
+      return -MAX_PITCH + radsFromCameraCenter;
+    }
+
+    return pitch;
+  }
+
+  /**
+   * Clamp camera position, so the view respects the pitch limits and the
+   * edges of the view stay within the view bounds.
+   * @param {object} position Position.
+   * @param {number} position.yaw Horizontal angle.
+   * @param {number} position.pitch Vertical angle.
+   * @param {number} [fov] Field of view to clamp for, default current.
+   * @returns {object} Clamped yaw and pitch.
+   */
+  clampCameraPosition(position, fov = this.camera.fov) {
+    let yaw = position.yaw;
+    let pitch = this.clampCameraPitch(position.pitch, fov);
+
+    const bounds = this.getViewBounds();
+    if (!bounds) {
+      return { yaw: yaw, pitch: pitch };
+    }
+
+    const halfFov = Util.toRad(fov) / 2;
+
+    if (bounds.minPitch !== undefined || bounds.maxPitch !== undefined) {
+      pitch = CameraHandling.clampToRange(
+        pitch, bounds.minPitch ?? -MAX_PITCH, bounds.maxPitch ?? MAX_PITCH,
+        halfFov
+      );
+    }
+
+    if (CameraHandling.hasYawBounds(bounds)) {
+      // Clamp relative to center of bounds, so bounds may cross 0
+      const halfWidth = Math.atan(Math.tan(halfFov) * this.camera.aspect);
+      const center = (bounds.minYaw + bounds.maxYaw) / 2;
+      const halfRange = (bounds.maxYaw - bounds.minYaw) / 2;
+
+      yaw = center + CameraHandling.clampToRange(
+        Util.getShortestAngleDelta(center, yaw), -halfRange, halfRange,
+        halfWidth
+      );
+    }
+
+    return { yaw: yaw, pitch: pitch };
+  }
+
+  /**
+   * Get view bounds, limiting the view to the image of panoramas that cover
+   * only part of the horizon and of cropped spheres unless set explicitly.
+   * @returns {object|null} View bounds, see setViewBounds.
+   */
+  getViewBounds() {
+    if (this.options.isPanorama) {
+      const horizontal = this.getPanoramaCoverage().horizontal;
+      if (horizontal < Math.PI * 2) {
+        return {
+          minYaw: -horizontal / 2,
+          maxYaw: horizontal / 2,
+          ...this.options.viewBounds
+        };
+      }
+    }
+    else if (
+      this.options.croppedArea &&
+      this.options.projection === PROJECTION_EQUIRECTANGULAR
+    ) {
+      const area = this.getCroppedArea();
+      const bounds = {
+        minPitch: (0.5 - area.top - area.height) * Math.PI,
+        maxPitch: (0.5 - area.top) * Math.PI
+      };
+
+      if (area.width < 1) {
+        // Center of the full image is at yaw -90 degrees
+        bounds.minYaw = (area.left - 0.75) * Math.PI * 2;
+        bounds.maxYaw = (area.left + area.width - 0.75) * Math.PI * 2;
+      }
+
+      return { ...bounds, ...this.options.viewBounds };
+    }
+
+    return this.options.viewBounds ?? null;
+  }
+
+  /**
+   * Get difference between two camera yaws, staying within the view bounds.
+   * @param {number} from Start yaw.
+   * @param {number} to Target yaw.
+   * @returns {number} Difference in radians.
+   */
+  getCameraYawDelta(from, to) {
+    const bounds = this.getViewBounds();
+    if (!CameraHandling.hasYawBounds(bounds ?? {})) {
+      return Util.getShortestAngleDelta(from, to);
+    }
+
+    // Don't take a shortcut through the area outside of the bounds
+    const center = (bounds.minYaw + bounds.maxYaw) / 2;
+    return Util.getShortestAngleDelta(center, to) -
+      Util.getShortestAngleDelta(center, from);
+  }
+
+  /**
+   * Get largest field of view that fits into the view bounds.
+   * @returns {number} Field of view, Infinity if not limited.
+   */
+  getViewBoundsMaxFov() {
+    const bounds = this.getViewBounds();
+    if (!bounds) {
+      return Infinity;
+    }
+
+    let fov = Infinity;
+
+    if (bounds.minPitch !== undefined || bounds.maxPitch !== undefined) {
+      fov = Util.toDeg(
+        (bounds.maxPitch ?? MAX_PITCH) - (bounds.minPitch ?? -MAX_PITCH)
+      );
+    }
+
+    const yawRange = bounds.maxYaw - bounds.minYaw;
+    if (CameraHandling.hasYawBounds(bounds) && yawRange < Math.PI) {
+      // Vertical field of view with this horizontal field of view
+      const horizontalFov = Util.toDeg(
+        2 * Math.atan(Math.tan(yawRange / 2) / this.camera.aspect)
+      );
+      fov = Math.min(fov, horizontalFov);
+    }
+
+    return fov;
+  }
+
+  /**
+   * Update zoom limit and camera position for the view bounds, e.g. after
+   * they or the aspect ratio changed.
+   */
+  updateViewBounds() {
+    this.zoomControls.setMaxFov(
+      Math.min(this.fieldOfView, this.getViewBoundsMaxFov())
+    );
+
+    this.setCameraRotation(this.clampCameraPosition(this.getCurrentPosition()));
+    this.requestRender();
+  }
+
+  /**
+   * Set camera rotation, allowing infinite yaw rotations.
+   * @param {object} position Position.
+   * @param {number} position.yaw Horizontal angle.
+   * @param {number} position.pitch Vertical angle.
+   */
+  setCameraRotation(position) {
+    // Keep yaw between 0 and 2PI
+    let yaw = -position.yaw % (Math.PI * 2);
+    if (yaw < 0) {
+      yaw += Math.PI * 2;
+    }
+
+    this.camera.rotation.y = yaw;
+    this.camera.rotation.x = position.pitch;
+  }
+
+  /**
+   * Animate the camera to a new position and/or field of view.
+   * @param {object} target Target.
+   * @param {number} [target.yaw] Horizontal angle, default current.
+   * @param {number} [target.pitch] Vertical angle, default current.
+   * @param {number} [target.fov] Field of view, default current.
+   * @param {object} [options] Options.
+   * @param {number} [options.duration] Duration in ms.
+   * @param {string|function} [options.easing] Name of easing or function.
+   * @returns {Promise<boolean>} Resolves true when done, false if cancelled.
+   */
+  flyTo(target = {}, options = {}) {
+    this.cancelCameraAnimation();
+
+    if (this.preventDeviceOrientation && !this.hotspotDrag?.isKeyboard) {
+      return Promise.resolve(false); // User is dragging
+    }
+
+    const from = { ...this.getCurrentPosition(), fov: this.camera.fov };
+
+    const fov = Math.max(
+      this.zoomControls.minFov,
+      Math.min(this.zoomControls.maxFov, target.fov ?? from.fov)
+    );
+
+    const position = this.clampCameraPosition({
+      yaw: target.yaw ?? from.yaw,
+      pitch: target.pitch ?? from.pitch
+    }, fov);
+
+    const to = {
+      yaw: from.yaw + this.getCameraYawDelta(from.yaw, position.yaw),
+      pitch: position.pitch,
+      fov: fov
+    };
+
+    const duration = options.duration ?? CAMERA_ANIMATION_DURATION;
+    if (duration <= 0 || !this.isRendering) {
+      this.applyCameraAnimationStep(to);
+      this.requestRender();
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      this.cameraAnimation = {
+        from: from,
+        to: to,
+        duration: duration,
+        easing: Easing.get(options.easing),
+        startTime: null,
+        resolve: resolve
+      };
+
+      this.requestRender();
+    });
+  }
+
+  /**
+   * Animate camera back to its start position and field of view.
+   * @returns {Promise<boolean>} Resolves true if reached, false if cancelled.
+   */
+  resetView() {
+    return this.flyTo({
+      yaw: this.options.cameraStartPosition.yaw ?? 0,
+      pitch: this.options.cameraStartPosition.pitch ?? 0,
+      fov: this.fieldOfView
+    });
+  }
+
+  /**
+   * Turn camera so that a world direction is seen at a point on screen again,
+   * e.g. after zooming towards the mouse cursor. Bounds still apply.
+   * @param {H5P.ThreeJS.Vector3} direction Normalized world direction.
+   * @param {object} point Point on screen with x and y from -1 to 1.
+   */
+  keepDirectionAtPoint(direction, point) {
+    this.cancelCameraAnimation();
+
+    // Direction of point in camera space for the current field of view
+    const tanHalfFov = Math.tan(Util.toRad(this.camera.fov) / 2);
+    const local = new H5P.ThreeJS.Vector3(
+      point.x * tanHalfFov * this.camera.aspect, point.y * tanHalfFov, -1
+    ).normalize();
+
+    // Pitch rotates local direction to the same height as world direction
+    const radius = Math.hypot(local.y, local.z);
+    if (Math.abs(direction.y) > radius) {
+      return; // Direction cannot be reached from this point
+    }
+
+    const offset = Math.acos(direction.y / radius);
+    const phase = Math.atan2(local.z, local.y);
+    const currentPitch = this.camera.rotation.x;
+    const pitch = [offset - phase, -offset - phase].reduce((best, candidate) => {
+      return (
+        Math.abs(Util.getShortestAngleDelta(currentPitch, candidate)) <
+        Math.abs(Util.getShortestAngleDelta(currentPitch, best))
+      ) ? candidate : best;
+    });
+
+    // Yaw turns pitched local direction to the world direction
+    const pitchedZ = local.y * Math.sin(pitch) + local.z * Math.cos(pitch);
+    const rotationY = Math.atan2(direction.x, direction.z) -
+      Math.atan2(local.x, pitchedZ);
+
+    this.setCameraRotation(this.clampCameraPosition({
+      yaw: -rotationY,
+      pitch: Util.getShortestAngleDelta(0, pitch)
+    }));
+
+    // Let ongoing panning continue from the adjusted view
+    if (this.cameraControls?.isMoving()) {
+      this.cameraControls.startY =
+        this.camera.rotation.y - this.cameraControls.getAlpha();
+      this.cameraControls.startX =
+        this.camera.rotation.x - this.cameraControls.getBeta();
+    }
+
+    this.deviceOrientationOutOfSync = true;
+  }
+
+  /**
+   * Cancel running camera animation, keeping the current position.
+   */
+  cancelCameraAnimation() {
+    if (!this.cameraAnimation) {
+      return;
+    }
+
+    const resolve = this.cameraAnimation.resolve;
+    this.cameraAnimation = null;
+
+    resolve(false);
+  }
+
+  /**
+   * Update running camera animation. Called when rendering.
+   * @param {number} timestamp Current timestamp in ms.
+   */
+  updateCameraAnimation(timestamp) {
+    const animation = this.cameraAnimation;
+    if (!animation) {
+      return;
+    }
+
+    animation.startTime = animation.startTime ?? timestamp;
+
+    const progress = Math.min(
+      1, (timestamp - animation.startTime) / animation.duration
+    );
+    const factor = animation.easing(progress);
+
+    this.applyCameraAnimationStep({
+      yaw: animation.from.yaw + (animation.to.yaw - animation.from.yaw) * factor,
+      pitch: animation.from.pitch +
+        (animation.to.pitch - animation.from.pitch) * factor,
+      fov: animation.from.fov + (animation.to.fov - animation.from.fov) * factor
+    });
+
+    if (progress === 1) {
+      this.cameraAnimation = null;
+      animation.resolve(true);
+    }
+  }
+
+  /**
+   * Apply position and field of view to camera.
+   * @param {object} step Step.
+   * @param {number} step.yaw Horizontal angle.
+   * @param {number} step.pitch Vertical angle.
+   * @param {number} step.fov Field of view.
+   */
+  applyCameraAnimationStep(step) {
+    this.setCameraRotation(step);
+
+    if (this.camera.fov !== step.fov) {
+      this.camera.fov = step.fov;
+      this.camera.updateProjectionMatrix();
+      this.zoomControls.setZoomPercentage();
+    }
+  }
+
+  /**
+   * Let the orientation of the device control the camera ("magic window").
+   * Must be called from a user gesture on browsers that ask for permission.
+   * @returns {Promise<boolean>} Resolves true if enabled.
+   */
+  enableDeviceOrientation() {
+    this.deviceOrientationOutOfSync = true;
+    return this.deviceOrientationControls.enable();
+  }
+
+  /**
+   * Stop the orientation of the device from controlling the camera.
+   */
+  disableDeviceOrientation() {
+    this.deviceOrientationControls.disable();
+  }
+
+  /**
+   * Reset heading, so the current device orientation faces the start position.
+   */
+  recalibrateDeviceOrientation() {
+    this.recalibrateDeviceOrientationPending = true;
+  }
+
+  /**
+   * Handle change of device orientation.
+   * @param {object} orientation Device orientation in camera rotation space.
+   * @param {number} orientation.yaw Rotation around y axis.
+   * @param {number} orientation.pitch Rotation around x axis.
+   */
+  handleDeviceOrientationChange(orientation) {
+    if (this.preventDeviceOrientation || this.cameraAnimation) {
+      // Dragging or animating, continue from there later
+      this.deviceOrientationOutOfSync = true;
+      return;
+    }
+
+    if (this.recalibrateDeviceOrientationPending) {
+      this.recalibrateDeviceOrientationPending = false;
+      this.deviceOrientationOutOfSync = false;
+
+      this.deviceOrientationOffset = {
+        yaw: -(this.options.cameraStartPosition.yaw ?? 0) - orientation.yaw,
+        pitch: 0
+      };
+    }
+    else if (this.deviceOrientationOutOfSync || !this.deviceOrientationOffset) {
+      // Keep current camera position, follow relative device movement
+      this.deviceOrientationOutOfSync = false;
+
+      this.deviceOrientationOffset = {
+        yaw: this.camera.rotation.y - orientation.yaw,
+        pitch: this.camera.rotation.x - orientation.pitch
+      };
+      return;
+    }
+
+    this.setCameraRotation(this.clampCameraPosition({
+      yaw: -(orientation.yaw + this.deviceOrientationOffset.yaw),
+      pitch: orientation.pitch + this.deviceOrientationOffset.pitch
+    }));
+
+    this.requestRender();
+  }
+
+  /**
+   * Clamp value, so a margin around it stays within a range.
+   * @param {number} value Value to clamp.
+   * @param {number} min Start of range.
+   * @param {number} max End of range.
+   * @param {number} margin Margin around value.
+   * @returns {number} Clamped value, center of range if margin does not fit.
+   */
+  static clampToRange(value, min, max, margin) {
+    if (max - min < 2 * margin) {
+      return (min + max) / 2;
+    }
+
+    return Math.max(min + margin, Math.min(value, max - margin));
+  }
+
+  /**
+   * Determine whether view bounds limit the yaw.
+   * @param {object} bounds View bounds.
+   * @returns {boolean} True, if yaw is limited.
+   */
+  static hasYawBounds(bounds) {
+    return bounds.minYaw !== undefined && bounds.maxYaw !== undefined &&
+      bounds.maxYaw - bounds.minYaw < Math.PI * 2;
+  }
+}
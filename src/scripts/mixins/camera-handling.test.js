@@ -0,0 +1,272 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Util from '@services/util';
+import { FOV_MIN } from '@services/constants';
+import {
+  assertAngle, createViewer, dragPointer, hasRequestedFrames, runFrames
+} from '../../../tests/helpers.js';
+
+/**
+ * Create viewer that renders, facing yaw 0 and pitch 0.
+ * @param {object} [options] Options of the viewer.
+ * @returns {H5P.NDLAThreeSixty} Viewer.
+ */
+const createRenderingViewer = (options) => {
+  const viewer = createViewer(options);
+  viewer.setCameraPosition(0, 0);
+  viewer.startRendering();
+  runFrames();
+
+  return viewer;
+};
+
+/**
+ * Get yaw of camera that puts the edge of the view at the given yaw.
+ * @param {H5P.NDLAThreeSixty} viewer Viewer.
+ * @param {number} edge Yaw of right edge of view.
+ * @returns {number} Yaw of camera.
+ */
+const getYawAtEdge = (viewer, edge) => {
+  const halfFov = Util.toRad(viewer.camera.fov) / 2;
+
+  return edge - Math.atan(Math.tan(halfFov) * viewer.camera.aspect);
+};
+
+describe('CameraHandling', () => {
+  describe('flyTo', () => {
+    it('animates with the given duration and easing', async () => {
+      const viewer = createRenderingViewer();
+
+      const done = viewer.flyTo(
+        { yaw: 1, pitch: 0.2 }, { duration: 100, easing: 'linear' }
+      );
+      runFrames(); // Starts animation
+      runFrames(1, 50);
+      assertAngle(viewer.getCurrentPosition().yaw, 0.5);
+      assertAngle(viewer.getCurrentPosition().pitch, 0.1);
+
+      runFrames(1, 50);
+      assert.equal(await done, true);
+      assertAngle(viewer.getCurrentPosition().yaw, 1);
+      assertAngle(viewer.getCurrentPosition().pitch, 0.2);
+
+      runFrames();
+      assert.equal(hasRequestedFrames(), false); // Idle again
+
+      viewer.destroy();
+    });
+
+    it('accepts easing functions', async () => {
+      const viewer = createRenderingViewer();
+      const progress = [];
+
+      const done = viewer.flyTo({ yaw: 1 }, {
+        duration: 100,
+        easing: (t) => {
+          progress.push(t);
+          return t * t;
+        }
+      });
+      runFrames();
+      runFrames(1, 50);
+      assertAngle(viewer.getCurrentPosition().yaw, 0.25);
+
+      runFrames(1, 50);
+      await done;
+      assert.deepEqual(progress, [0, 0.5, 1]);
+
+      viewer.destroy();
+    });
+
+    it('takes the shorter way around', () => {
+      const viewer = createRenderingViewer();
+      viewer.setCameraPosition(3, 0);
+
+      viewer.flyTo({ yaw: -3 }, { duration: 100, easing: 'linear' });
+      runFrames();
+      runFrames(1, 50);
+
+      assertAngle(viewer.getCurrentPosition().yaw, Math.PI);
+
+      viewer.destroy();
+    });
+
+    it('is cancelled by another animation', async () => {
+      const viewer = createRenderingViewer();
+
+      const first = viewer.flyTo({ yaw: 1 }, { duration: 100 });
+      runFrames();
+      runFrames(1, 50);
+      const second = viewer.flyTo({ yaw: -1 }, { duration: 100 });
+
+      assert.equal(await first, false);
+
+      runFrames();
+      runFrames(1, 100);
+      assert.equal(await second, true);
+      assertAngle(viewer.getCurrentPosition().yaw, -1);
+
+      viewer.destroy();
+    });
+
+    it('keeps the position when cancelled', async () => {
+      const viewer = createRenderingViewer();
+
+      const done = viewer.flyTo(
+        { yaw: 1 }, { duration: 100, easing: 'linear' }
+      );
+      runFrames();
+      runFrames(1, 50);
+      viewer.cancelCameraAnimation();
+      runFrames(1, 50);
+
+      assert.equal(await done, false);
+      assertAngle(viewer.getCurrentPosition().yaw, 0.5);
+
+      viewer.destroy();
+    });
+
+    it('jumps if not rendering or without duration', async () => {
+      const viewer = createViewer();
+
+      assert.equal(await viewer.flyTo({ yaw: 1 }), true);
+      assertAngle(viewer.getCurrentPosition().yaw, 1);
+
+      viewer.startRendering();
+      assert.equal(await viewer.flyTo({ yaw: 2 }, { duration: 0 }), true);
+      assertAngle(viewer.getCurrentPosition().yaw, 2);
+
+      viewer.destroy();
+    });
+
+    it('keeps field of view and pitch within limits', async () => {
+      const viewer = createViewer();
+
+      await viewer.flyTo({ pitch: Math.PI, fov: 1 });
+
+      assert.equal(viewer.camera.fov, viewer.zoomControls.minFov);
+      assert.ok(viewer.getCurrentPosition().pitch < Math.PI / 2);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('resetView', () => {
+    it('returns to the start position and field of view', async () => {
+      const viewer = createViewer({
+        cameraStartPosition: { yaw: 0.5, pitch: 0.1 }
+      });
+      await viewer.flyTo({ yaw: 2, pitch: -0.3, fov: 30 });
+
+      await viewer.resetView();
+
+      assertAngle(viewer.getCurrentPosition().yaw, 0.5);
+      assertAngle(viewer.getCurrentPosition().pitch, 0.1);
+      assert.equal(viewer.camera.fov, viewer.fieldOfView);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('view bounds', () => {
+    it('keep the edges of the view within the bounds', () => {
+      const viewer = createViewer();
+      viewer.setViewBounds({ minYaw: -2, maxYaw: 2, minPitch: -1, maxPitch: 1 });
+      const halfFov = Util.toRad(viewer.camera.fov) / 2;
+
+      viewer.setCameraPosition(3, 0);
+      assertAngle(viewer.getCurrentPosition().yaw, getYawAtEdge(viewer, 2));
+
+      viewer.setCameraPosition(-3, 0);
+      assertAngle(viewer.getCurrentPosition().yaw, -getYawAtEdge(viewer, 2));
+
+      viewer.setCameraPosition(0, 1);
+      assertAngle(viewer.getCurrentPosition().pitch, 1 - halfFov);
+
+      viewer.setCameraPosition(0, -1);
+      assertAngle(viewer.getCurrentPosition().pitch, -1 + halfFov);
+
+      viewer.setViewBounds();
+      viewer.setCameraPosition(3, 0);
+      assertAngle(viewer.getCurrentPosition().yaw, 3);
+
+      viewer.destroy();
+    });
+
+    it('keep dragging the camera within the bounds', () => {
+      const viewer = createViewer({ viewBounds: { minYaw: -2, maxYaw: 2 } });
+      const element = viewer.css2dRenderer.domElement;
+      const limit = getYawAtEdge(viewer, 2);
+      viewer.setCameraPosition(0, 0);
+      viewer.startRendering();
+      runFrames();
+
+      [[-4000, limit], [4000, -limit]].forEach(([deltaX, yaw]) => {
+        dragPointer(element, [
+          { clientX: 400, clientY: 200 },
+          { clientX: 400 + deltaX / 2, clientY: 200 },
+          { clientX: 400 + deltaX, clientY: 200 }
+        ]);
+        runFrames(60); // Momentum
+
+        assertAngle(
+          Util.getShortestAngleDelta(0, viewer.getCurrentPosition().yaw), yaw
+        );
+      });
+
+      viewer.destroy();
+    });
+
+    it('limit zooming out to the bounds', async () => {
+      const viewer = createViewer();
+      await viewer.setZoom(100);
+      viewer.setViewBounds({ minYaw: -1, maxYaw: 1, minPitch: -0.4, maxPitch: 0.4 });
+      viewer.setCameraPosition(3, 0);
+      assert.equal(viewer.camera.fov, FOV_MIN);
+
+      // Only as wide as the bounds allow, turning away from the edge
+      await viewer.setZoom(0);
+      assert.equal(viewer.camera.fov, Util.toDeg(0.8));
+      assert.equal(viewer.zoomControls.maxFov, Util.toDeg(0.8));
+      assertAngle(viewer.getCurrentPosition().yaw, getYawAtEdge(viewer, 1));
+      assertAngle(viewer.getCurrentPosition().pitch, 0);
+
+      viewer.destroy();
+    });
+
+    it('limit the yaw of panoramas to their coverage', () => {
+      const viewer = createViewer({ isPanorama: true, horizontalCoverage: 180 });
+
+      assert.deepEqual(viewer.getViewBounds(), {
+        minYaw: -Math.PI / 2, maxYaw: Math.PI / 2
+      });
+
+      viewer.setCameraPosition(3, 0);
+      assertAngle(
+        viewer.getCurrentPosition().yaw, getYawAtEdge(viewer, Math.PI / 2)
+      );
+
+      viewer.setViewBounds({ minYaw: -0.5, maxYaw: 1 });
+      assert.deepEqual(viewer.getViewBounds(), { minYaw: -0.5, maxYaw: 1 });
+
+      viewer.destroy();
+    });
+
+    it('keep animations from crossing the outside of the bounds', () => {
+      const viewer = createViewer({ viewBounds: { minYaw: -3, maxYaw: 3 } });
+      viewer.setZoom(100);
+      viewer.setCameraPosition(-2.8, 0);
+      viewer.startRendering();
+      runFrames();
+
+      viewer.flyTo({ yaw: 2.8 }, { duration: 100, easing: 'linear' });
+      runFrames();
+      runFrames(1, 50);
+
+      // Shorter way would be through yaw PI
+      assertAngle(viewer.getCurrentPosition().yaw, 0);
+
+      viewer.destroy();
+    });
+  });
+});
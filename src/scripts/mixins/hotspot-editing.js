@@ -0,0 +1,790 @@
+import {
+  HOTSPOT_HISTORY_SIZE, HOTSPOT_KEYBOARD_FINE_STEP, HOTSPOT_KEYBOARD_STEP,
+  HOTSPOT_PITCH_FACTOR_PANORAMA, MAX_PITCH
+} from '@services/constants';
+import GestureRecognizer from '@scripts/gesture-recognizer';
+import PositionControls from '@scripts/position-controls';
+import Util from '@services/util';
+
+/**
+ * Mixin containing methods for moving elements in the "CSS world".
+ */
+export default class HotspotEditing {
+  /**
+   * Build controls for dragging an element around.
+   * @param {H5P.ThreeJS.CSS3DObject} threeElement ThreeJS object of element.
+   */
+  buildElementControls(threeElement) {
+    const element = threeElement.element;
+
+    // Arrow keys move the camera unless the element was picked up
+    const elementControls = new PositionControls(
+      element, undefined, { keyboard: false }
+    );
+    threeElement.userData.controls = elementControls;
+
+    threeElement.userData.handleKeyDown = (event) => {
+      this.handleHotspotKeyDown(event, threeElement);
+    };
+    element.addEventListener('keydown', threeElement.userData.handleKeyDown);
+
+    threeElement.userData.handleBlur = () => {
+      const drag = this.hotspotDrag;
+      if (drag?.isKeyboard && drag.threeElement === threeElement) {
+        this.dropHotspot(); // Keep position when leaving
+      }
+    };
+    element.addEventListener('blur', threeElement.userData.handleBlur);
+
+    // Toggle selection on shift-click
+    threeElement.userData.gestures = GestureRecognizer.for(element);
+    threeElement.userData.handleTap = (event) => {
+      if (this.options.hotspotSelection && event.data.originalEvent.shiftKey) {
+        this.toggleHotspotSelected(threeElement.userData.hotspotId);
+      }
+    };
+    threeElement.userData.gestures.on('tap', threeElement.userData.handleTap);
+
+    // Relay and supplement startMoving event
+    elementControls.on('movestart', (event) => {
+      if (this.hotspotDrag?.isKeyboard) {
+        this.dropHotspot();
+      }
+
+      // Set element start position
+      elementControls.startY = -threeElement.rotation.y;
+      elementControls.startX = threeElement.rotation.x;
+
+      this.hotspotDrag = {
+        threeElement: threeElement,
+        snapped: { yaw: null, pitch: null },
+        group: this.getHotspotDragGroup(threeElement)
+      };
+
+      this.preventDeviceOrientation = true;
+      this.trigger(event);
+    });
+
+    // Update element position according to movement
+    elementControls.on('move', (event) => {
+      let alpha = event.alpha;
+      let beta = event.beta;
+
+      // Constrain movement to dominant axis
+      if (event.shiftKey) {
+        if (Math.abs(alpha) >= Math.abs(beta)) {
+          beta = 0;
+        }
+        else {
+          alpha = 0;
+        }
+      }
+
+      const position = this.snapHotspotPosition(threeElement, {
+        yaw: elementControls.startY + alpha,
+        pitch: elementControls.startX - beta
+      });
+
+      this.hotspotDrag.snapped = position.snapped;
+      this.moveHotspotGroup(position);
+    });
+
+    // Relay and supplement stopMoving event
+    elementControls.on('movestop', (event) => {
+      this.preventDeviceOrientation = false;
+      this.finishHotspotDrag(event, threeElement);
+    });
+  }
+
+  /**
+   * Get maximum pitch of elements, keeping them on the image of panoramas.
+   * @returns {number} Maximum pitch.
+   */
+  getMaxHotspotPitch() {
+    if (!this.options.isPanorama) {
+      return MAX_PITCH;
+    }
+
+    return HOTSPOT_PITCH_FACTOR_PANORAMA * Util.toRad(this.fieldOfView) / 2;
+  }
+
+  /**
+   * Get elements moved together with an element, all selected elements if
+   * the element is selected.
+   * @param {H5P.ThreeJS.CSS3DObject} threeElement ThreeJS object of element.
+   * @returns {object[]} Hotspots with their start yaw and pitch.
+   */
+  getHotspotDragGroup(threeElement) {
+    const id = threeElement.userData.hotspotId;
+    const ids = this.selectedHotspotIds.has(id) ?
+      [...this.selectedHotspotIds] :
+      [id];
+
+    return ids.map((id) => {
+      const hotspot = this.hotspots.get(id);
+      return { hotspot: hotspot, yaw: hotspot.yaw, pitch: hotspot.pitch };
+    });
+  }
+
+  /**
+   * Relay movestop event of dragged element and record the move for undo.
+   * @param {H5P.Event} event Movestop event.
+   * @param {H5P.ThreeJS.CSS3DObject} threeElement ThreeJS object of element.
+   */
+  finishHotspotDrag(event, threeElement) {
+    event.data = {
+      target: threeElement.element,
+      yaw: -threeElement.rotation.y,
+      pitch: threeElement.rotation.x,
+      snapped: this.hotspotDrag?.snapped ?? { yaw: null, pitch: null }
+    };
+
+    const group = this.hotspotDrag?.group ?? [];
+    this.hotspotDrag = null;
+    this.requestRender(); // Remove guides
+
+    this.trigger(event);
+
+    this.recordHotspotMove(group
+      .filter((item) => this.hotspots.has(item.hotspot.id))
+      .map((item) => ({
+        id: item.hotspot.id,
+        from: { yaw: item.yaw, pitch: item.pitch },
+        to: { yaw: item.hotspot.yaw, pitch: item.hotspot.pitch }
+      }))
+      .filter((change) => {
+        return change.from.yaw !== change.to.yaw ||
+          change.from.pitch !== change.to.pitch;
+      })
+    );
+  }
+
+  /**
+   * Handle key down on element with controls. The moveHotspot key picks the
+   * element up, so Enter and Space keep activating it. Arrow keys move the
+   * picked up element, Enter or the moveHotspot key confirm and Escape cancels.
+   * @param {KeyboardEvent} event Keyboard event.
+   * @param {H5P.ThreeJS.CSS3DObject} threeElement ThreeJS object of element.
+   */
+  handleHotspotKeyDown(event, threeElement) {
+    if (event.target !== threeElement.element) {
+      return; // Content of element
+    }
+
+    const drag = this.hotspotDrag;
+    const isPickedUp = drag?.isKeyboard && drag.threeElement === threeElement;
+
+    if (!isPickedUp) {
+      if (
+        drag || event.ctrlKey || event.altKey || event.metaKey ||
+        this.keymap.getAction(event) !== 'moveHotspot'
+      ) {
+        return;
+      }
+
+      this.pickUpHotspot(threeElement);
+    }
+    else {
+      const step = Util.toRad(
+        event.shiftKey ? HOTSPOT_KEYBOARD_FINE_STEP : HOTSPOT_KEYBOARD_STEP
+      );
+
+      const action = (['Enter', 'Escape'].includes(event.key)) ?
+        event.key :
+        this.keymap.getAction(event);
+
+      switch (action) {
+        case 'Enter':
+        case 'moveHotspot':
+          this.dropHotspot();
+          break;
+
+        case 'Escape':
+          this.dropHotspot(true);
+          break;
+
+        case 'panLeft':
+          this.moveHotspotByKeyboard(-step, 0);
+          break;
+
+        case 'panRight':
+          this.moveHotspotByKeyboard(step, 0);
+          break;
+
+        case 'panUp':
+          this.moveHotspotByKeyboard(0, step);
+          break;
+
+        case 'panDown':
+          this.moveHotspotByKeyboard(0, -step);
+          break;
+
+        default:
+          return;
+      }
+    }
+
+    // Keep camera controls from handling the key
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  /**
+   * Pick up element to move it using the keyboard.
+   * @param {H5P.ThreeJS.CSS3DObject} threeElement ThreeJS object of element.
+   */
+  pickUpHotspot(threeElement) {
+    const hotspot = this.hotspots.get(threeElement.userData.hotspotId);
+
+    this.hotspotDrag = {
+      threeElement: threeElement,
+      snapped: { yaw: null, pitch: null },
+      group: this.getHotspotDragGroup(threeElement),
+      isKeyboard: true,
+      position: { yaw: hotspot.yaw, pitch: hotspot.pitch }
+    };
+
+    this.preventDeviceOrientation = true;
+
+    threeElement.element.classList.add('h5p-three-sixty-picked-up');
+
+    this.trigger('movestart', {
+      element: threeElement.element,
+      isCamera: false,
+      target: threeElement.element
+    });
+
+    this.announce(
+      this.options.l10n.hotspotPickedUp.replace('@label', hotspot.label)
+    );
+  }
+
+  /**
+   * Move picked up element.
+   * @param {number} yawDelta Horizontal change in radians.
+   * @param {number} pitchDelta Vertical change in radians.
+   */
+  moveHotspotByKeyboard(yawDelta, pitchDelta) {
+    const drag = this.hotspotDrag;
+    const hotspot = this.hotspots.get(drag.threeElement.userData.hotspotId);
+
+    this.moveHotspotGroup({
+      yaw: drag.position.yaw + yawDelta,
+      pitch: Math.max(
+        -this.getMaxHotspotPitch(),
+        Math.min(drag.position.pitch + pitchDelta, this.getMaxHotspotPitch())
+      )
+    });
+
+    drag.position = { yaw: hotspot.yaw, pitch: hotspot.pitch };
+
+    // Keep element in view
+    this.flyTo({ yaw: hotspot.yaw, pitch: hotspot.pitch });
+
+    this.announce(HotspotEditing.getPositionText(
+      this.options.l10n.hotspotPosition, hotspot
+    ));
+  }
+
+  /**
+   * Drop element that was picked up using the keyboard.
+   * @param {boolean} [isCancelled] If true, restore previous position.
+   */
+  dropHotspot(isCancelled = false) {
+    const drag = this.hotspotDrag;
+    const threeElement = drag.threeElement;
+    const hotspot = this.hotspots.get(threeElement.userData.hotspotId);
+
+    if (isCancelled) {
+      drag.group.forEach((item) => {
+        this.setHotspotPosition(item.hotspot.threeElement, item);
+      });
+    }
+
+    threeElement.element.classList.remove('h5p-three-sixty-picked-up');
+
+    this.preventDeviceOrientation = false;
+    this.finishHotspotDrag(new H5P.Event('movestop'), threeElement);
+
+    this.announce(isCancelled ?
+      this.options.l10n.hotspotMoveCancelled.replace('@label', hotspot.label) :
+      HotspotEditing.getPositionText(this.options.l10n.hotspotDropped, hotspot)
+    );
+  }
+
+  /**
+   * Remove controls of element.
+   * @param {H5P.ThreeJS.CSS3DObject} threeElement ThreeJS object of element.
+   */
+  destroyElementControls(threeElement) {
+    threeElement.userData.controls?.destroy();
+
+    threeElement.element.removeEventListener(
+      'keydown', threeElement.userData.handleKeyDown
+    );
+    threeElement.element.removeEventListener(
+      'blur', threeElement.userData.handleBlur
+    );
+    threeElement.element.classList.remove('h5p-three-sixty-picked-up');
+
+    if (threeElement.userData.gestures) {
+      threeElement.userData.gestures.off('tap', threeElement.userData.handleTap);
+      threeElement.userData.gestures.release();
+    }
+
+    if (this.hotspotDrag?.threeElement === threeElement) {
+      this.hotspotDrag = null;
+      this.preventDeviceOrientation = false;
+    }
+
+    const id = threeElement.userData.hotspotId;
+    if (this.selectedHotspotIds.has(id)) {
+      threeElement.element.classList.remove('h5p-three-sixty-selected');
+      this.setSelectedHotspots(
+        [...this.selectedHotspotIds].filter((selectedId) => selectedId !== id)
+      );
+    }
+  }
+
+  /**
+   * Move dragged element and the other elements of its group, keeping their
+   * angular offsets.
+   * @param {object} position New position of dragged element.
+   * @param {number} position.yaw Horizontal angle.
+   * @param {number} position.pitch Vertical angle.
+   */
+  moveHotspotGroup(position) {
+    const group = this.hotspotDrag.group;
+    const origin = group.find((item) => {
+      return item.hotspot.threeElement === this.hotspotDrag.threeElement;
+    });
+
+    const yawDelta = position.yaw - origin.yaw;
+    let pitchDelta = position.pitch - origin.pitch;
+
+    // Limit pitch for panorama without distorting the group
+    if (this.options.isPanorama) {
+      const maxPitch = this.getMaxHotspotPitch();
+      const pitches = group.map((item) => item.pitch);
+      pitchDelta = Math.max(
+        -maxPitch - Math.min(...pitches),
+        Math.min(pitchDelta, maxPitch - Math.max(...pitches))
+      );
+    }
+
+    group.forEach((item) => {
+      this.setHotspotPosition(item.hotspot.threeElement, {
+        yaw: item.yaw + yawDelta,
+        pitch: item.pitch + pitchDelta
+      });
+    });
+  }
+
+  /**
+   * Get IDs of selected elements.
+   * @returns {string[]} IDs.
+   */
+  getSelectedHotspots() {
+    return [...this.selectedHotspotIds];
+  }
+
+  /**
+   * Set selected elements.
+   * @param {string[]} ids IDs of elements, unknown IDs are ignored.
+   */
+  setSelectedHotspots(ids = []) {
+    this.selectedHotspotIds.forEach((id) => {
+      this.hotspots.get(id)?.element.classList.remove('h5p-three-sixty-selected');
+    });
+
+    this.selectedHotspotIds = new Set(ids.filter((id) => this.hotspots.has(id)));
+
+    this.selectedHotspotIds.forEach((id) => {
+      this.hotspots.get(id).element.classList.add('h5p-three-sixty-selected');
+    });
+
+    this.trigger('selectionchange', { ids: this.getSelectedHotspots() });
+  }
+
+  /**
+   * Toggle whether element is selected.
+   * @param {string} id ID of element.
+   */
+  toggleHotspotSelected(id) {
+    const ids = new Set(this.selectedHotspotIds);
+    if (!ids.delete(id)) {
+      ids.add(id);
+    }
+
+    this.setSelectedHotspots([...ids]);
+  }
+
+  /**
+   * Build lasso for selecting elements by shift-dragging on the scene.
+   * Must be built before the camera controls to intercept the pointer.
+   */
+  buildHotspotLasso() {
+    [
+      'handleLassoPointerDown', 'handleLassoPointerMove', 'handleLassoPointerUp'
+    ].forEach((listener) => {
+      this[listener] = this[listener].bind(this);
+    });
+
+    this.css2dRenderer.domElement.addEventListener(
+      'pointerdown', this.handleLassoPointerDown, true
+    );
+  }
+
+  /**
+   * Start lasso when shift-dragging on the scene.
+   * @param {PointerEvent} event Pointer event.
+   */
+  handleLassoPointerDown(event) {
+    if (
+      !this.options.hotspotSelection || !event.shiftKey || event.button !== 0 ||
+      this.hotspots.list().some((hotspot) => {
+        return hotspot.element.contains(event.target);
+      })
+    ) {
+      return;
+    }
+
+    event.stopImmediatePropagation(); // Keep camera from moving
+
+    const container = this.css2dRenderer.domElement;
+    container.setPointerCapture(event.pointerId);
+    container.addEventListener('pointermove', this.handleLassoPointerMove);
+    container.addEventListener('pointerup', this.handleLassoPointerUp);
+    container.addEventListener('pointercancel', this.handleLassoPointerUp);
+
+    this.lasso = {
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      element: document.createElement('div')
+    };
+    this.lasso.element.classList.add('h5p-three-sixty-lasso');
+    container.append(this.lasso.element);
+
+    this.handleLassoPointerMove(event);
+  }
+
+  /**
+   * Resize lasso.
+   * @param {PointerEvent} event Pointer event.
+   */
+  handleLassoPointerMove(event) {
+    if (event.pointerId !== this.lasso?.pointerId) {
+      return;
+    }
+
+    this.lasso.rect = {
+      left: Math.min(this.lasso.startX, event.clientX),
+      top: Math.min(this.lasso.startY, event.clientY),
+      right: Math.max(this.lasso.startX, event.clientX),
+      bottom: Math.max(this.lasso.startY, event.clientY)
+    };
+
+    const containerRect = this.css2dRenderer.domElement.getBoundingClientRect();
+    const style = this.lasso.element.style;
+    style.left = `${this.lasso.rect.left - containerRect.left}px`;
+    style.top = `${this.lasso.rect.top - containerRect.top}px`;
+    style.width = `${this.lasso.rect.right - this.lasso.rect.left}px`;
+    style.height = `${this.lasso.rect.bottom - this.lasso.rect.top}px`;
+  }
+
+  /**
+   * Add elements with controls inside lasso to selection.
+   * @param {PointerEvent} event Pointer event.
+   */
+  handleLassoPointerUp(event) {
+    if (event.pointerId !== this.lasso?.pointerId) {
+      return;
+    }
+
+    const container = this.css2dRenderer.domElement;
+    container.removeEventListener('pointermove', this.handleLassoPointerMove);
+    container.removeEventListener('pointerup', this.handleLassoPointerUp);
+    container.removeEventListener('pointercancel', this.handleLassoPointerUp);
+
+    const rect = this.lasso.rect;
+    this.lasso.element.remove();
+    this.lasso = null;
+
+    if (event.type === 'pointercancel') {
+      return;
+    }
+
+    const ids = this.hotspots.list()
+      .filter((hotspot) => {
+        const bounds = hotspot.element.getBoundingClientRect();
+        const x = bounds.left + bounds.width / 2;
+        const y = bounds.top + bounds.height / 2;
+
+        return hotspot.enableControls &&
+          x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+      })
+      .map((hotspot) => hotspot.id);
+
+    if (ids.length) {
+      this.setSelectedHotspots([...this.selectedHotspotIds, ...ids]);
+    }
+  }
+
+  /**
+   * Remove lasso listeners.
+   */
+  destroyHotspotLasso() {
+    this.css2dRenderer.domElement.removeEventListener(
+      'pointerdown', this.handleLassoPointerDown, true
+    );
+    this.lasso?.element.remove();
+    this.lasso = null;
+  }
+
+  /**
+   * Record position changes of elements for undo and announce them.
+   * @param {object[]} changes Changes with id, from and to position.
+   */
+  recordHotspotMove(changes) {
+    if (!changes.length) {
+      return;
+    }
+
+    this.hotspotHistory.undo.push(changes);
+    if (this.hotspotHistory.undo.length > HOTSPOT_HISTORY_SIZE) {
+      this.hotspotHistory.undo.shift();
+    }
+    this.hotspotHistory.redo = [];
+
+    this.triggerGroupMoveStop(changes, 'to', 'move');
+  }
+
+  /**
+   * Undo last position change of elements.
+   * @returns {boolean} True, if a change was undone.
+   */
+  undoHotspotMove() {
+    const changes = this.hotspotHistory.undo.pop();
+    if (!changes) {
+      return false;
+    }
+
+    this.hotspotHistory.redo.push(changes);
+    this.triggerGroupMoveStop(changes, 'from', 'undo');
+
+    return true;
+  }
+
+  /**
+   * Redo last undone position change of elements.
+   * @returns {boolean} True, if a change was redone.
+   */
+  redoHotspotMove() {
+    const changes = this.hotspotHistory.redo.pop();
+    if (!changes) {
+      return false;
+    }
+
+    this.hotspotHistory.undo.push(changes);
+    this.triggerGroupMoveStop(changes, 'to', 'redo');
+
+    return true;
+  }
+
+  /**
+   * Apply positions of changes and trigger one event with all new positions.
+   * @param {object[]} changes Changes with id, from and to position.
+   * @param {string} key from|to, positions to use.
+   * @param {string} action move|undo|redo.
+   */
+  triggerGroupMoveStop(changes, key, action) {
+    const hotspots = changes
+      .filter((change) => this.hotspots.has(change.id))
+      .map((change) => {
+        this.hotspots.update(change.id, change[key]);
+
+        return {
+          id: change.id,
+          target: this.hotspots.get(change.id).element,
+          yaw: change[key].yaw,
+          pitch: change[key].pitch
+        };
+      });
+
+    this.trigger('groupmovestop', { action: action, hotspots: hotspots });
+  }
+
+  /**
+   * Set snapping of elements that are dragged.
+   * @param {object} snapping Snapping.
+   * @param {number} [snapping.grid] Grid size in degrees, 0 for none.
+   * @param {boolean} [snapping.horizon] If true, snap to the horizon.
+   * @param {boolean} [snapping.hotspots] If true, snap to yaw/pitch of other elements.
+   * @param {number} [snapping.threshold] Distance in degrees to snap to horizon or elements.
+   */
+  setHotspotSnapping(snapping = {}) {
+    Util.extend(this.options.hotspotSnapping, snapping);
+  }
+
+  /**
+   * Snap position of dragged element according to snapping options.
+   * Other elements and the horizon take precedence over the grid.
+   * @param {H5P.ThreeJS.CSS3DObject} threeElement Dragged element.
+   * @param {object} position Unsnapped position.
+   * @param {number} position.yaw Horizontal angle.
+   * @param {number} position.pitch Vertical angle.
+   * @returns {object} Yaw, pitch and snapped, telling for yaw and pitch whether
+   *   they were snapped to grid, horizon, hotspot or not at all (null).
+   */
+  snapHotspotPosition(threeElement, position) {
+    const snapping = this.options.hotspotSnapping;
+    const threshold = Util.toRad(snapping.threshold);
+
+    let yaw = position.yaw;
+    let pitch = position.pitch;
+    const snapped = { yaw: null, pitch: null };
+
+    if (snapping.hotspots) {
+      let closestYaw = threshold;
+      let closestPitch = threshold;
+
+      this.hotspots.list().forEach((hotspot) => {
+        const isMovedAlong = this.hotspotDrag?.group.some((item) => {
+          return item.hotspot === hotspot;
+        });
+
+        if (hotspot.threeElement === threeElement || isMovedAlong) {
+          return;
+        }
+
+        const yawDelta = Util.getShortestAngleDelta(position.yaw, hotspot.yaw);
+        if (Math.abs(yawDelta) < closestYaw) {
+          closestYaw = Math.abs(yawDelta);
+          yaw = position.yaw + yawDelta;
+          snapped.yaw = HotspotEditing.SNAP_HOTSPOT;
+        }
+
+        const pitchDelta = hotspot.pitch - position.pitch;
+        if (Math.abs(pitchDelta) < closestPitch) {
+          closestPitch = Math.abs(pitchDelta);
+          pitch = hotspot.pitch;
+          snapped.pitch = HotspotEditing.SNAP_HOTSPOT;
+        }
+      });
+    }
+
+    if (!snapped.pitch && snapping.horizon && Math.abs(pitch) < threshold) {
+      pitch = 0;
+      snapped.pitch = HotspotEditing.SNAP_HORIZON;
+    }
+
+    if (snapping.grid > 0) {
+      const step = Util.toRad(snapping.grid);
+
+      if (!snapped.yaw) {
+        yaw = Math.round(yaw / step) * step;
+        snapped.yaw = HotspotEditing.SNAP_GRID;
+      }
+
+      if (!snapped.pitch) {
+        pitch = Math.round(pitch / step) * step;
+        snapped.pitch = HotspotEditing.SNAP_GRID;
+      }
+    }
+
+    // Limit pitch for panorama
+    if (this.options.isPanorama) {
+      const clampedPitch = Math.max(
+        -this.getMaxHotspotPitch(),
+        Math.min(pitch, this.getMaxHotspotPitch())
+      );
+
+      if (clampedPitch !== pitch) {
+        pitch = clampedPitch;
+        snapped.pitch = null;
+      }
+    }
+
+    return { yaw: yaw, pitch: pitch, snapped: snapped };
+  }
+
+  /**
+   * Draw guides through the dragged element for snapped axes.
+   * Called after rendering.
+   */
+  updateSnapGuides() {
+    const drag = this.hotspotDrag;
+    if (!drag || (!drag.snapped.yaw && !drag.snapped.pitch)) {
+      this.snapGuides?.remove();
+      this.snapGuides = null;
+      return;
+    }
+
+    const width = this.element.clientWidth;
+    const height = this.element.clientHeight;
+
+    if (!this.snapGuides) {
+      this.snapGuides = document.createElementNS(
+        'http://www.w3.org/2000/svg', 'svg'
+      );
+      this.snapGuides.classList.add('h5p-three-sixty-snap-guides');
+      this.snapGuides.setAttribute('aria-hidden', 'true');
+      this.css2dRenderer.domElement.prepend(this.snapGuides);
+    }
+
+    this.snapGuides.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    this.snapGuides.replaceChildren();
+
+    const point = new H5P.ThreeJS.Vector3()
+      .setFromMatrixPosition(drag.threeElement.matrixWorld)
+      .project(this.camera);
+    const x = (point.x + 1) / 2 * width;
+    const y = (1 - point.y) / 2 * height;
+
+    const guides = [
+      { snap: drag.snapped.yaw, x1: x, y1: 0, x2: x, y2: height },
+      { snap: drag.snapped.pitch, x1: 0, y1: y, x2: width, y2: y }
+    ];
+
+    guides.forEach((guide) => {
+      if (!guide.snap) {
+        return;
+      }
+
+      const line = document.createElementNS(
+        'http://www.w3.org/2000/svg', 'line'
+      );
+      line.classList.add(`h5p-three-sixty-snap-guide-${guide.snap}`);
+      ['x1', 'y1', 'x2', 'y2'].forEach((attribute) => {
+        line.setAttribute(attribute, guide[attribute]);
+      });
+
+      this.snapGuides.append(line);
+    });
+  }
+
+  /**
+   * Get text describing position of element.
+   * @param {string} text Text with @label, @yaw and @pitch placeholders.
+   * @param {object} hotspot Hotspot.
+   * @returns {string} Text with position in whole degrees.
+   */
+  static getPositionText(text, hotspot) {
+    const yaw = Math.round(Util.toDeg(hotspot.yaw)) % 360;
+
+    return text
+      .replace('@label', hotspot.label)
+      .replace('@yaw', (yaw + 360) % 360)
+      .replace('@pitch', Math.round(Util.toDeg(hotspot.pitch)));
+  }
+}
+
+/** @constant {string} SNAP_GRID Position snapped to grid. */
+HotspotEditing.SNAP_GRID = 'grid';
+
+/** @constant {string} SNAP_HORIZON Position snapped to horizon. */
+HotspotEditing.SNAP_HORIZON = 'horizon';
+
+/** @constant {string} SNAP_HOTSPOT Position snapped to other hotspot. */
+HotspotEditing.SNAP_HOTSPOT = 'hotspot';
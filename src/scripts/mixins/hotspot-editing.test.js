@@ -0,0 +1,541 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { HOTSPOT_HISTORY_SIZE } from '@services/constants';
+import Util from '@services/util';
+import {
+  assertAngle, createViewer, dispatchPointer, dragPointer, pressKey, runFrames
+} from '../../../tests/helpers.js';
+
+/** @constant {number} FRICTION Pixels dragged per radian. */
+const FRICTION = 800;
+
+/**
+ * Create viewer with one element that has controls.
+ * @param {object} [options] Options of the viewer.
+ * @param {object} [position] Position of the element.
+ * @returns {object} Viewer, element and its hotspot.
+ */
+const createViewerWithHotspot = (options, position = { yaw: 1, pitch: 0 }) => {
+  const viewer = createViewer(options);
+
+  const element = document.createElement('button');
+  element.setAttribute('aria-label', 'Door');
+  const threeElement = viewer.add(element, position, true);
+
+  return {
+    viewer: viewer,
+    element: element,
+    hotspot: viewer.getHotspots().get(threeElement.userData.hotspotId)
+  };
+};
+
+/**
+ * Drag element with the mouse.
+ * @param {H5P.NDLAThreeSixty} viewer Viewer.
+ * @param {HTMLElement} element Element.
+ * @param {number} yawDelta Horizontal change without snapping in radians.
+ * @param {number} pitchDelta Vertical change without snapping in radians.
+ * @param {object} [init] Further event properties, e.g. shiftKey.
+ * @returns {object} Data of movestop event.
+ */
+const dragHotspot = (viewer, element, yawDelta, pitchDelta, init) => {
+  let data;
+  viewer.once('movestop', (event) => {
+    data = event.data;
+  });
+
+  dragPointer(element, [
+    { clientX: 0, clientY: 0 },
+    { clientX: yawDelta * FRICTION, clientY: -pitchDelta * FRICTION }
+  ], init);
+
+  return data;
+};
+
+/**
+ * Create viewer with selectable elements at yaw 0, 0.5 and 1.
+ * @param {object} [options] Options of the viewer.
+ * @returns {object} Viewer and hotspots.
+ */
+const createViewerWithGroup = (options = {}) => {
+  const viewer = createViewer({ hotspotSelection: true, ...options });
+
+  const hotspots = ['a', 'b', 'c'].map((id, index) => {
+    const element = document.createElement('button');
+    element.textContent = id;
+    viewer.add(element, { yaw: index / 2, pitch: 0 }, true, { id: id });
+
+    return viewer.getHotspots().get(id);
+  });
+
+  return { viewer: viewer, hotspots: hotspots };
+};
+
+/**
+ * Click element with Shift pressed.
+ * @param {HTMLElement} element Element.
+ */
+const shiftClick = (element) => {
+  dispatchPointer(element, 'pointerdown', { shiftKey: true });
+  dispatchPointer(element, 'pointerup', { shiftKey: true });
+};
+
+describe('HotspotEditing', () => {
+  describe('keyboard', () => {
+    it('keeps Enter and Space for activating the element', () => {
+      const { viewer, element } = createViewerWithHotspot();
+
+      ['Enter', ' '].forEach((key) => {
+        const event = pressKey(element, key, { code: 'Space' });
+
+        assert.equal(event.defaultPrevented, false);
+        assert.equal(viewer.hotspotDrag, null);
+      });
+
+      viewer.destroy();
+    });
+
+    it('moves the element after picking it up', () => {
+      const { viewer, element, hotspot } = createViewerWithHotspot();
+      const events = [];
+      viewer.on('movestart', () => events.push('movestart'));
+      viewer.on('movestop', (event) => events.push(event.data.yaw));
+
+      const pickUp = pressKey(element, 'm', { code: 'KeyM' });
+      assert.equal(pickUp.defaultPrevented, true);
+      assert.ok(element.classList.contains('h5p-three-sixty-picked-up'));
+      assert.match(viewer.liveRegion.textContent, /^Moving Door\./);
+
+      pressKey(element, 'ArrowRight');
+      pressKey(element, 'ArrowRight', { shiftKey: true });
+      assertAngle(hotspot.yaw, 1 + Util.toRad(6));
+
+      const drop = pressKey(element, 'Enter');
+      assert.equal(drop.defaultPrevented, true);
+      assert.equal(viewer.hotspotDrag, null);
+      assert.equal(element.classList.contains('h5p-three-sixty-picked-up'), false);
+      assert.equal(events[0], 'movestart');
+      assertAngle(events[1], 1 + Util.toRad(6));
+
+      viewer.destroy();
+    });
+
+    it('restores the position when cancelled', () => {
+      const { viewer, element, hotspot } = createViewerWithHotspot();
+
+      pressKey(element, 'm', { code: 'KeyM' });
+      pressKey(element, 'ArrowUp');
+      pressKey(element, 'Escape');
+
+      assertAngle(hotspot.yaw, 1);
+      assertAngle(hotspot.pitch, 0);
+      assert.match(viewer.liveRegion.textContent, /cancelled/);
+
+      viewer.destroy();
+    });
+
+    it('keeps device orientation from turning the camera', () => {
+      const { viewer, element, hotspot } = createViewerWithHotspot();
+      viewer.startRendering();
+      viewer.handleDeviceOrientationChange({ yaw: 0, pitch: 0 });
+      const position = viewer.getCurrentPosition();
+
+      pressKey(element, 'm', { code: 'KeyM' });
+      viewer.handleDeviceOrientationChange({ yaw: 1, pitch: 0.2 });
+      assert.deepEqual(viewer.getCurrentPosition(), position);
+
+      // Camera follows the element instead
+      pressKey(element, 'ArrowRight');
+      runFrames(60);
+      assertAngle(viewer.getCurrentPosition().yaw, hotspot.yaw);
+
+      pressKey(element, 'Escape');
+      assert.equal(viewer.preventDeviceOrientation, false);
+
+      pressKey(element, 'm', { code: 'KeyM' });
+      pressKey(element, 'Enter');
+      assert.equal(viewer.preventDeviceOrientation, false);
+
+      pressKey(element, 'm', { code: 'KeyM' });
+      viewer.getHotspots().remove(hotspot.id);
+      assert.equal(viewer.preventDeviceOrientation, false);
+
+      viewer.destroy();
+    });
+
+    it('picks up with the key bound to moveHotspot', () => {
+      const { viewer, element } = createViewerWithHotspot({
+        keymap: { moveHotspot: ['F2'] }
+      });
+
+      pressKey(element, 'm', { code: 'KeyM' });
+      assert.equal(viewer.hotspotDrag, null);
+
+      pressKey(element, 'F2');
+      assert.equal(viewer.hotspotDrag?.isKeyboard, true);
+
+      pressKey(element, 'F2');
+      assert.equal(viewer.hotspotDrag, null);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('snapping', () => {
+    it('is off by default', () => {
+      const { viewer, element, hotspot } = createViewerWithHotspot();
+
+      const data = dragHotspot(viewer, element, 0.1, -0.02);
+
+      assertAngle(hotspot.yaw, 1.1);
+      assertAngle(hotspot.pitch, -0.02);
+      assert.deepEqual(data.snapped, { yaw: null, pitch: null });
+
+      viewer.destroy();
+    });
+
+    it('snaps to the grid', () => {
+      const { viewer, element, hotspot } = createViewerWithHotspot({
+        hotspotSnapping: { grid: 10 }
+      });
+
+      const data = dragHotspot(viewer, element, 0.1, 0.1);
+
+      assertAngle(hotspot.yaw, Util.toRad(60));
+      assertAngle(hotspot.pitch, Util.toRad(10));
+      assert.equal(data.target, element);
+      assertAngle(data.yaw, Util.toRad(60));
+      assertAngle(data.pitch, Util.toRad(10));
+      assert.deepEqual(data.snapped, { yaw: 'grid', pitch: 'grid' });
+
+      viewer.destroy();
+    });
+
+    it('snaps to the horizon within the threshold', () => {
+      const { viewer, element, hotspot } = createViewerWithHotspot(
+        { hotspotSnapping: { horizon: true, threshold: 2 } },
+        { yaw: 1, pitch: 0.1 }
+      );
+
+      let data = dragHotspot(viewer, element, 0.1, -0.09);
+      assert.equal(hotspot.pitch, 0);
+      assert.deepEqual(data.snapped, { yaw: null, pitch: 'horizon' });
+
+      data = dragHotspot(viewer, element, 0, Util.toRad(2.5));
+      assertAngle(hotspot.pitch, Util.toRad(2.5));
+      assert.deepEqual(data.snapped, { yaw: null, pitch: null });
+
+      viewer.destroy();
+    });
+
+    it('snaps to other elements before the grid', () => {
+      const { viewer, element, hotspot } = createViewerWithHotspot({
+        hotspotSnapping: { hotspots: true, grid: 10 }
+      });
+      viewer.add(document.createElement('button'), { yaw: 1.3, pitch: 0.5 });
+
+      const data = dragHotspot(viewer, element, 0.29, 0.02);
+
+      assert.equal(hotspot.yaw, 1.3);
+      assertAngle(hotspot.pitch, 0);
+      assert.deepEqual(data.snapped, { yaw: 'hotspot', pitch: 'grid' });
+
+      viewer.destroy();
+    });
+
+    it('can be changed', () => {
+      const { viewer, element, hotspot } = createViewerWithHotspot();
+
+      viewer.setHotspotSnapping({ grid: 45 });
+      dragHotspot(viewer, element, 0.1, 0);
+
+      assertAngle(hotspot.yaw, Util.toRad(45));
+      assert.equal(viewer.options.hotspotSnapping.horizon, false);
+
+      viewer.destroy();
+    });
+
+    it('keeps elements on the image of panoramas', () => {
+      const { viewer, element, hotspot } = createViewerWithHotspot({
+        isPanorama: true, hotspotSnapping: { grid: 10 }
+      });
+
+      const data = dragHotspot(viewer, element, 0, 1);
+
+      assertAngle(hotspot.pitch, viewer.getMaxHotspotPitch());
+      assert.equal(data.snapped.pitch, null);
+
+      viewer.destroy();
+    });
+
+    it('constrains movement to one axis with Shift', () => {
+      const { viewer, element, hotspot } = createViewerWithHotspot();
+
+      dragHotspot(viewer, element, 0.1, 0.02, { shiftKey: true });
+      assertAngle(hotspot.yaw, 1.1);
+      assertAngle(hotspot.pitch, 0);
+
+      dragHotspot(viewer, element, 0.02, 0.1, { shiftKey: true });
+      assertAngle(hotspot.yaw, 1.1);
+      assertAngle(hotspot.pitch, 0.1);
+
+      viewer.destroy();
+    });
+
+    it('shows guides while dragging', () => {
+      const { viewer, element } = createViewerWithHotspot({
+        hotspotSnapping: { horizon: true }
+      });
+      viewer.startRendering();
+      runFrames();
+
+      dispatchPointer(element, 'pointerdown', { clientX: 0, clientY: 0 });
+      runFrames();
+      dispatchPointer(element, 'pointermove', { clientX: 80, clientY: 0 });
+      runFrames();
+
+      const guides = viewer.getElement()
+        .querySelectorAll('.h5p-three-sixty-snap-guides line');
+      assert.equal(guides.length, 1);
+      assert.ok(
+        guides[0].classList.contains('h5p-three-sixty-snap-guide-horizon')
+      );
+
+      dispatchPointer(element, 'pointerup', { clientX: 80, clientY: 0 });
+      runFrames();
+
+      assert.equal(
+        viewer.getElement().querySelector('.h5p-three-sixty-snap-guides'), null
+      );
+
+      viewer.destroy();
+    });
+  });
+
+  describe('selection', () => {
+    it('toggles elements on shift-click', () => {
+      const { viewer, hotspots } = createViewerWithGroup();
+      const changes = [];
+      viewer.on('selectionchange', (event) => {
+        changes.push(event.data.ids);
+      });
+
+      shiftClick(hotspots[0].element);
+      shiftClick(hotspots[2].element);
+      shiftClick(hotspots[0].element);
+
+      assert.deepEqual(changes, [['a'], ['a', 'c'], ['c']]);
+      assert.deepEqual(viewer.getSelectedHotspots(), ['c']);
+      assert.ok(
+        hotspots[2].element.classList.contains('h5p-three-sixty-selected')
+      );
+      assert.equal(
+        hotspots[0].element.classList.contains('h5p-three-sixty-selected'),
+        false
+      );
+
+      viewer.destroy();
+    });
+
+    it('is not possible unless enabled', () => {
+      const { viewer, hotspots } = createViewerWithGroup({
+        hotspotSelection: false
+      });
+
+      shiftClick(hotspots[0].element);
+
+      assert.deepEqual(viewer.getSelectedHotspots(), []);
+
+      viewer.destroy();
+    });
+
+    it('adds elements with controls inside the lasso', (t) => {
+      const { viewer, hotspots } = createViewerWithGroup();
+      viewer.add(
+        document.createElement('button'), { yaw: 0.2, pitch: 0 }, false,
+        { id: 'other' }
+      );
+
+      // Element without controls, a and b inside of lasso, c outside
+      [viewer.getHotspots().get('other'), ...hotspots]
+        .forEach((hotspot, index) => {
+          t.mock.method(hotspot.element, 'getBoundingClientRect', () => {
+            return { left: index * 100, top: 100, width: 20, height: 20 };
+          });
+        });
+      viewer.setSelectedHotspots(['c']);
+      const container = viewer.css2dRenderer.domElement;
+      const move = t.mock.method(viewer.cameraControls, 'move');
+
+      dispatchPointer(container, 'pointerdown', {
+        clientX: 0, clientY: 50, shiftKey: true
+      });
+      dispatchPointer(container, 'pointermove', { clientX: 250, clientY: 150 });
+      const lasso = container.querySelector('.h5p-three-sixty-lasso');
+      assert.equal(lasso.style.width, '250px');
+      assert.equal(lasso.style.height, '100px');
+
+      dispatchPointer(container, 'pointerup', { clientX: 350, clientY: 150 });
+
+      assert.deepEqual(viewer.getSelectedHotspots(), ['c', 'a', 'b']);
+      assert.equal(container.querySelector('.h5p-three-sixty-lasso'), null);
+      assert.equal(move.mock.callCount(), 0); // Camera kept still
+
+      viewer.destroy();
+    });
+
+    it('drops elements that are removed', () => {
+      const { viewer } = createViewerWithGroup();
+      viewer.setSelectedHotspots(['a', 'b', 'unknown']);
+
+      viewer.getHotspots().remove('a');
+
+      assert.deepEqual(viewer.getSelectedHotspots(), ['b']);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('group move', () => {
+    it('moves selected elements together', () => {
+      const { viewer, hotspots } = createViewerWithGroup();
+      viewer.setSelectedHotspots(['a', 'b']);
+      const events = [];
+      viewer.on('groupmovestop', (event) => {
+        events.push(event.data);
+      });
+
+      dragHotspot(viewer, hotspots[1].element, 0.1, 0.2);
+
+      assertAngle(hotspots[0].yaw, 0.1);
+      assertAngle(hotspots[0].pitch, 0.2);
+      assertAngle(hotspots[1].yaw, 0.6);
+      assertAngle(hotspots[1].pitch, 0.2);
+      assertAngle(hotspots[2].yaw, 1);
+      assertAngle(hotspots[2].pitch, 0);
+
+      assert.equal(events.length, 1);
+      assert.equal(events[0].action, 'move');
+      assert.deepEqual(
+        events[0].hotspots.map((hotspot) => hotspot.id), ['a', 'b']
+      );
+      assert.equal(events[0].hotspots[1].target, hotspots[1].element);
+      assertAngle(events[0].hotspots[1].yaw, 0.6);
+
+      viewer.destroy();
+    });
+
+    it('moves unselected elements alone', () => {
+      const { viewer, hotspots } = createViewerWithGroup();
+      viewer.setSelectedHotspots(['a', 'b']);
+
+      dragHotspot(viewer, hotspots[2].element, 0.1, 0);
+
+      assertAngle(hotspots[0].yaw, 0);
+      assertAngle(hotspots[2].yaw, 1.1);
+
+      viewer.destroy();
+    });
+
+    it('moves selected elements together using the keyboard', () => {
+      const { viewer, hotspots } = createViewerWithGroup();
+      viewer.setSelectedHotspots(['a', 'c']);
+
+      pressKey(hotspots[2].element, 'm', { code: 'KeyM' });
+      pressKey(hotspots[2].element, 'ArrowLeft');
+      pressKey(hotspots[2].element, 'Enter');
+
+      assertAngle(hotspots[0].yaw, -Util.toRad(5));
+      assertAngle(hotspots[1].yaw, 0.5);
+      assertAngle(hotspots[2].yaw, 1 - Util.toRad(5));
+
+      viewer.destroy();
+    });
+
+    it('keeps offsets at the limits of panoramas', () => {
+      const { viewer, hotspots } = createViewerWithGroup({ isPanorama: true });
+      viewer.setHotspotPosition(hotspots[1].threeElement, {
+        yaw: 0.5, pitch: 0.1
+      });
+      viewer.setSelectedHotspots(['a', 'b']);
+
+      dragHotspot(viewer, hotspots[0].element, 0, 1);
+
+      assertAngle(hotspots[1].pitch, viewer.getMaxHotspotPitch());
+      assertAngle(hotspots[1].pitch - hotspots[0].pitch, 0.1);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('undo', () => {
+    it('restores and reapplies group moves', () => {
+      const { viewer, hotspots } = createViewerWithGroup();
+      viewer.setSelectedHotspots(['a', 'b']);
+      const events = [];
+      viewer.on('groupmovestop', (event) => {
+        events.push(event.data);
+      });
+
+      dragHotspot(viewer, hotspots[0].element, 0.1, 0);
+      dragHotspot(viewer, hotspots[2].element, 0.2, 0);
+
+      assert.equal(viewer.undoHotspotMove(), true);
+      assertAngle(hotspots[2].yaw, 1);
+      assertAngle(hotspots[0].yaw, 0.1);
+
+      assert.equal(viewer.undoHotspotMove(), true);
+      assertAngle(hotspots[0].yaw, 0);
+      assertAngle(hotspots[1].yaw, 0.5);
+      assert.equal(events.at(-1).action, 'undo');
+      assert.deepEqual(
+        events.at(-1).hotspots.map((hotspot) => hotspot.id), ['a', 'b']
+      );
+      assertAngle(events.at(-1).hotspots[1].yaw, 0.5);
+
+      assert.equal(viewer.undoHotspotMove(), false);
+
+      assert.equal(viewer.redoHotspotMove(), true);
+      assertAngle(hotspots[0].yaw, 0.1);
+      assertAngle(hotspots[1].yaw, 0.6);
+      assert.equal(events.at(-1).action, 'redo');
+
+      // New move discards what could be redone
+      dragHotspot(viewer, hotspots[1].element, 0.1, 0);
+      assert.equal(viewer.redoHotspotMove(), false);
+
+      viewer.destroy();
+    });
+
+    it('ignores drags that did not move', () => {
+      const { viewer, hotspots } = createViewerWithGroup();
+
+      dragHotspot(viewer, hotspots[0].element, 0, 0);
+
+      assert.equal(viewer.undoHotspotMove(), false);
+
+      viewer.destroy();
+    });
+
+    it('keeps a limited number of moves', () => {
+      const { viewer, hotspots } = createViewerWithGroup();
+      const element = hotspots[0].element;
+
+      for (let i = 0; i < HOTSPOT_HISTORY_SIZE + 1; i++) {
+        pressKey(element, 'm', { code: 'KeyM' });
+        pressKey(element, 'ArrowRight');
+        pressKey(element, 'Enter');
+      }
+
+      let count = 0;
+      while (viewer.undoHotspotMove()) {
+        count++;
+      }
+
+      assert.equal(count, HOTSPOT_HISTORY_SIZE);
+      assertAngle(hotspots[0].yaw, Util.toRad(5));
+
+      viewer.destroy();
+    });
+  });
+});
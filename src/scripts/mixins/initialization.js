@@ -1,9 +1,12 @@
 import {
-  CAMERA_NEAR, CAMERA_FAR, DEFAULT_FRICTION, DEFAULT_ROTATION_ORDER, MAX_PITCH
+  CAMERA_NEAR, CAMERA_FAR, DEFAULT_FRICTION, DEFAULT_ROTATION_ORDER
 } from '@services/constants';
+import ControlBar from '@scripts/control-bar';
+import DeviceOrientationControls from '@scripts/device-orientation-controls';
+import HotspotIndicators from '@scripts/hotspot-indicators';
+import HotspotLayout from '@scripts/hotspot-layout';
 import PositionControls from '@scripts/position-controls';
 import ZoomControls from '@scripts/zoom-controls';
-import Util from '@services/util';
 
 /**
  * Mixin containing methods for initialization.
@@ -34,9 +37,6 @@ export default class Initialization {
   buildRenderers() {
     this.renderer = new H5P.ThreeJS.WebGLRenderer();
     this.renderer.domElement.classList.add('h5p-three-sixty-scene');
-    // Workaround for touchevent not cancelable when CSS 'perspective' is set.
-    this.renderer.domElement.addEventListener('touchmove', () => {});
-    // This appears to be a bug in Chrome.
     this.element.append(this.renderer.domElement);
 
     this.css2dRenderer = new H5P.ThreeJS.CSS2DRenderer();
@@ -52,6 +52,66 @@ export default class Initialization {
     this.element.append(this.css3dRenderer.domElement);
   }
 
+  /**
+   * Build live region for announcements to screen reader users.
+   */
+  buildLiveRegion() {
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.classList.add('h5p-three-sixty-live-region');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.element.append(this.liveRegion);
+  }
+
+  /**
+   * Build layout pass for overlapping elements if requested.
+   */
+  buildHotspotLayout() {
+    if (!HotspotLayout.isValidMode(this.options.hotspotLayout)) {
+      return;
+    }
+
+    this.hotspotLayout = new HotspotLayout(
+      this.hotspots,
+      this.css2dRenderer.domElement,
+      { mode: this.options.hotspotLayout }
+    );
+
+    this.hotspotLayout.on('change', () => {
+      this.requestRender();
+    });
+  }
+
+  /**
+   * Build arrows towards off-screen elements if requested.
+   */
+  buildHotspotIndicators() {
+    if (!this.options.offscreenIndicators) {
+      return;
+    }
+
+    this.hotspotIndicators = new HotspotIndicators(
+      this.hotspots,
+      this.css2dRenderer.domElement,
+      {
+        filter: (typeof this.options.offscreenIndicators === 'function') ?
+          this.options.offscreenIndicators :
+          null,
+        label: this.options.l10n.offscreenIndicator
+      }
+    );
+
+    this.hotspotIndicators.on('select', (event) => {
+      this.flyTo({
+        yaw: event.data.hotspot.yaw,
+        pitch: event.data.hotspot.pitch
+      });
+    });
+
+    this.hotspotIndicators.on('change', () => {
+      this.requestRender();
+    });
+  }
+
   /**
    * Add camera controls.
    */
@@ -63,7 +123,9 @@ export default class Initialization {
         friction: DEFAULT_FRICTION,
         invert: true,
         isCamera: true,
-        isPanorama: this.options.isPanorama
+        isPanorama: this.options.isPanorama,
+        momentum: true,
+        keymap: this.keymap
       }
     );
 
@@ -73,6 +135,7 @@ export default class Initialization {
       this.cameraControls.startY = this.camera.rotation.y;
       this.cameraControls.startX = this.camera.rotation.x;
 
+      this.cancelCameraAnimation();
       this.preventDeviceOrientation = true;
 
       // Relay event
@@ -81,44 +144,15 @@ export default class Initialization {
 
     // Rotate camera as controls move
     this.cameraControls.on('move', (event) => {
-      let yaw = this.cameraControls.startY + event.alpha;
-      let pitch = this.cameraControls.startX + event.beta;
-
-      // Set outer bounds for camera so it does not loop around.
-      // It can max see max 90 degrees up and down
-      const radsFromCameraCenter = Util.toRad(this.fieldOfView) / 2;
-
-      if (this.options.isPanorama) {
-        // Base max pitch on field of view
-        const MAX_PITCH_PANORAMA = (Util.toRad(this.fieldOfView) - Util.toRad(this.camera.fov)) / 2;
-        const maxPitch = Math.min(MAX_PITCH_PANORAMA, MAX_PITCH);
-
-        if (pitch > maxPitch) {
-          pitch = maxPitch;
-        }
-        else if (pitch < -maxPitch) {
-          pitch = -maxPitch;
-        }
-      }
-      else {
-        // Keep pitch between -90 and 90 degrees
-        if (pitch + radsFromCameraCenter > MAX_PITCH) {
-          pitch = MAX_PITCH - radsFromCameraCenter;
-        }
-        else if (pitch - radsFromCameraCenter < -MAX_PITCH) {
-          pitch = -MAX_PITCH + radsFromCameraCenter;
-        }
-      }
+      this.setCameraRotation(this.clampCameraPosition({
+        yaw: -(this.cameraControls.startY + event.alpha),
+        pitch: this.cameraControls.startX + event.beta
+      }));
 
-      // Keep yaw between 0 and 2PI
-      yaw %= Math.PI * 2;
-      if (yaw < 0) { // Reset when passing 0
-        yaw += Math.PI * 2;
-      }
-
-      // Allow infinite yaw rotations
-      this.camera.rotation.y = yaw;
-      this.camera.rotation.x = pitch;
+      // Turning back from the edge of the view bounds starts right away
+      this.cameraControls.startY = this.camera.rotation.y - event.alpha;
+      this.hotspotLayout?.collapse(); // Clusters change when view changes
+      this.requestRender();
 
       this.trigger(event);
     });
@@ -132,6 +166,7 @@ export default class Initialization {
         pitch: this.camera.rotation.x
       };
 
+      this.scheduleViewAnnouncement();
       this.trigger(event);
     });
   }
@@ -144,13 +179,45 @@ export default class Initialization {
       this.camera,
       this.css2dRenderer.domElement,
       this.options.isPanorama,
-      this.options.enableZoom
+      this.options.enableZoom,
+      this.keymap,
+      { minFov: this.options.minFov, maxFov: this.options.maxFov }
     );
 
-    // Make sure we don't see the black background when zooming out in panorama,
-    // by using cameraControls move to adjust the view.
-    this.zoomControls.on('zoomout', () => {
-      if (!this.cameraControls || !this.options.isPanorama) {
+    // Relay zoom changes, e.g. for custom zoom controls
+    this.zoomControls.on('zoomchange', (event) => {
+      this.trigger(event);
+    });
+
+    this.zoomControls.on('zoomin', (event) => {
+      if (event.data?.direction) {
+        this.keepDirectionAtPoint(event.data.direction, event.data.point);
+      }
+
+      this.requestRender();
+      this.scheduleViewAnnouncement();
+    });
+
+    // Make sure we don't see the black background when zooming out in panorama
+    // or near the view bounds, by using cameraControls move to adjust the view.
+    this.zoomControls.on('zoomout', (event) => {
+      if (event.data?.direction) {
+        this.keepDirectionAtPoint(event.data.direction, event.data.point);
+      }
+
+      this.requestRender();
+      this.scheduleViewAnnouncement();
+
+      if (
+        !this.cameraControls ||
+        (!this.options.isPanorama && !this.getViewBounds())
+      ) {
+        return;
+      }
+
+      if (this.cameraControls.isMoving()) {
+        // Pinching while panning, bounds are applied with the ongoing movement
+        this.cameraControls.move(0, 0, DEFAULT_FRICTION);
         return;
       }
 
@@ -159,4 +226,56 @@ export default class Initialization {
       this.cameraControls.end();
     });
   }
+
+  /**
+   * Build on-screen control bar if requested.
+   */
+  buildControlBar() {
+    if (!this.options.controlBar) {
+      return;
+    }
+
+    this.controlBar = new ControlBar(
+      this.css2dRenderer.domElement, { l10n: this.options.l10n }
+    );
+
+    this.controlBar.on('action', (event) => {
+      switch (event.data.action) {
+        case 'zoomIn':
+          this.zoomControls.dollyIn();
+          break;
+
+        case 'zoomOut':
+          this.zoomControls.dollyOut();
+          break;
+
+        case 'resetView':
+          this.resetView();
+          break;
+
+        case 'toggleFullscreen':
+          this.toggleFullscreen();
+          break;
+
+        case 'faceNorth':
+          this.flyTo({ yaw: this.options.northYaw });
+          break;
+      }
+    });
+
+    this.controlBar.on('change', () => {
+      this.requestRender();
+    });
+  }
+
+  /**
+   * Add device orientation controls. Not listening until enabled.
+   */
+  buildDeviceOrientationControls() {
+    this.deviceOrientationControls = new DeviceOrientationControls();
+
+    this.deviceOrientationControls.on('orientationchange', (event) => {
+      this.handleDeviceOrientationChange(event.data);
+    });
+  }
 }
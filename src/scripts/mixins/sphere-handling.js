@@ -1,4 +1,9 @@
-import { DEFAULT_WORLD_RADIUS } from '@services/constants';
+import {
+  CUBEMAP_FACES, DEFAULT_WORLD_RADIUS, FOV_PANORAMA, FOV_SPHERE,
+  MAX_VERTICAL_COVERAGE_PANORAMA
+} from '@services/constants';
+import TiledPanorama from '@scripts/tiled-panorama';
+import Util from '@services/util';
 
 /**
  * Mixin containing methods for sphere handling.
@@ -8,9 +13,14 @@ export default class SphereHandling {
    * Create the world sphere with its needed resources.
    */
   createSphere() {
-    // Create a sphere surrounding the camera with the source texture
+    const area = this.getCroppedArea();
+
+    // Create a sphere surrounding the camera with the source texture, only
+    // where a cropped image belongs
     const geometry = new H5P.ThreeJS.SphereGeometry(
-      DEFAULT_WORLD_RADIUS, this.options.segments, this.options.segments
+      DEFAULT_WORLD_RADIUS, this.options.segments, this.options.segments,
+      area.left * Math.PI * 2, area.width * Math.PI * 2,
+      area.top * Math.PI, area.height * Math.PI
     );
 
     this.applyToSphere(geometry);
@@ -20,14 +30,199 @@ export default class SphereHandling {
    * Create the world cylinder with its needed resources.
    */
   createCylinder() {
-    // Create a cylinder surrounding the camera with the source texture
+    const coverage = this.getPanoramaCoverage();
+
+    // Create a cylinder surrounding the camera with the source texture,
+    // centered on yaw 0 and as high as the vertical coverage requires
     const geometry = new H5P.ThreeJS.CylinderGeometry(
-      DEFAULT_WORLD_RADIUS, DEFAULT_WORLD_RADIUS, DEFAULT_WORLD_RADIUS,
+      DEFAULT_WORLD_RADIUS, DEFAULT_WORLD_RADIUS,
+      2 * DEFAULT_WORLD_RADIUS * Math.tan(coverage.vertical / 2),
       this.options.segments, this.options.segments,
-      true
+      true,
+      Math.PI - coverage.horizontal / 2, coverage.horizontal
     );
 
     this.applyToSphere(geometry);
+    this.sphere.userData.coverage = coverage;
+
+    // Source may not have had its size when the scene was set
+    const fov = this.getSceneFieldOfView();
+    if (fov !== this.fieldOfView) {
+      this.fieldOfView = fov;
+      this.camera.fov = fov;
+      this.camera.updateProjectionMatrix();
+      this.updateViewBounds();
+    }
+  }
+
+  /**
+   * Get part of the sphere that the panorama covers. Without coverage
+   * options, panoramas cover 360 degrees horizontally and FOV_PANORAMA
+   * vertically. If only the horizontal coverage is set, the vertical
+   * coverage follows from the aspect ratio of the source.
+   * @returns {object} Horizontal and vertical coverage in radians.
+   */
+  getPanoramaCoverage() {
+    const horizontal = Util.toRad(
+      Math.max(0, Math.min(this.options.horizontalCoverage ?? 360, 360))
+    );
+
+    let vertical = this.options.verticalCoverage;
+    if (vertical === undefined) {
+      const source = this.sourceElement ?? {};
+      const width = source.naturalWidth || source.videoWidth || source.width;
+      const height = source.naturalHeight || source.videoHeight || source.height;
+
+      if (this.options.horizontalCoverage !== undefined && width && height) {
+        // Undistorted, so height relates to the arc like it does to width
+        vertical = Util.toDeg(2 * Math.atan(horizontal * height / width / 2));
+      }
+      else {
+        vertical = FOV_PANORAMA;
+      }
+    }
+
+    return {
+      horizontal: horizontal,
+      vertical: Util.toRad(
+        Math.max(0, Math.min(vertical, MAX_VERTICAL_COVERAGE_PANORAMA))
+      )
+    };
+  }
+
+  /**
+   * Get part of the full sphere that an equirectangular image covers.
+   * @returns {object} Left, top, width and height as fractions of the full image.
+   */
+  getCroppedArea() {
+    return { left: 0, top: 0, width: 1, height: 1, ...this.options.croppedArea };
+  }
+
+  /**
+   * Get field of view that shows the full height of the scene.
+   * @returns {number} Field of view.
+   */
+  getSceneFieldOfView() {
+    if (!this.options.isPanorama) {
+      return FOV_SPHERE;
+    }
+
+    return Util.toDeg(this.getPanoramaCoverage().vertical);
+  }
+
+  /**
+   * Create the world cube with its needed resources.
+   * Faces are ordered right, left, top, bottom, front, back.
+   * @param {HTMLElement|HTMLElement[]} [source] Cubemap source, default sourceElement.
+   */
+  createCube(source = this.sourceElement) {
+    const size = DEFAULT_WORLD_RADIUS * 2;
+    const geometry = new H5P.ThreeJS.BoxGeometry(size, size, size);
+    geometry.scale(1, 1, -1); // Flip to make front side face inwards
+
+    const materials = this.getCubemapFaces(source).map((face) => {
+      const material = new H5P.ThreeJS.MeshBasicMaterial({
+        map: SphereHandling.createTexture(face)
+      });
+      material.map.needsUpdate = true;
+
+      return material;
+    });
+
+    // Prepare cube and add to scene
+    this.sphere = new H5P.ThreeJS.Mesh(geometry, materials);
+
+    // Align front face with center of equirectangular images
+    this.sphere.rotation.y = Math.PI / 2;
+
+    this.scene.add(this.sphere);
+
+    const sources = Array.isArray(source) ? source : [source];
+    this.waitForSourceLoad(sources, (loaded) => {
+      if (loaded === source) {
+        this.drawCubemapFaces(source); // Strip has its size now
+      }
+
+      materials
+        .filter((material) => {
+          return loaded === source || material.map.image === loaded;
+        })
+        .forEach((material) => {
+          material.map.needsUpdate = true;
+        });
+    });
+  }
+
+  /**
+   * Create the world cube with tiles streamed in for the visible region.
+   * The optional preview is shown until tiles have loaded.
+   */
+  createTiledCube() {
+    const preview = this.sourceElement.preview ??
+      [...Array(CUBEMAP_FACES)].map(() => {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
+        return canvas; // Black
+      });
+
+    this.createCube(preview);
+
+    this.tiledPanorama = new TiledPanorama(this.sphere, this.sourceElement);
+    // Failed tiles may unblock the next level, so update as well
+    ['tileload', 'tileerror'].forEach((type) => {
+      this.tiledPanorama.on(type, () => {
+        this.requestRender();
+      });
+    });
+    this.sphere.userData.tiledPanorama = this.tiledPanorama;
+  }
+
+  /**
+   * Get the six faces of a cubemap source.
+   * The source is either an array of six faces or one image containing all
+   * faces as a strip of 6x1 or 3x2 faces.
+   * @param {HTMLElement|HTMLElement[]} source Cubemap source.
+   * @returns {HTMLElement[]} Faces.
+   */
+  getCubemapFaces(source) {
+    if (Array.isArray(source)) {
+      return source.slice(0, CUBEMAP_FACES);
+    }
+
+    this.cubemapFaceCanvases = [...Array(CUBEMAP_FACES)].map(() => {
+      return document.createElement('canvas');
+    });
+    this.drawCubemapFaces(source);
+
+    return this.cubemapFaceCanvases;
+  }
+
+  /**
+   * Draw the faces of a cubemap strip source onto separate canvases.
+   * @param {HTMLElement} source Cubemap strip source.
+   */
+  drawCubemapFaces(source) {
+    const width = source.naturalWidth || source.videoWidth || source.width;
+    const height = source.naturalHeight || source.videoHeight || source.height;
+
+    const layout = this.options.cubemapLayout ??
+      ((width / height >= 4) ? '6x1' : '3x2');
+    const columns = parseInt(layout.split('x')[0]);
+    const faceSize = Math.floor(width / columns);
+
+    this.cubemapFaceCanvases.forEach((canvas, index) => {
+      canvas.width = faceSize;
+      canvas.height = faceSize;
+
+      canvas.getContext('2d').drawImage(
+        source,
+        (index % columns) * faceSize, Math.floor(index / columns) * faceSize,
+        faceSize, faceSize,
+        0, 0,
+        faceSize, faceSize
+      );
+    });
   }
 
   /**
@@ -39,15 +234,7 @@ export default class SphereHandling {
 
     // Create material with texture from source element
     const material = new H5P.ThreeJS.MeshBasicMaterial({
-      map: new H5P.ThreeJS.Texture(
-        this.sourceElement,
-        H5P.ThreeJS.UVMapping,
-        H5P.ThreeJS.ClampToEdgeWrapping,
-        H5P.ThreeJS.ClampToEdgeWrapping,
-        H5P.ThreeJS.LinearFilter,
-        H5P.ThreeJS.LinearFilter,
-        H5P.ThreeJS.RGBFormat
-      )
+      map: SphereHandling.createTexture(this.sourceElement)
     });
     material.map.needsUpdate = true;
 
@@ -55,17 +242,133 @@ export default class SphereHandling {
     this.sphere = new H5P.ThreeJS.Mesh(geometry, material);
 
     this.scene.add(this.sphere);
+
+    this.waitForSourceLoad([this.sourceElement], () => {
+      const previous = this.sphere.userData.coverage;
+      const coverage = previous ? this.getPanoramaCoverage() : null;
+
+      if (
+        coverage && (
+          coverage.horizontal !== previous.horizontal ||
+          coverage.vertical !== previous.vertical
+        )
+      ) {
+        this.disposeSphere();
+        this.createCylinder();
+      }
+      else {
+        this.getSphereMaterials().forEach((material) => {
+          material.map.needsUpdate = true;
+        });
+      }
+    });
+  }
+
+  /**
+   * Update world mesh once its image sources have loaded. Textures of images
+   * that are still loading are not uploaded, and the size of an image may
+   * change the coverage of panoramas or the faces of cubemap strips.
+   * @param {HTMLElement[]} sources Sources of the world mesh.
+   * @param {function} handleLoad Called with the source that has loaded.
+   */
+  waitForSourceLoad(sources, handleLoad) {
+    this.stopWaitingForSourceLoad();
+
+    const mesh = this.sphere;
+    const loads = sources
+      .filter((source) => {
+        return source instanceof HTMLImageElement && !source.complete;
+      })
+      .map((source) => {
+        const load = { source: source };
+
+        load.listener = () => {
+          source.removeEventListener('load', load.listener);
+          this.sourceLoad = this.sourceLoad.filter((other) => other !== load);
+          if (!this.sourceLoad.length) {
+            this.sourceLoad = null;
+          }
+
+          if (this.sphere !== mesh) {
+            return; // Scene changed meanwhile
+          }
+
+          handleLoad(source);
+          this.requestRender();
+        };
+
+        source.addEventListener('load', load.listener);
+        return load;
+      });
+
+    this.sourceLoad = loads.length ? loads : null;
+  }
+
+  /**
+   * Stop waiting for the image sources to load.
+   */
+  stopWaitingForSourceLoad() {
+    this.sourceLoad?.forEach((load) => {
+      load.source.removeEventListener('load', load.listener);
+    });
+    this.sourceLoad = null;
+  }
+
+  /**
+   * Get materials of sphere, cylinder or cube.
+   * @param {H5P.ThreeJS.Mesh} [mesh] World mesh, default current sphere.
+   * @returns {H5P.ThreeJS.MeshBasicMaterial[]} Materials.
+   */
+  getSphereMaterials(mesh = this.sphere) {
+    if (!mesh) {
+      return [];
+    }
+
+    return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
   }
 
   /**
    * Remove sphere resources from memory.
    */
   disposeSphere() {
-    this.scene.remove(this.sphere);
+    this.stopWaitingForSourceLoad();
+    this.disposeWorldMesh(this.sphere);
 
-    this.sphere.geometry.dispose();
-    this.sphere.material.dispose();
-    this.sphere.material.map.dispose();
     this.sphere = null;
+    this.tiledPanorama = null;
+    this.cubemapFaceCanvases = null;
+  }
+
+  /**
+   * Remove world mesh and its resources from memory.
+   * @param {H5P.ThreeJS.Mesh} mesh Sphere, cylinder or cube.
+   */
+  disposeWorldMesh(mesh) {
+    mesh.userData.tiledPanorama?.dispose();
+
+    this.scene.remove(mesh);
+
+    mesh.geometry.dispose();
+    this.getSphereMaterials(mesh).forEach((material) => {
+      material.dispose();
+      material.map.dispose();
+    });
+  }
+
+  /**
+   * Create texture from source element.
+   * @param {HTMLElement} source Image, video or canvas.
+   * @returns {H5P.ThreeJS.Texture} Texture.
+   */
+  static createTexture(source) {
+    return new H5P.ThreeJS.Texture(
+      source,
+      H5P.ThreeJS.UVMapping,
+      H5P.ThreeJS.ClampToEdgeWrapping,
+      H5P.ThreeJS.ClampToEdgeWrapping,
+      H5P.ThreeJS.LinearFilter,
+      H5P.ThreeJS.LinearFilter,
+      H5P.ThreeJS.RGBFormat
+    );
   }
 }
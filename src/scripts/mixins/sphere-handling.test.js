@@ -0,0 +1,512 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import NDLAThreeSixty from '@scripts/h5p-ndla-three-sixty';
+import Util from '@services/util';
+import { FOV_PANORAMA, PROJECTION_TILED } from '@services/constants';
+import {
+  assertAngle, createSource, createViewer, hasRequestedFrames, runFrames
+} from '../../../tests/helpers.js';
+
+/** @constant {string[]} FACES Names of cube faces in order of materials. */
+const FACES = ['right', 'left', 'top', 'bottom', 'front', 'back'];
+
+/**
+ * Create image that is still loading.
+ * @returns {object} Image and function to finish loading with a size.
+ */
+const createLoadingImage = () => {
+  const image = document.createElement('img');
+  Object.defineProperty(image, 'complete', { value: false, configurable: true });
+
+  const load = (width, height) => {
+    Object.defineProperties(image, {
+      complete: { value: true, configurable: true },
+      naturalWidth: { value: width, configurable: true },
+      naturalHeight: { value: height, configurable: true }
+    });
+    image.dispatchEvent(new window.Event('load'));
+  };
+
+  return { image: image, load: load };
+};
+
+/**
+ * Record drawing onto canvases, as the test DOM cannot draw.
+ * @param {object} t Test context.
+ * @returns {object[]} Arguments of drawImage calls with the target canvas.
+ */
+const mockDrawImage = (t) => {
+  const draws = [];
+
+  t.mock.method(window.HTMLCanvasElement.prototype, 'getContext', function () {
+    return {
+      drawImage: (source, ...args) => {
+        draws.push({ canvas: this, source: source, args: args });
+      }
+    };
+  });
+
+  return draws;
+};
+
+/**
+ * Get what the viewer shows in the direction of a position.
+ * @param {NDLAThreeSixty} viewer Viewer.
+ * @param {object} position Position with yaw and pitch.
+ * @returns {object} Intersection with the world mesh.
+ */
+const getHit = (viewer, position) => {
+  const target = new H5P.ThreeJS.Object3D();
+  NDLAThreeSixty.positionElement(target, position);
+
+  viewer.sphere.updateMatrixWorld();
+  const raycaster = new H5P.ThreeJS.Raycaster(
+    new H5P.ThreeJS.Vector3(), target.position.clone().normalize()
+  );
+
+  return raycaster.intersectObject(viewer.sphere)[0];
+};
+
+/**
+ * Assert where in the image a hit lies on a panorama cylinder.
+ * @param {object} hit Intersection with the cylinder.
+ * @param {object} position Position with yaw and pitch that was hit.
+ * @param {object} coverage Horizontal and vertical coverage in radians.
+ */
+const assertPanoramaUv = (hit, position, coverage) => {
+  // Cylinder is made of flat segments, so allow for some deviation
+  const u = 0.5 + position.yaw / coverage.horizontal;
+  const v = 0.5 + Math.tan(position.pitch) / Math.tan(coverage.vertical / 2) / 2;
+
+  assert.ok(Math.abs(hit.uv.x - u) < 0.01, `u ${hit.uv.x} is not ${u}`);
+  assert.ok(Math.abs(hit.uv.y - v) < 0.01, `v ${hit.uv.y} is not ${v}`);
+};
+
+describe('SphereHandling', () => {
+  describe('image sources', () => {
+    it('uploads the texture again once the image has loaded', (t) => {
+      const { image, load } = createLoadingImage();
+      const viewer = createViewer({}, image);
+      const texture = viewer.sphere.material.map;
+      const version = texture.version;
+      const requestRender = t.mock.method(viewer, 'requestRender');
+
+      load(4096, 2048);
+
+      assert.equal(texture.version, version + 1);
+      assert.equal(requestRender.mock.callCount(), 1);
+
+      viewer.destroy();
+    });
+
+    it('re-creates panoramas whose coverage depends on the image size', () => {
+      const { image, load } = createLoadingImage();
+      const viewer = createViewer(
+        { isPanorama: true, horizontalCoverage: 180 }, image
+      );
+      const cylinder = viewer.sphere;
+      assert.equal(viewer.fieldOfView, 53); // Size unknown yet
+
+      load(4000, 1000);
+
+      const vertical = Util.toDeg(2 * Math.atan(Math.PI * 1000 / 4000 / 2));
+      assert.notEqual(viewer.sphere, cylinder);
+      assert.equal(viewer.scene.children.includes(cylinder), false);
+      assert.ok(Math.abs(viewer.fieldOfView - vertical) < 1e-9);
+      assert.equal(viewer.camera.fov, viewer.fieldOfView);
+
+      viewer.destroy();
+    });
+
+    it('keeps panoramas whose coverage does not depend on the size', () => {
+      const { image, load } = createLoadingImage();
+      const viewer = createViewer({ isPanorama: true }, image);
+      const cylinder = viewer.sphere;
+
+      load(4000, 1000);
+
+      assert.equal(viewer.sphere, cylinder);
+
+      viewer.destroy();
+    });
+
+    it('stops waiting for the image when the scene changes', () => {
+      const { image, load } = createLoadingImage();
+      const viewer = createViewer(
+        { isPanorama: true, horizontalCoverage: 180 }, image
+      );
+
+      viewer.setSourceElement(document.createElement('canvas'), false, true);
+      viewer.update();
+      const sphere = viewer.sphere;
+
+      load(4000, 1000);
+
+      assert.equal(viewer.sphere, sphere);
+      assert.equal(viewer.sourceLoad, null);
+
+      viewer.destroy();
+    });
+
+    it('triggers firstrender once per update, not when the image loads', () => {
+      const { image, load } = createLoadingImage();
+      const viewer = createViewer(
+        { isPanorama: true, horizontalCoverage: 180 }, image
+      );
+      let count = 0;
+      viewer.on('firstrender', () => {
+        count++;
+      });
+
+      viewer.startRendering();
+      runFrames();
+      assert.equal(count, 1);
+
+      load(4000, 1000);
+      runFrames();
+      assert.equal(count, 1);
+
+      viewer.update();
+      runFrames();
+      assert.equal(count, 2);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('cropped images', () => {
+    it('cover their part of the sphere', () => {
+      const croppedArea = { left: 0.375, top: 0.25, width: 0.5, height: 0.25 };
+      const viewer = createViewer({ croppedArea: croppedArea, segments: 64 });
+
+      // Full image has its center at yaw -90°, cropped one is above and right
+      [
+        { yaw: -Math.PI / 4, pitch: Math.PI / 8, u: 0.5, v: 0.5 },
+        { yaw: 0, pitch: Math.PI / 8, u: 0.75, v: 0.5 },
+        {
+          yaw: -Math.PI / 4, pitch: 0.3,
+          u: 0.5, v: 0.5 + (0.3 - Math.PI / 8) / Math.PI * 4
+        }
+      ].forEach(({ u, v, ...position }) => {
+        const hit = getHit(viewer, position);
+        assert.ok(Math.abs(hit.uv.x - u) < 0.01, `u ${hit.uv.x} is not ${u}`);
+        assert.ok(Math.abs(hit.uv.y - v) < 0.01, `v ${hit.uv.y} is not ${v}`);
+      });
+
+      // Nothing outside of the image
+      [
+        { yaw: Math.PI, pitch: Math.PI / 8 },
+        { yaw: -Math.PI / 4, pitch: -0.2 }
+      ].forEach((position) => {
+        assert.equal(getHit(viewer, position), undefined);
+      });
+
+      const bounds = viewer.getViewBounds();
+      assertAngle(bounds.minYaw, -Math.PI * 3 / 4);
+      assertAngle(bounds.maxYaw, Math.PI / 4);
+      assertAngle(bounds.minPitch, 0);
+      assertAngle(bounds.maxPitch, Math.PI / 4);
+
+      viewer.destroy();
+    });
+
+    it('are not kept for other scenes', () => {
+      const viewer = createViewer({
+        croppedArea: { left: 0, top: 0, width: 1, height: 0.5 }
+      });
+
+      viewer.setSourceElement(createSource(), false, true);
+      viewer.update();
+
+      assert.equal(viewer.getViewBounds(), null);
+      assert.ok(getHit(viewer, { yaw: 0, pitch: -1 }));
+
+      viewer.destroy();
+    });
+  });
+
+  describe('cubemap sources', () => {
+    it('map six faces onto a cube', () => {
+      const faces = FACES.map(() => createSource(512, 512));
+      const viewer = createViewer({ projection: 'cubemap' }, faces);
+
+      assert.ok(viewer.sphere.geometry instanceof H5P.ThreeJS.BoxGeometry);
+      assert.deepEqual(
+        viewer.getSphereMaterials().map((material) => material.map.image),
+        faces
+      );
+      assert.equal(viewer.options.isPanorama, false);
+
+      viewer.destroy();
+    });
+
+    [
+      { width: 3072, height: 512, layout: undefined, columns: 6 },
+      { width: 1536, height: 1024, layout: undefined, columns: 3 },
+      { width: 3072, height: 2048, layout: '6x1', columns: 6 },
+      { width: 3072, height: 512, layout: '3x2', columns: 3 }
+    ].forEach(({ width, height, layout, columns }) => {
+      it(`split a ${width}x${height} strip with layout ${layout}`, (t) => {
+        const draws = mockDrawImage(t);
+        const source = createSource(width, height);
+        const viewer = createViewer(
+          { projection: 'cubemap', cubemapLayout: layout }, source
+        );
+        const size = width / columns;
+
+        const canvases = viewer.getSphereMaterials()
+          .map((material) => material.map.image);
+        assert.deepEqual(draws.map((draw) => draw.canvas), canvases);
+        draws.forEach((draw, index) => {
+          assert.equal(draw.source, source);
+          assert.equal(draw.canvas.width, size);
+          assert.deepEqual(draw.args, [
+            (index % columns) * size, Math.floor(index / columns) * size,
+            size, size,
+            0, 0,
+            size, size
+          ]);
+        });
+
+        viewer.destroy();
+        assert.equal(viewer.cubemapFaceCanvases, null);
+      });
+    });
+
+    it('split strips once they have loaded', (t) => {
+      const draws = mockDrawImage(t);
+      const { image, load } = createLoadingImage();
+      const viewer = createViewer({ projection: 'cubemap' }, image);
+      const textures = viewer.getSphereMaterials()
+        .map((material) => material.map);
+      const versions = textures.map((texture) => texture.version);
+      const requestRender = t.mock.method(viewer, 'requestRender');
+      draws.length = 0;
+
+      load(3072, 512);
+
+      assert.equal(draws.length, FACES.length);
+      assert.deepEqual(
+        draws.map((draw) => draw.canvas.width), FACES.map(() => 512)
+      );
+      assert.deepEqual(
+        textures.map((texture) => texture.version),
+        versions.map((version) => version + 1)
+      );
+      assert.equal(requestRender.mock.callCount(), 1);
+      assert.equal(viewer.sourceLoad, null);
+
+      viewer.destroy();
+    });
+
+    it('upload faces once they have loaded', (t) => {
+      const images = FACES.map(() => createLoadingImage());
+      const viewer = createViewer(
+        { projection: 'cubemap' }, images.map(({ image }) => image)
+      );
+      const textures = viewer.getSphereMaterials()
+        .map((material) => material.map);
+      const versions = textures.map((texture) => texture.version);
+      const requestRender = t.mock.method(viewer, 'requestRender');
+
+      images[4].load(512, 512);
+
+      assert.deepEqual(
+        textures.map((texture) => texture.version),
+        versions.map((version, index) => version + (index === 4 ? 1 : 0))
+      );
+      assert.equal(requestRender.mock.callCount(), 1);
+      assert.equal(viewer.sourceLoad.length, FACES.length - 1);
+
+      viewer.destroy();
+      assert.equal(viewer.sourceLoad, null);
+
+      images[0].load(512, 512);
+      assert.equal(requestRender.mock.callCount(), 1);
+    });
+
+    it('show the same directions as equirectangular sources', () => {
+      const viewer = createViewer();
+      const cube = createViewer(
+        { projection: 'cubemap' }, FACES.map(() => createSource(512, 512))
+      );
+
+      // Center of equirectangular images and front face are at yaw -90°
+      const front = -Math.PI / 2;
+      [
+        { yaw: front, pitch: 0, face: 'front', u: 0.5 },
+        { yaw: front + Math.PI / 2, pitch: 0, face: 'right', u: 0.75 },
+        { yaw: front + 3, pitch: 0, face: 'back', u: 0.5 + 3 / Math.PI / 2 },
+        { yaw: front - Math.PI / 2, pitch: 0, face: 'left', u: 0.25 },
+        { yaw: front, pitch: 1.4, face: 'top', v: 0.5 + 1.4 / Math.PI },
+        { yaw: front, pitch: -1.4, face: 'bottom', v: 0.5 - 1.4 / Math.PI }
+      ].forEach(({ face, u, v, ...position }) => {
+        const hit = getHit(viewer, position);
+        if (u !== undefined) {
+          assert.ok(Math.abs(hit.uv.x - u) < 0.01, face);
+        }
+        else {
+          assert.ok(Math.abs(hit.uv.y - v) < 0.01, face);
+        }
+
+        const cubeHit = getHit(cube, position);
+        assert.equal(FACES[cubeHit.face.materialIndex], face);
+      });
+
+      viewer.destroy();
+      cube.destroy();
+    });
+
+    it('replace the sphere when changing projection', () => {
+      const viewer = createViewer();
+      const sphere = viewer.sphere;
+
+      viewer.setSourceElement(
+        FACES.map(() => createSource(512, 512)), true, true, 'cubemap'
+      );
+      viewer.update();
+
+      assert.equal(viewer.scene.children.includes(sphere), false);
+      assert.ok(viewer.sphere.geometry instanceof H5P.ThreeJS.BoxGeometry);
+      assert.equal(viewer.options.isPanorama, false);
+
+      viewer.setSourceElement(createSource(), true, true);
+      viewer.update();
+
+      assert.ok(viewer.sphere.geometry instanceof H5P.ThreeJS.CylinderGeometry);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('tiled sources', () => {
+    it('render again once tiles have loaded or failed', (t) => {
+      const loads = [];
+      t.mock.method(H5P.ThreeJS.TextureLoader.prototype, 'load', (
+        url, onLoad, onProgress, onError
+      ) => {
+        loads.push({ onLoad: onLoad, onError: onError });
+      });
+      const viewer = createViewer({ projection: PROJECTION_TILED }, {
+        tileUrl: '{level}/{face}{row}_{col}.jpg', levels: [{ tiles: 1 }]
+      });
+      viewer.startRendering();
+      runFrames();
+      assert.equal(loads.length, FACES.length);
+      assert.equal(hasRequestedFrames(), false);
+
+      loads[0].onError(new Error('Not found'));
+      assert.equal(hasRequestedFrames(), true);
+      runFrames();
+
+      loads[1].onLoad(new H5P.ThreeJS.Texture());
+      assert.equal(hasRequestedFrames(), true);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('panorama sources', () => {
+    it('cover the horizontal and vertical coverage', () => {
+      const viewer = createViewer({
+        isPanorama: true, horizontalCoverage: 200, verticalCoverage: 60
+      });
+      const coverage = viewer.getPanoramaCoverage();
+      assert.equal(coverage.horizontal, Util.toRad(200));
+      assert.equal(coverage.vertical, Util.toRad(60));
+      assert.ok(Math.abs(viewer.fieldOfView - 60) < 1e-9);
+
+      [
+        { yaw: 0, pitch: 0 },
+        { yaw: 1, pitch: 0 },
+        { yaw: -1.7, pitch: 0 },
+        { yaw: 0, pitch: 0.5 },
+        { yaw: 0, pitch: -0.5 }
+      ].forEach((position) => {
+        assertPanoramaUv(getHit(viewer, position), position, coverage);
+      });
+
+      // Nothing beyond the edges of the image
+      assert.equal(getHit(viewer, { yaw: 1.8, pitch: 0 }), undefined);
+      assert.equal(getHit(viewer, { yaw: Math.PI, pitch: 0 }), undefined);
+      assert.equal(getHit(viewer, { yaw: 0, pitch: 0.55 }), undefined);
+
+      viewer.destroy();
+    });
+
+    it('derive the vertical coverage from the aspect ratio', () => {
+      const viewer = createViewer(
+        { isPanorama: true, horizontalCoverage: 200 }, createSource(4000, 1000)
+      );
+      const vertical = 2 * Math.atan(Util.toRad(200) * 1000 / 4000 / 2);
+
+      assert.equal(viewer.getPanoramaCoverage().vertical, vertical);
+      assert.ok(Math.abs(viewer.fieldOfView - Util.toDeg(vertical)) < 1e-9);
+      assert.ok(getHit(viewer, { yaw: 0, pitch: vertical / 2 - 0.02 }));
+      assert.equal(
+        getHit(viewer, { yaw: 0, pitch: vertical / 2 + 0.02 }), undefined
+      );
+
+      viewer.destroy();
+    });
+
+    it('cover the full horizon by default', () => {
+      const viewer = createViewer({ isPanorama: true });
+      const coverage = viewer.getPanoramaCoverage();
+
+      assert.equal(coverage.horizontal, Math.PI * 2);
+      assert.equal(coverage.vertical, Util.toRad(FOV_PANORAMA));
+      assert.equal(viewer.fieldOfView, FOV_PANORAMA);
+      assert.equal(viewer.getViewBounds(), null);
+      [-3, -1.5, 1.5, 3].forEach((yaw) => {
+        assertPanoramaUv(getHit(viewer, { yaw: yaw, pitch: 0 }), {
+          yaw: yaw, pitch: 0
+        }, coverage);
+      });
+
+      viewer.destroy();
+    });
+
+    it('place hotspots on the matching part of the image', () => {
+      const viewer = createViewer({
+        isPanorama: true, horizontalCoverage: 200, verticalCoverage: 60,
+        segments: 128 // Close to round between vertices
+      });
+      const coverage = viewer.getPanoramaCoverage();
+      const hotspot = viewer.add(
+        document.createElement('button'), { yaw: 0, pitch: 0 }
+      );
+
+      [{ yaw: 1, pitch: 0.3 }, { yaw: -1.5, pitch: -0.45 }].forEach((position) => {
+        viewer.setHotspotPosition(hotspot, position);
+        const raycaster = new H5P.ThreeJS.Raycaster(
+          new H5P.ThreeJS.Vector3(), hotspot.position.clone().normalize()
+        );
+
+        viewer.sphere.updateMatrixWorld();
+        const hit = raycaster.intersectObject(viewer.sphere)[0];
+        assertPanoramaUv(hit, position, coverage);
+      });
+
+      viewer.destroy();
+    });
+
+    it('limit the pitch to the vertical coverage', async () => {
+      const viewer = createViewer({
+        isPanorama: true, horizontalCoverage: 200, verticalCoverage: 60
+      });
+
+      await viewer.flyTo({ yaw: 0, pitch: 1 });
+      assertAngle(viewer.getCurrentPosition().pitch, 0); // Shows full height
+
+      // Top edge of the view reaches the top edge of the image
+      await viewer.flyTo({ pitch: 1, fov: 30 });
+      assertAngle(viewer.getCurrentPosition().pitch, Util.toRad(15));
+
+      await viewer.flyTo({ pitch: -1 });
+      assertAngle(viewer.getCurrentPosition().pitch, -Util.toRad(15));
+
+      viewer.destroy();
+    });
+  });
+});
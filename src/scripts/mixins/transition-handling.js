@@ -0,0 +1,223 @@
+import {
+  TRANSITION_CROSSFADE, TRANSITION_DURATION, TRANSITION_FADE, TRANSITION_ZOOM
+} from '@services/constants';
+
+/**
+ * Mixin containing methods for transitions between scenes.
+ */
+export default class TransitionHandling {
+  /**
+   * Change source with a transition effect instead of a hard cut.
+   * A running transition is finished or, while zooming, abandoned.
+   * @param {HTMLElement|HTMLElement[]|object} element New source, see setSourceElement.
+   * @param {object} [options] Options.
+   * @param {string} [options.type] crossfade|fade|zoom, fade goes through black.
+   * @param {number} [options.duration] Duration in ms.
+   * @param {boolean} [options.isPanorama] If true, source is panorama scene.
+   * @param {boolean} [options.enableZoom] If true, enable zoom.
+   * @param {string} [options.projection] equirectangular|cubemap|tiled.
+   * @param {object} [options.coverage] Coverage of panorama, see setSourceElement.
+   * @param {number} [options.yaw] Direction to zoom through, default current.
+   * @param {number} [options.pitch] Direction to zoom through, default current.
+   * @returns {Promise} Resolves when transition has ended.
+   */
+  async transitionTo(element, options = {}) {
+    this.abortSceneTransition();
+    const transitionId = this.sceneTransitionId;
+
+    const type = options.type ?? TRANSITION_CROSSFADE;
+    const duration = options.duration ?? TRANSITION_DURATION;
+
+    this.trigger('transitionstart', { type: type });
+
+    // Zoom towards direction in old scene during first half
+    let zoomFov;
+    if (type === TRANSITION_ZOOM && this.isRendering) {
+      zoomFov = this.zoomControls.minFov;
+
+      const zoom = this.flyTo(
+        { yaw: options.yaw, pitch: options.pitch, fov: zoomFov },
+        { duration: duration / 2, easing: 'easeInQuad' }
+      );
+
+      this.zoomingSceneTransition = {
+        type: type,
+        animation: this.cameraAnimation
+      };
+
+      await zoom;
+
+      if (transitionId !== this.sceneTransitionId) {
+        return; // Abandoned for another transition or when destroyed
+      }
+
+      this.zoomingSceneTransition = null;
+    }
+
+    const previous = this.sphere;
+    this.sphere = null; // Keep previous mesh alive
+    this.tiledPanorama = null;
+    this.cubemapFaceCanvases = null;
+
+    this.setSourceElement(
+      element,
+      options.isPanorama ?? false,
+      options.enableZoom ?? this.options.enableZoom,
+      options.projection,
+      options.coverage
+    );
+    this.update();
+
+    if (!previous || !this.isRendering) {
+      if (previous) {
+        this.disposeWorldMesh(previous);
+      }
+
+      this.trigger('transitionend', { type: type });
+      return;
+    }
+
+    // Keep previous mesh inside current one, so it covers it while fading
+    previous.scale.multiplyScalar(TransitionHandling.PREVIOUS_SCALE);
+    TransitionHandling.setWorldMeshOpacity(previous, 1);
+
+    if (type === TRANSITION_FADE) {
+      this.sphere.visible = false;
+      TransitionHandling.setWorldMeshOpacity(this.sphere, 0);
+    }
+
+    if (zoomFov !== undefined) {
+      // Zoom back out in new scene during second half
+      this.camera.fov = zoomFov;
+      this.camera.updateProjectionMatrix();
+
+      this.flyTo(
+        { fov: this.fieldOfView },
+        { duration: duration / 2, easing: 'easeOutQuad' }
+      );
+    }
+
+    await new Promise((resolve) => {
+      this.sceneTransition = {
+        previous: previous,
+        type: type,
+        duration: (zoomFov !== undefined) ? duration / 2 : duration,
+        startTime: null,
+        resolve: resolve
+      };
+
+      this.requestRender();
+    });
+  }
+
+  /**
+   * Update running scene transition. Called when rendering.
+   * @param {number} timestamp Current timestamp in ms.
+   */
+  updateSceneTransition(timestamp) {
+    const transition = this.sceneTransition;
+    if (!transition) {
+      return;
+    }
+
+    transition.startTime = transition.startTime ?? timestamp;
+
+    const progress = Math.min(
+      1, (timestamp - transition.startTime) / transition.duration
+    );
+
+    if (transition.type === TRANSITION_FADE) {
+      // Fade out to black, then fade in
+      transition.previous.visible = progress < 0.5;
+      this.sphere.visible = progress >= 0.5;
+
+      TransitionHandling.setWorldMeshOpacity(
+        transition.previous, 1 - Math.min(1, progress * 2)
+      );
+      TransitionHandling.setWorldMeshOpacity(
+        this.sphere, Math.max(0, progress * 2 - 1)
+      );
+    }
+    else {
+      TransitionHandling.setWorldMeshOpacity(transition.previous, 1 - progress);
+    }
+
+    if (progress === 1) {
+      this.finishSceneTransition();
+    }
+  }
+
+  /**
+   * Stop running scene transition, so another one can start. A transition
+   * that is still zooming into its old scene ends without changing the scene.
+   */
+  abortSceneTransition() {
+    this.sceneTransitionId++;
+
+    const zooming = this.zoomingSceneTransition;
+    if (zooming) {
+      this.zoomingSceneTransition = null;
+
+      if (zooming.animation && zooming.animation === this.cameraAnimation) {
+        this.cancelCameraAnimation();
+      }
+
+      this.trigger('transitionend', { type: zooming.type });
+    }
+
+    this.finishSceneTransition();
+  }
+
+  /**
+   * Finish running scene transition immediately.
+   */
+  finishSceneTransition() {
+    const transition = this.sceneTransition;
+    if (!transition) {
+      return;
+    }
+
+    this.sceneTransition = null;
+
+    this.disposeWorldMesh(transition.previous);
+
+    if (this.sphere) {
+      this.sphere.visible = true;
+      TransitionHandling.setWorldMeshOpacity(this.sphere, null);
+    }
+
+    this.trigger('transitionend', { type: transition.type });
+    transition.resolve();
+  }
+
+  /**
+   * Set opacity of all materials of a world mesh including its tiles.
+   * @param {H5P.ThreeJS.Mesh} mesh World mesh.
+   * @param {number|null} opacity Opacity from 0 to 1, null for opaque.
+   */
+  static setWorldMeshOpacity(mesh, opacity) {
+    mesh.traverse((object) => {
+      if (!object.material) {
+        return;
+      }
+
+      const materials = Array.isArray(object.material) ?
+        object.material :
+        [object.material];
+
+      materials.forEach((material) => {
+        const transparent = opacity !== null;
+
+        if (material.transparent !== transparent) {
+          material.transparent = transparent;
+          material.needsUpdate = true;
+        }
+
+        material.opacity = opacity ?? 1;
+      });
+    });
+  }
+}
+
+/** @constant {number} PREVIOUS_SCALE Scale of previous world mesh while blending. */
+TransitionHandling.PREVIOUS_SCALE = 0.98;
@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  createSource, createViewer, runFrames
+} from '../../../tests/helpers.js';
+
+/**
+ * Create viewer that renders and records its transition events.
+ * @returns {object} Viewer and list of events with type.
+ */
+const createRenderingViewer = () => {
+  const viewer = createViewer();
+  const events = [];
+
+  ['transitionstart', 'transitionend'].forEach((name) => {
+    viewer.on(name, (event) => {
+      events.push(`${name}:${event.data.type}`);
+    });
+  });
+
+  viewer.startRendering();
+  runFrames();
+
+  return { viewer: viewer, events: events };
+};
+
+/**
+ * Get world meshes in the scene.
+ * @param {H5P.NDLAThreeSixty} viewer Viewer.
+ * @returns {H5P.ThreeJS.Mesh[]} Meshes.
+ */
+const getWorldMeshes = (viewer) => {
+  return viewer.scene.children.filter((child) => child.isMesh);
+};
+
+describe('TransitionHandling', () => {
+  it('cross-fades to the new scene and disposes the previous one', async () => {
+    const { viewer, events } = createRenderingViewer();
+    const previous = viewer.sphere;
+    const source = createSource();
+
+    const transition = viewer.transitionTo(source, { duration: 100 });
+    runFrames(10);
+    await transition;
+
+    assert.deepEqual(
+      events, ['transitionstart:crossfade', 'transitionend:crossfade']
+    );
+    assert.equal(viewer.sourceElement, source);
+    assert.deepEqual(getWorldMeshes(viewer), [viewer.sphere]);
+    assert.notEqual(viewer.sphere, previous);
+
+    viewer.destroy();
+  });
+
+  it('abandons a zoom transition that is superseded while zooming', async (t) => {
+    const { viewer, events } = createRenderingViewer();
+    const first = createSource();
+    const second = createSource();
+    const setSourceElement = t.mock.method(viewer, 'setSourceElement');
+
+    let isFirstResolved = false;
+    viewer.transitionTo(first, { type: 'zoom', duration: 400 })
+      .then(() => {
+        isFirstResolved = true;
+      });
+    runFrames(3); // Zooming into old scene
+
+    const transition = viewer.transitionTo(second, { duration: 100 });
+    runFrames(20);
+    await transition;
+
+    assert.equal(isFirstResolved, true);
+    assert.deepEqual(events, [
+      'transitionstart:zoom',
+      'transitionend:zoom',
+      'transitionstart:crossfade',
+      'transitionend:crossfade'
+    ]);
+    assert.deepEqual(
+      setSourceElement.mock.calls.map((call) => call.arguments[0]), [second]
+    );
+    assert.equal(viewer.sceneTransition, null);
+    assert.deepEqual(getWorldMeshes(viewer), [viewer.sphere]);
+    assert.equal(viewer.camera.fov, viewer.fieldOfView);
+
+    viewer.destroy();
+  });
+
+  it('finishes a fading transition that is superseded', async () => {
+    const { viewer, events } = createRenderingViewer();
+
+    const first = viewer.transitionTo(createSource(), { type: 'fade' });
+    runFrames(3);
+    const second = viewer.transitionTo(createSource(), { duration: 100 });
+    runFrames(10);
+    await Promise.all([first, second]);
+
+    assert.deepEqual(events, [
+      'transitionstart:fade',
+      'transitionend:fade',
+      'transitionstart:crossfade',
+      'transitionend:crossfade'
+    ]);
+    assert.deepEqual(getWorldMeshes(viewer), [viewer.sphere]);
+
+    viewer.destroy();
+  });
+
+  it('does not change the scene when destroyed while zooming', async (t) => {
+    const { viewer, events } = createRenderingViewer();
+    const update = t.mock.method(viewer, 'update');
+    const setSourceElement = t.mock.method(viewer, 'setSourceElement');
+
+    const transition = viewer.transitionTo(createSource(), { type: 'zoom' });
+    runFrames(3);
+    viewer.destroy();
+    await transition;
+
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(setSourceElement.mock.callCount(), 0);
+    assert.deepEqual(events, ['transitionstart:zoom', 'transitionend:zoom']);
+  });
+
+  it('passes projection and coverage on to the new scene', async () => {
+    const { viewer } = createRenderingViewer();
+
+    const transition = viewer.transitionTo(createSource(), {
+      duration: 100,
+      isPanorama: true,
+      coverage: { horizontal: 180, vertical: 60 }
+    });
+    runFrames(10);
+    await transition;
+
+    assert.equal(viewer.options.isPanorama, true);
+    assert.equal(viewer.options.horizontalCoverage, 180);
+    assert.equal(viewer.options.verticalCoverage, 60);
+    assert.ok(Math.abs(viewer.fieldOfView - 60) < 1e-9);
+
+    const faces = [...Array(6)].map(() => createSource(16, 16));
+    const cubeTransition = viewer.transitionTo(faces, {
+      duration: 100, projection: 'cubemap'
+    });
+    runFrames(10);
+    await cubeTransition;
+
+    assert.equal(viewer.options.projection, 'cubemap');
+    assert.equal(viewer.sphere.geometry.type, 'BoxGeometry');
+
+    viewer.destroy();
+  });
+});
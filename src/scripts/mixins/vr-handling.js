@@ -0,0 +1,200 @@
+import { DEFAULT_WORLD_RADIUS, VR_HOTSPOT_SIZE } from '@services/constants';
+
+/**
+ * Mixin containing methods for virtual reality using WebXR.
+ */
+export default class VRHandling {
+  /**
+   * Determine whether immersive virtual reality is supported.
+   * @returns {Promise<boolean>} Resolves true if supported.
+   */
+  async isVRSupported() {
+    if (!navigator.xr || !this.renderer.xr) {
+      return false;
+    }
+
+    try {
+      return await navigator.xr.isSessionSupported('immersive-vr');
+    }
+    catch {
+      return false;
+    }
+  }
+
+  /**
+   * Enter immersive virtual reality.
+   * @returns {Promise<boolean>} Resolves true if session was started.
+   */
+  async enterVR() {
+    if (this.xrSession) {
+      return true;
+    }
+
+    if (!(await this.isVRSupported())) {
+      return false;
+    }
+
+    let session;
+    try {
+      session = await navigator.xr.requestSession('immersive-vr');
+    }
+    catch {
+      return false; // Not called from a user gesture or denied
+    }
+
+    this.xrSession = session;
+    this.handleVRSessionEnd = this.handleVRSessionEnd.bind(this);
+    session.addEventListener('end', this.handleVRSessionEnd);
+
+    // XR has its own animation loop
+    this.wasRenderingBeforeVR = this.isRendering;
+    this.stopRendering();
+
+    this.renderer.xr.enabled = true;
+    this.renderer.xr.setReferenceSpaceType('local');
+    try {
+      await this.renderer.xr.setSession(session);
+    }
+    catch {
+      // E.g. reference space not supported, so leave VR again
+      session.removeEventListener('end', this.handleVRSessionEnd);
+      session.end().catch(() => {}); // May have ended already
+      this.xrSession = null;
+      this.renderer.xr.enabled = false;
+
+      if (this.wasRenderingBeforeVR) {
+        this.startRendering();
+      }
+
+      return false;
+    }
+
+    // Headset looks along -z initially, so turn world to keep current view
+    this.scene.rotation.y = -this.camera.rotation.y;
+
+    this.createVRHotspots();
+
+    this.renderer.setAnimationLoop(() => {
+      this.renderer.render(this.scene, this.camera);
+    });
+
+    this.trigger('vrstart');
+
+    return true;
+  }
+
+  /**
+   * Exit immersive virtual reality.
+   * @returns {Promise} Resolves when session has ended.
+   */
+  async exitVR() {
+    if (!this.xrSession) {
+      return;
+    }
+
+    await this.xrSession.end();
+  }
+
+  /**
+   * Handle end of XR session, whether ended by us or by the browser.
+   */
+  handleVRSessionEnd() {
+    this.xrSession.removeEventListener('end', this.handleVRSessionEnd);
+    this.xrSession = null;
+
+    this.renderer.setAnimationLoop(null);
+    this.renderer.xr.enabled = false;
+
+    this.disposeVRHotspots();
+    this.scene.rotation.y = 0;
+
+    this.resize();
+
+    if (this.wasRenderingBeforeVR) {
+      this.startRendering();
+    }
+
+    this.trigger('vrend');
+  }
+
+  /**
+   * Create sprites for elements in the "CSS world" that XR cannot display.
+   */
+  createVRHotspots() {
+    this.vrHotspots = new H5P.ThreeJS.Group();
+
+    const distance = DEFAULT_WORLD_RADIUS * 0.8; // Inside world sphere
+
+    this.hotspots.list().forEach(({ threeElement }) => {
+      const sprite = new H5P.ThreeJS.Sprite(
+        new H5P.ThreeJS.SpriteMaterial({
+          map: VRHandling.createVRHotspotTexture(threeElement.element),
+          depthTest: false
+        })
+      );
+
+      sprite.position
+        .copy(threeElement.position)
+        .normalize()
+        .multiplyScalar(distance);
+      sprite.scale.set(VR_HOTSPOT_SIZE, VR_HOTSPOT_SIZE, 1);
+
+      this.vrHotspots.add(sprite);
+    });
+
+    this.scene.add(this.vrHotspots);
+  }
+
+  /**
+   * Remove hotspot sprites from memory.
+   */
+  disposeVRHotspots() {
+    if (!this.vrHotspots) {
+      return;
+    }
+
+    this.scene.remove(this.vrHotspots);
+
+    this.vrHotspots.children.forEach((sprite) => {
+      sprite.material.map.dispose();
+      sprite.material.dispose();
+    });
+    this.vrHotspots = null;
+  }
+
+  /**
+   * Draw texture for a hotspot sprite, a marker with the element's label.
+   * @param {HTMLElement} element Element of hotspot.
+   * @returns {H5P.ThreeJS.CanvasTexture} Texture.
+   */
+  static createVRHotspotTexture(element) {
+    const size = 256;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const context = canvas.getContext('2d');
+
+    context.beginPath();
+    context.arc(size / 2, size / 2, size / 2 - 8, 0, Math.PI * 2);
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.fill();
+    context.lineWidth = 8;
+    context.strokeStyle = '#212121';
+    context.stroke();
+
+    const label = (
+      element.getAttribute('aria-label') || element.textContent || ''
+    ).trim();
+
+    if (label) {
+      context.fillStyle = '#212121';
+      context.font = `bold ${size / 8}px sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(label, size / 2, size / 2, size - 48);
+    }
+
+    return new H5P.ThreeJS.CanvasTexture(canvas);
+  }
+}
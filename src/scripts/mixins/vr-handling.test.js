@@ -0,0 +1,219 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import VRHandling from '@mixins/vr-handling';
+import {
+  createViewer, hasRequestedFrames, runFrames
+} from '../../../tests/helpers.js';
+
+/**
+ * Replace WebXR of the browser for the duration of a test.
+ * @param {object} t Test context.
+ * @param {object} [options] Options.
+ * @param {boolean|Error} [options.supported] Support, or error to throw.
+ * @param {Error} [options.denied] Error to throw when requesting a session.
+ * @returns {object} Sessions that were requested.
+ */
+const mockXR = (t, options = {}) => {
+  const sessions = [];
+
+  Object.defineProperty(navigator, 'xr', {
+    configurable: true,
+    value: {
+      isSessionSupported: async () => {
+        if (options.supported instanceof Error) {
+          throw options.supported;
+        }
+
+        return options.supported ?? true;
+      },
+      requestSession: async () => {
+        if (options.denied) {
+          throw options.denied;
+        }
+
+        const session = new window.EventTarget();
+        session.ended = false;
+        session.end = async () => {
+          session.ended = true;
+          session.dispatchEvent(new window.Event('end'));
+        };
+        sessions.push(session);
+
+        return session;
+      }
+    }
+  });
+
+  t.after(() => {
+    delete navigator.xr;
+  });
+
+  return sessions;
+};
+
+describe('VRHandling', () => {
+  describe('isVRSupported', () => {
+    it('is false without WebXR', async () => {
+      const viewer = createViewer();
+
+      assert.equal(await viewer.isVRSupported(), false);
+      assert.equal(await viewer.enterVR(), false);
+
+      viewer.destroy();
+    });
+
+    it('is false if immersive sessions are not supported', async (t) => {
+      mockXR(t, { supported: false });
+      const viewer = createViewer();
+
+      assert.equal(await viewer.isVRSupported(), false);
+
+      viewer.destroy();
+    });
+
+    it('is false if the browser cannot tell', async (t) => {
+      mockXR(t, { supported: new Error('SecurityError') });
+      const viewer = createViewer();
+
+      assert.equal(await viewer.isVRSupported(), false);
+
+      viewer.destroy();
+    });
+
+    it('is true if immersive sessions are supported', async (t) => {
+      mockXR(t);
+      const viewer = createViewer();
+
+      assert.equal(await viewer.isVRSupported(), true);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('enterVR', () => {
+    it('does not start if the session is denied', async (t) => {
+      mockXR(t, { denied: new Error('NotAllowedError') });
+      const viewer = createViewer();
+
+      assert.equal(await viewer.enterVR(), false);
+      assert.equal(viewer.xrSession, null);
+      assert.equal(viewer.renderer.xr.enabled, false);
+
+      viewer.destroy();
+    });
+
+    it('ends the session if the renderer cannot use it', async (t) => {
+      const sessions = mockXR(t);
+      const viewer = createViewer();
+      t.mock.method(viewer.renderer.xr, 'setSession', async () => {
+        throw new Error('NotSupportedError');
+      });
+      viewer.startRendering();
+      let events = 0;
+      viewer.on('vrstart', () => {
+        events++;
+      });
+      viewer.on('vrend', () => {
+        events++;
+      });
+
+      assert.equal(await viewer.enterVR(), false);
+
+      assert.equal(sessions[0].ended, true);
+      assert.equal(viewer.xrSession, null);
+      assert.equal(viewer.renderer.xr.enabled, false);
+      assert.equal(viewer.isRendering, true);
+      assert.equal(events, 0);
+
+      viewer.destroy();
+    });
+
+    it('hands rendering to the session', async (t) => {
+      const sessions = mockXR(t);
+      t.mock.method(
+        VRHandling, 'createVRHotspotTexture', () => new H5P.ThreeJS.Texture()
+      );
+
+      const viewer = createViewer();
+      const element = document.createElement('button');
+      viewer.add(element, { yaw: 0.5, pitch: 0 }, false);
+      viewer.setCameraPosition(1, 0);
+      viewer.startRendering();
+      let started = 0;
+      viewer.on('vrstart', () => {
+        started++;
+      });
+
+      assert.equal(await viewer.enterVR(), true);
+
+      assert.equal(viewer.xrSession, sessions[0]);
+      assert.equal(viewer.renderer.xr.enabled, true);
+      assert.equal(viewer.isRendering, false);
+      assert.equal(typeof viewer.renderer.animationLoop, 'function');
+      assert.equal(viewer.vrHotspots.children.length, 1);
+      assert.equal(viewer.scene.rotation.y, -viewer.camera.rotation.y);
+      assert.equal(started, 1);
+
+      runFrames();
+      assert.equal(hasRequestedFrames(), false); // Session renders instead
+
+      const renderCount = viewer.renderer.renderCount;
+      viewer.renderer.animationLoop();
+      assert.equal(viewer.renderer.renderCount, renderCount + 1);
+
+      // Entering again keeps the session
+      assert.equal(await viewer.enterVR(), true);
+      assert.equal(sessions.length, 1);
+
+      await viewer.exitVR();
+      viewer.destroy();
+    });
+  });
+
+  describe('session end', () => {
+    it('restores rendering when the session is exited', async (t) => {
+      const sessions = mockXR(t);
+      const viewer = createViewer();
+      viewer.startRendering();
+      let ended = 0;
+      viewer.on('vrend', () => {
+        ended++;
+      });
+
+      await viewer.enterVR();
+      await viewer.exitVR();
+
+      assert.equal(viewer.xrSession, null);
+      assert.equal(viewer.renderer.animationLoop, null);
+      assert.equal(viewer.renderer.xr.enabled, false);
+      assert.equal(viewer.vrHotspots, null);
+      assert.equal(viewer.scene.rotation.y, 0);
+      assert.equal(viewer.isRendering, true);
+      assert.equal(ended, 1);
+
+      // Later events of the old session are ignored
+      sessions[0].dispatchEvent(new window.Event('end'));
+      assert.equal(ended, 1);
+
+      viewer.destroy();
+    });
+
+    it('handles sessions ended by the browser', async (t) => {
+      const sessions = mockXR(t);
+      const viewer = createViewer();
+      let ended = 0;
+      viewer.on('vrend', () => {
+        ended++;
+      });
+
+      await viewer.enterVR();
+      sessions[0].dispatchEvent(new window.Event('end'));
+
+      assert.equal(viewer.xrSession, null);
+      assert.equal(viewer.isRendering, false); // Was not rendering before
+      assert.equal(ended, 1);
+
+      viewer.destroy();
+    });
+  });
+});
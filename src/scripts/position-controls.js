@@ -1,5 +1,11 @@
 import Util from '@services/util';
-import { FOV_PANORAMA, FOV_SPHERE } from '@services/constants';
+import {
+  FOV_PANORAMA, FOV_SPHERE, FRAME_DURATION, FRICTION_FACTOR_TOUCH,
+  KEYBOARD_ACCELERATION_TIME, KEYBOARD_SPEED_MAX, KEYBOARD_SPEED_START,
+  MOMENTUM_DAMPING, MOMENTUM_MIN_SPEED, MOMENTUM_SAMPLE_WINDOW, PAN_ACTIONS
+} from '@services/constants';
+import GestureRecognizer from '@scripts/gesture-recognizer';
+import Keymap from '@scripts/keymap';
 
 export default class PositionControls extends H5P.EventDispatcher {
 
@@ -13,6 +19,10 @@ export default class PositionControls extends H5P.EventDispatcher {
    * @param {boolean} [options.shouldInvert] Invert controls for camera.
    * @param {boolean} [options.isCamera] Is camera.
    * @param {boolean} [options.isPanorama] If true, scene is a panarama scene.
+   * @param {boolean} [options.momentum] If true, keep gliding after release.
+   * @param {number} [options.momentumDamping] Velocity kept per frame, 0-1.
+   * @param {boolean} [options.keyboard] If false, arrow keys don't move.
+   * @param {Keymap} [options.keymap] Keymap for pan actions.
    */
   constructor(element, camera, options = {}) {
     super();
@@ -24,27 +34,40 @@ export default class PositionControls extends H5P.EventDispatcher {
       friction: 800,
       shouldInvert: false,
       isCamera: false,
-      isPanorama: false
+      isPanorama: false,
+      momentum: false,
+      momentumDamping: MOMENTUM_DAMPING,
+      keyboard: true
     }, options);
 
+    this.keymap = this.options.keymap ?? new Keymap();
     this.invert = options.shouldInvert ? 1 : -1;
     this.alpha = 0; // From 0 to 2pi
     this.beta = 0; // From -pi/2 to pi/2
-    this.keyStillDown = null; // Used to determine if movement key is held down.
+    this.keysDown = new Map(); // Pan actions of held keys by code
+    this.keyboardMovement = null;
+    this.velocitySamples = []; // Recent pointer movements for momentum.
+    this.momentum = null;
+    this.isShiftKeyDown = false; // Shift held during last input
 
     [
-      'handleMouseDown', 'handleMouseMove', 'handleMouseUp',
-      'handleTouchStart', 'handleTouchMove', 'handleTouchEnd',
-      'handleKeyDown', 'handleKeyUp', 'handleFocus'
+      'handlePanStart', 'handlePan', 'handlePanEnd',
+      'handleKeyDown', 'handleKeyUp', 'handleFocusOut', 'handleFocus',
+      'stepMomentum', 'stepKeyboardMovement'
     ].forEach((listener) => {
       this[listener] = this[listener].bind(this);
     });
 
-    // Register event listeners to position element
+    // Register gesture and event listeners to position element
+    this.gestures = GestureRecognizer.for(element);
+    this.gestures.on('panstart', this.handlePanStart);
+    this.gestures.on('pan', this.handlePan);
+    this.gestures.on('panend', this.handlePanEnd);
+
     element.setAttribute('tabindex', '0');
-    element.addEventListener('mousedown', this.handleMouseDown, false);
-    element.addEventListener('touchstart', this.handleTouchStart, false);
-    element.addEventListener('keydown', this.handleKeyDown, false);
+    if (this.options.keyboard) {
+      element.addEventListener('keydown', this.handleKeyDown, false);
+    }
     element.addEventListener('focus', this.handleFocus, false);
     element.setAttribute('role', 'application');
   }
@@ -83,6 +106,31 @@ export default class PositionControls extends H5P.EventDispatcher {
     this.options.isPanorama = state;
   }
 
+  /**
+   * Remove all listeners and stop ongoing movement.
+   */
+  destroy() {
+    this.cancelMomentum();
+
+    if (this.keyboardMovement) {
+      window.cancelAnimationFrame(this.keyboardMovement.frameId);
+      this.keyboardMovement = null;
+    }
+    this.keysDown.clear();
+
+    this.gestures.off('panstart', this.handlePanStart);
+    this.gestures.off('pan', this.handlePan);
+    this.gestures.off('panend', this.handlePanEnd);
+    this.gestures.release();
+
+    this.element.removeEventListener('keydown', this.handleKeyDown, false);
+    this.element.removeEventListener('keyup', this.handleKeyUp, false);
+    this.element.removeEventListener('focusout', this.handleFocusOut, false);
+    this.element.removeEventListener('focus', this.handleFocus, false);
+
+    this.controlActive = false;
+  }
+
   /**
    * Generic initialization when movement starts.
    * @param {number} x Initial x coordinate
@@ -92,6 +140,13 @@ export default class PositionControls extends H5P.EventDispatcher {
    * @returns {boolean} If it's safe to start moving
    */
   start(x, y, control, event) {
+    const wasGliding = !!this.momentum;
+    if (wasGliding) {
+      // New movement takes over, so the movement does not stop in between
+      this.cancelMomentum();
+      this.controlActive = false;
+    }
+
     if (this.controlActive) {
       return false; // Another control is active
     }
@@ -112,6 +167,10 @@ export default class PositionControls extends H5P.EventDispatcher {
     this.trigger(movestartEvent);
 
     if (movestartEvent.defaultPrevented) {
+      if (wasGliding) {
+        this.end();
+      }
+
       return false; // Another component doesn't want us to start moving
     }
 
@@ -119,6 +178,7 @@ export default class PositionControls extends H5P.EventDispatcher {
     this.startPosition = { x: x, y: y };
     this.alpha = 0;
     this.beta = 0;
+    this.velocitySamples = [];
 
     this.controlActive = control;
 
@@ -135,6 +195,131 @@ export default class PositionControls extends H5P.EventDispatcher {
     this.trigger('movestop');
   }
 
+  /**
+   * End pointer movement, gliding on if momentum is enabled.
+   * @param {number} friction Friction used while moving.
+   */
+  release(friction) {
+    const velocity = this.getVelocity();
+    this.velocitySamples = [];
+
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+    if (!this.options.momentum || speed < MOMENTUM_MIN_SPEED) {
+      this.end();
+      return;
+    }
+
+    this.momentum = {
+      velocity: velocity,
+      friction: friction,
+      lastTime: null,
+      frameId: window.requestAnimationFrame(this.stepMomentum)
+    };
+  }
+
+  /**
+   * Keep track of pointer movement to determine velocity on release.
+   * @param {number} deltaX Movement on x axis in px.
+   * @param {number} deltaY Movement on y axis in px.
+   */
+  addVelocitySample(deltaX, deltaY) {
+    const now = performance.now();
+
+    this.velocitySamples.push({ x: deltaX, y: deltaY, time: now });
+    this.velocitySamples = this.velocitySamples.filter((sample) => {
+      return now - sample.time <= MOMENTUM_SAMPLE_WINDOW;
+    });
+  }
+
+  /**
+   * Get velocity of recent pointer movement.
+   * @returns {object} Velocity on x and y axis in px/ms.
+   */
+  getVelocity() {
+    const now = performance.now();
+    const samples = this.velocitySamples.filter((sample) => {
+      return now - sample.time <= MOMENTUM_SAMPLE_WINDOW;
+    });
+
+    if (samples.length < 2) {
+      return { x: 0, y: 0 }; // Pointer was held still before release
+    }
+
+    // First sample only marks the start of the time span
+    const duration = Math.max(1, now - samples[0].time);
+    const distance = samples.slice(1).reduce((sum, sample) => {
+      return { x: sum.x + sample.x, y: sum.y + sample.y };
+    }, { x: 0, y: 0 });
+
+    return { x: distance.x / duration, y: distance.y / duration };
+  }
+
+  /**
+   * Glide one step with decaying velocity.
+   * @param {number} timestamp Timestamp of animation frame.
+   */
+  stepMomentum(timestamp) {
+    const momentum = this.momentum;
+    if (!momentum) {
+      return;
+    }
+
+    const frameDuration = momentum.lastTime === null ?
+      FRAME_DURATION :
+      timestamp - momentum.lastTime;
+    momentum.lastTime = timestamp;
+
+    // Damping is given per frame, so adjust for actual frame duration
+    const decay = Math.pow(
+      this.options.momentumDamping,
+      frameDuration / FRAME_DURATION
+    );
+    momentum.velocity.x *= decay;
+    momentum.velocity.y *= decay;
+
+    const speed = Math.sqrt(
+      momentum.velocity.x * momentum.velocity.x +
+      momentum.velocity.y * momentum.velocity.y
+    );
+
+    if (speed < MOMENTUM_MIN_SPEED) {
+      this.stopMomentum();
+      return;
+    }
+
+    this.move(
+      momentum.velocity.x * frameDuration,
+      momentum.velocity.y * frameDuration,
+      momentum.friction
+    );
+
+    momentum.frameId = window.requestAnimationFrame(this.stepMomentum);
+  }
+
+  /**
+   * Stop gliding and end movement.
+   */
+  stopMomentum() {
+    if (!this.momentum) {
+      return;
+    }
+
+    this.cancelMomentum();
+    this.end();
+  }
+
+  /**
+   * Stop gliding without ending movement.
+   */
+  cancelMomentum() {
+    if (!this.momentum) {
+      return;
+    }
+
+    window.cancelAnimationFrame(this.momentum.frameId);
+    this.momentum = null;
+  }
+
   /**
    * Generic movement handler.
    * @param {number} deltaX Current deltaX coordinate.
@@ -164,207 +349,208 @@ export default class PositionControls extends H5P.EventDispatcher {
 
     moveEvent.alpha = this.alpha;
     moveEvent.beta = this.beta;
+    moveEvent.shiftKey = this.isShiftKeyDown;
 
     // Trigger move event
     this.trigger(moveEvent);
   }
 
   /**
-   * Handle mouse down.
-   * @param {MouseEvent} event Mouse event.
+   * Handle start of pan gesture.
+   * @param {H5P.Event} event Pan start event.
    */
-  handleMouseDown(event) {
-    if (event.button !== 0) {
-      return; // Not left mouse button
+  handlePanStart(event) {
+    if (!this.start(
+      event.data.x, event.data.y, 'pointer', event.data.originalEvent
+    )) {
+      event.defaultPrevented = true; // Prevented by another component
+      return;
     }
 
-    if (!this.start(event.pageX, event.pageY, 'mouse', event)) {
-      return; // Prevented by another component
-    }
+    this.pointerType = event.data.pointerType;
 
     // Prevent other elements from moving
-    event.stopPropagation();
-
-    // Register mouse move and up handlers
-    window.addEventListener('mousemove', this.handleMouseMove, false);
-    window.addEventListener('mouseup', this.handleMouseUp, false);
+    event.data.originalEvent.stopPropagation();
   }
 
   /**
-   * Handle mouse move
-   * @param {MouseEvent} event Mouse event.
+   * Handle pan gesture.
+   * @param {H5P.Event} event Pan event.
    */
-  handleMouseMove(event) {
-    let xDiff = event.movementX;
-    let yDiff = event.movementY;
-
-    if (event.movementX === undefined || event.movementY === undefined) {
-      // Diff on old values
-      if (!this.prevPosition) {
-        this.prevPosition = {
-          x: this.startPosition.x,
-          y: this.startPosition.y,
-        };
-      }
-      xDiff = event.pageX - this.prevPosition.x;
-      yDiff = event.pageY - this.prevPosition.y;
-
-      this.prevPosition = {
-        x: event.pageX,
-        y: event.pageY,
-      };
+  handlePan(event) {
+    if (!this.isMoving('pointer')) {
+      return;
     }
 
-    if (xDiff !== 0 || yDiff !== 0) {
-      this.move(xDiff, yDiff, this.options.friction);
-    }
-  }
+    const deltaX = event.data.deltaX;
+    const deltaY = event.data.deltaY;
 
-  /**
-   * Handle mouse up
-   */
-  handleMouseUp() {
-    this.prevPosition = null;
-
-    window.removeEventListener('mousemove', this.handleMouseMove, false);
-    window.removeEventListener('mouseup', this.handleMouseUp, false);
+    if (deltaX === 0 && deltaY === 0) {
+      return;
+    }
 
-    this.end();
+    this.isShiftKeyDown = !!event.data.originalEvent?.shiftKey;
+    this.addVelocitySample(deltaX, deltaY);
+    this.move(deltaX, deltaY, this.getPointerFriction());
   }
 
   /**
-   * Handle touch start.
-   * @param {TouchEvent} event Touch event.
+   * Handle end of pan gesture.
    */
-  handleTouchStart(event) {
-    if (!this.start(
-      event.changedTouches[0].pageX, event.changedTouches[0].pageY, 'touch'
-    )) {
+  handlePanEnd() {
+    if (!this.isMoving('pointer')) {
       return;
     }
 
-    this.element.addEventListener('touchmove', this.handleTouchMove, false);
-    this.element.addEventListener('touchend', this.handleTouchEnd, false);
+    this.release(this.getPointerFriction());
   }
 
   /**
-   * Handle touch movement.
-   * @param {TouchEvent} event Touch event.
+   * Get friction for current pointer type.
+   * @returns {number} Friction.
    */
-  handleTouchMove(event) {
-    if (!event.cancelable) {
-      return;
-    }
+  getPointerFriction() {
+    return (this.pointerType === 'mouse') ?
+      this.options.friction :
+      this.options.friction * FRICTION_FACTOR_TOUCH;
+  }
 
-    // Only move if one finger is used, zoom-controls will handle two finger movement
-    if (event.touches.length > 1) {
+  /**
+   * Handle key down.
+   * @param {KeyboardEvent} event Keyboard event.
+   */
+  handleKeyDown(event) {
+    const action = this.keymap.getAction(event);
+    if (!PAN_ACTIONS.includes(action)) {
       return;
     }
 
+    // Prevent the default behavior
     event.preventDefault();
     event.stopPropagation();
 
-    if (!this.prevPosition) {
-      this.prevPosition = {
-        x: this.startPosition.x,
-        y: this.startPosition.y,
-      };
+    if (event.repeat || this.keysDown.has(event.code)) {
+      return; // Held keys are handled frame by frame
     }
 
-    const deltaX = event.changedTouches[0].pageX - this.prevPosition.x;
-    const deltaY = event.changedTouches[0].pageY - this.prevPosition.y;
+    if (!this.keysDown.size) {
+      // Try to start movement
+      if (!this.start(0, 0, 'keyboard')) {
+        return;
+      }
 
-    this.prevPosition = {
-      x: event.changedTouches[0].pageX,
-      y: event.changedTouches[0].pageY,
-    };
+      this.element.addEventListener('keyup', this.handleKeyUp, false);
+      this.element.addEventListener('focusout', this.handleFocusOut, false);
 
-    this.move(
-      deltaX,
-      deltaY,
-      this.options.friction * PositionControls.FRICTION_FACTOR_TOUCH
-    );
+      this.keyboardMovement = {
+        startTime: null,
+        lastTime: null,
+        frameId: window.requestAnimationFrame(this.stepKeyboardMovement)
+      };
+    }
+
+    this.keysDown.set(event.code, action);
+    this.isShiftKeyDown = event.shiftKey;
   }
 
   /**
-   * Handle touch end.
+   * Handle key up.
+   * @param {KeyboardEvent} event Keyboard event.
    */
-  handleTouchEnd() {
-    this.prevPosition = null;
-    this.element.removeEventListener('touchmove', this.handleTouchMove, false);
-    this.element.removeEventListener('touchend', this.handleTouchEnd, false);
+  handleKeyUp(event) {
+    if (!this.keysDown.delete(event.code)) {
+      return;
+    }
 
-    this.end();
+    this.isShiftKeyDown = event.shiftKey;
+
+    if (!this.keysDown.size) {
+      this.stopKeyboardMovement(); // Other held keys keep moving
+    }
   }
 
   /**
-   * Handle key down.
-   * @param {KeyboardEvent} event Keyboard event.
+   * Stop keyboard movement when focus leaves, key up would not be noticed.
    */
-  handleKeyDown(event) {
-    const isArrowKey = [
-      'ArrowLeft', 'Numpad4', 'ArrowRight', 'Numpad6',
-      'ArrowUp', 'Numpad8', 'ArrowDown', 'Numpad2'
-    ].includes(event.code);
+  handleFocusOut() {
+    this.stopKeyboardMovement();
+  }
 
-    if (!isArrowKey) {
+  /**
+   * Move one frame in the direction of all held keys, accelerating while
+   * they are held.
+   * @param {number} timestamp Timestamp of animation frame.
+   */
+  stepKeyboardMovement(timestamp) {
+    const movement = this.keyboardMovement;
+    if (!movement) {
       return;
     }
 
-    if (this.keyStillDown === null) {
-      // Try to start movement
-      if (this.start(0, 0, 'keyboard')) {
-        this.keyStillDown = event.code;
-        this.element.addEventListener('keyup', this.handleKeyUp, false);
+    movement.startTime = movement.startTime ?? timestamp;
+    const frameDuration = movement.lastTime === null ?
+      FRAME_DURATION :
+      timestamp - movement.lastTime;
+    movement.lastTime = timestamp;
+
+    const direction = { x: 0, y: 0 };
+    this.keysDown.forEach((action) => {
+      switch (action) {
+        case 'panLeft':
+          direction.x += this.invert;
+          break;
+
+        case 'panUp':
+          direction.y += this.invert;
+          break;
+
+        case 'panRight':
+          direction.x -= this.invert;
+          break;
+
+        case 'panDown':
+          direction.y -= this.invert;
+          break;
       }
-    }
-
-    // Prevent the default behavior
-    event.preventDefault();
-    event.stopPropagation();
+    });
 
-    if (this.keyStillDown !== event.code) {
-      return; // Not the same key as we started with
-    }
+    // Keep the same speed when moving diagonally
+    const length = Math.sqrt(
+      direction.x * direction.x + direction.y * direction.y
+    );
 
-    const delta = { x: 0, y: 0 };
-
-    // Update movement in approperiate direction
-    switch (event.code) {
-      case 'ArrowLeft': // Intentional fallthrough
-      case 'Numpad4':
-        delta.x += this.invert;
-        break;
-
-      case 'ArrowUp': // Intentional fallthrough
-      case 'Numpad8':
-        delta.y += this.invert;
-        break;
-
-      case 'ArrowRight': // Intentional fallthrough
-      case 'Numpad6':
-        delta.x -= this.invert;
-        break;
-
-      case 'ArrowDown': // Intentional fallthrough
-      case 'Numpad2':
-        delta.y -= this.invert;
-        break;
+    if (length) {
+      const acceleration = Math.min(
+        1,
+        (timestamp - movement.startTime) / KEYBOARD_ACCELERATION_TIME
+      );
+      const speed = KEYBOARD_SPEED_START + acceleration *
+        (KEYBOARD_SPEED_MAX - KEYBOARD_SPEED_START);
+
+      this.move(
+        direction.x / length * speed * frameDuration,
+        direction.y / length * speed * frameDuration,
+        this.options.friction
+      );
     }
 
-    this.move(
-      delta.x,
-      delta.y,
-      this.options.friction * PositionControls.FRICTION_FACTOR_KEYBOARD
-    );
+    movement.frameId = window.requestAnimationFrame(this.stepKeyboardMovement);
   }
 
   /**
-   * Handle key up.
+   * Stop keyboard movement and end movement.
    */
-  handleKeyUp() {
-    this.keyStillDown = null;
+  stopKeyboardMovement() {
+    if (!this.keyboardMovement) {
+      return;
+    }
+
+    window.cancelAnimationFrame(this.keyboardMovement.frameId);
+    this.keyboardMovement = null;
+    this.keysDown.clear();
+
     this.element.removeEventListener('keyup', this.handleKeyUp, false);
+    this.element.removeEventListener('focusout', this.handleFocusOut, false);
 
     this.end();
   }
@@ -378,9 +564,3 @@ export default class PositionControls extends H5P.EventDispatcher {
     event.target.focus({ preventScroll: true });
   }
 }
-
-/** @constant {number} FRICTION_FACTOR_KEYBOARD Friction factor for keyboard movement. */
-PositionControls.FRICTION_FACTOR_KEYBOARD = 0.025;
-
-/** @constant {number} FRICTION_FACTOR_KEYBOARD Friction factor for touch movement. */
-PositionControls.FRICTION_FACTOR_TOUCH = 0.75;
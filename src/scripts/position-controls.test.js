@@ -0,0 +1,317 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import PositionControls from '@scripts/position-controls';
+import {
+  FRAME_DURATION, KEYBOARD_ACCELERATION_TIME, KEYBOARD_SPEED_MAX,
+  KEYBOARD_SPEED_START, MOMENTUM_SAMPLE_WINDOW
+} from '@services/constants';
+import {
+  dispatchPointer, dragPointer, hasRequestedFrames, pressKey, runFrames
+} from '../../tests/helpers.js';
+
+/** @constant {number} FRICTION Friction of controls in tests. */
+const FRICTION = 800;
+
+/**
+ * Create controls for an element, recording their events.
+ * @param {object} [options] Options of controls.
+ * @returns {object} Controls, element and events.
+ */
+const createControls = (options) => {
+  const element = document.createElement('div');
+  document.body.append(element);
+
+  const controls = new PositionControls(element, null, options);
+  const events = [];
+  ['movestart', 'move', 'movestop'].forEach((type) => {
+    controls.on(type, (event) => {
+      events.push(type === 'move' ? event.alpha : type);
+    });
+  });
+
+  return { controls: controls, element: element, events: events };
+};
+
+/**
+ * Record deltas of move events.
+ * @param {PositionControls} controls Controls.
+ * @returns {object[]} Deltas of alpha and beta.
+ */
+const recordMoves = (controls) => {
+  const moves = [];
+  controls.on('move', (event) => {
+    moves.push({ alpha: event.alphaDelta, beta: event.betaDelta });
+  });
+
+  return moves;
+};
+
+/**
+ * Release key.
+ * @param {HTMLElement} element Element.
+ * @param {string} code Code of key.
+ */
+const releaseKey = (element, code) => {
+  element.dispatchEvent(new KeyboardEvent('keyup', {
+    key: code, code: code, bubbles: true
+  }));
+};
+
+/**
+ * Drag quickly to the right.
+ * @param {HTMLElement} element Element.
+ */
+const swipe = (element) => {
+  dragPointer(element, [
+    { clientX: 0 }, { clientX: 20 }, { clientX: 40 }, { clientX: 60 }
+  ]);
+};
+
+describe('PositionControls', () => {
+  describe('momentum', () => {
+    it('is off by default', () => {
+      const { controls, element, events } = createControls();
+
+      swipe(element);
+
+      assert.equal(events.at(-1), 'movestop');
+      assert.equal(hasRequestedFrames(), false);
+
+      controls.destroy();
+      element.remove();
+    });
+
+    it('keeps moving with decaying speed after release', () => {
+      const { controls, element, events } = createControls({ momentum: true });
+
+      swipe(element);
+      assert.equal(events.includes('movestop'), false);
+      const released = events.length;
+
+      runFrames(200);
+
+      const glide = events.slice(released, -1);
+      const steps = glide.map((alpha, index) => {
+        return alpha - (index ? glide[index - 1] : events[released - 1]);
+      });
+      assert.ok(glide.length > 10);
+      assert.ok(steps.every((step, index) => !index || step < steps[index - 1]));
+      assert.equal(events.at(-1), 'movestop');
+      assert.equal(events.filter((event) => event === 'movestop').length, 1);
+      assert.equal(hasRequestedFrames(), false);
+
+      controls.destroy();
+      element.remove();
+    });
+
+    it('does not glide if the pointer was held still before release', () => {
+      const { controls, element, events } = createControls({ momentum: true });
+
+      dispatchPointer(element, 'pointerdown', { clientX: 0 });
+      runFrames();
+      dispatchPointer(element, 'pointermove', { clientX: 40 });
+      runFrames(1, MOMENTUM_SAMPLE_WINDOW + 1);
+      dispatchPointer(element, 'pointerup', { clientX: 40 });
+
+      assert.equal(events.at(-1), 'movestop');
+
+      controls.destroy();
+      element.remove();
+    });
+
+    it('is taken over by a new movement without stopping', () => {
+      const { controls, element, events } = createControls({ momentum: true });
+
+      swipe(element);
+      runFrames(2);
+      const released = events.length;
+      dispatchPointer(element, 'pointerdown', { clientX: 0 });
+
+      assert.deepEqual(events.slice(released), ['movestart']);
+      runFrames();
+      assert.equal(events.at(-1), 'movestart'); // No more gliding
+
+      dispatchPointer(element, 'pointerup', { clientX: 0 });
+      assert.equal(events.at(-1), 'movestop');
+      assert.equal(events.filter((event) => event === 'movestop').length, 1);
+
+      controls.destroy();
+      element.remove();
+    });
+
+    it('stops if a new movement is prevented', () => {
+      const { controls, element, events } = createControls({ momentum: true });
+
+      swipe(element);
+      runFrames(2);
+      controls.on('movestart', (event) => {
+        event.defaultPrevented = true;
+      });
+      dispatchPointer(element, 'pointerdown', { clientX: 0 });
+
+      assert.deepEqual(events.slice(-2), ['movestart', 'movestop']);
+      assert.equal(controls.isMoving(), false);
+      runFrames();
+      assert.equal(events.at(-1), 'movestop');
+
+      dispatchPointer(element, 'pointerup', { clientX: 0 });
+      controls.destroy();
+      element.remove();
+    });
+
+    it('uses the given damping', () => {
+      const slow = createControls({ momentum: true, momentumDamping: 0.5 });
+      const fast = createControls({ momentum: true, momentumDamping: 0.95 });
+
+      swipe(slow.element);
+      swipe(fast.element);
+      runFrames(200);
+
+      assert.ok(slow.events.length < fast.events.length);
+
+      [slow, fast].forEach(({ controls, element }) => {
+        controls.destroy();
+        element.remove();
+      });
+    });
+
+    it('stops when destroyed', () => {
+      const { controls, element } = createControls({ momentum: true });
+
+      swipe(element);
+      controls.destroy();
+
+      assert.equal(hasRequestedFrames(), false);
+      element.remove();
+    });
+  });
+
+  describe('keyboard', () => {
+    it('moves every frame while a key is held', () => {
+      const { controls, element, events } = createControls();
+      const moves = recordMoves(controls);
+
+      pressKey(element, 'ArrowRight');
+      assert.equal(moves.length, 0);
+
+      runFrames(3);
+      pressKey(element, 'ArrowRight', { repeat: true }); // Key repeat of OS
+      runFrames(2);
+      assert.equal(moves.length, 5);
+      assert.ok(moves.every((move) => move.alpha > 0 && move.beta === 0));
+
+      releaseKey(element, 'ArrowRight');
+      runFrames();
+      assert.equal(moves.length, 5);
+      assert.deepEqual(
+        events.filter((event) => typeof event === 'string'),
+        ['movestart', 'movestop']
+      );
+      assert.equal(hasRequestedFrames(), false);
+
+      controls.destroy();
+      element.remove();
+    });
+
+    it('accelerates up to maximum speed', () => {
+      const { controls, element } = createControls({ friction: FRICTION });
+      const moves = recordMoves(controls);
+
+      pressKey(element, 'ArrowLeft');
+      runFrames(Math.ceil(KEYBOARD_ACCELERATION_TIME / FRAME_DURATION) + 10);
+      releaseKey(element, 'ArrowLeft');
+
+      const speeds = moves.map((move) => {
+        return -move.alpha * FRICTION / FRAME_DURATION;
+      });
+      assert.ok(Math.abs(speeds[0] - KEYBOARD_SPEED_START) < 1e-9);
+      assert.ok(speeds.every((speed, index) => {
+        return !index || speed >= speeds[index - 1];
+      }));
+      assert.ok(Math.abs(speeds.at(-1) - KEYBOARD_SPEED_MAX) < 1e-9);
+
+      controls.destroy();
+      element.remove();
+    });
+
+    it('moves as far at any frame rate', () => {
+      const distances = [FRAME_DURATION, 50].map((duration) => {
+        const { controls, element } = createControls();
+        let alpha = 0;
+        controls.on('move', (event) => {
+          alpha = event.alpha;
+        });
+
+        pressKey(element, 'ArrowRight');
+        runFrames(); // First frame starts the movement
+        runFrames(Math.round(600 / duration), duration);
+        releaseKey(element, 'ArrowRight');
+
+        controls.destroy();
+        element.remove();
+
+        return alpha;
+      });
+
+      assert.ok(Math.abs(distances[0] - distances[1]) / distances[0] < 0.05);
+    });
+
+    it('moves diagonally at the same speed with two keys', () => {
+      const { controls, element, events } = createControls();
+      const moves = recordMoves(controls);
+
+      pressKey(element, 'ArrowRight');
+      runFrames();
+      pressKey(element, 'ArrowUp');
+      runFrames();
+
+      const [straight, diagonal] = moves;
+      assert.ok(diagonal.alpha > 0 && diagonal.beta < 0);
+      assert.ok(Math.abs(diagonal.alpha + diagonal.beta) < 1e-9);
+      assert.ok(
+        Math.abs(Math.hypot(diagonal.alpha, diagonal.beta) - straight.alpha) <
+          straight.alpha * 0.1
+      );
+
+      // Releasing one key keeps moving with the other
+      releaseKey(element, 'ArrowRight');
+      runFrames();
+      assert.equal(moves[2].alpha, 0);
+      assert.ok(moves[2].beta < 0);
+      assert.equal(events.includes('movestop'), false);
+
+      releaseKey(element, 'ArrowUp');
+      assert.equal(events.at(-1), 'movestop');
+
+      controls.destroy();
+      element.remove();
+    });
+
+    it('stops when focus leaves', () => {
+      const { controls, element, events } = createControls();
+
+      pressKey(element, 'ArrowDown');
+      runFrames();
+      element.dispatchEvent(new FocusEvent('focusout'));
+
+      assert.equal(events.at(-1), 'movestop');
+      assert.equal(hasRequestedFrames(), false);
+
+      controls.destroy();
+      element.remove();
+    });
+
+    it('ignores keys if turned off', () => {
+      const { controls, element, events } = createControls({ keyboard: false });
+
+      const event = pressKey(element, 'ArrowDown');
+      runFrames();
+
+      assert.equal(event.defaultPrevented, false);
+      assert.deepEqual(events, []);
+
+      controls.destroy();
+      element.remove();
+    });
+  });
+});
@@ -1,6 +1,12 @@
 /** @constant {number} MAX_PITCH Maximum pitch. */
 export const MAX_PITCH = Math.PI / 2;
 
+/** @constant {number} HOTSPOT_PITCH_FACTOR_PANORAMA Share of half the vertical coverage of panoramas that elements may be moved to. */
+export const HOTSPOT_PITCH_FACTOR_PANORAMA = 0.9;
+
+/** @constant {number} MAX_VERTICAL_COVERAGE_PANORAMA Maximum vertical coverage of panoramas in degrees, cylinders cannot show more. */
+export const MAX_VERTICAL_COVERAGE_PANORAMA = 150;
+
 /** @constant {number} CAMERA_NEAR Camera near value. */
 export const CAMERA_NEAR = 0.1;
 
@@ -13,6 +19,9 @@ export const FOV_PANORAMA = 53;
 /** @constant {number} FOV_SPHERE Field of View for spheres. */
 export const FOV_SPHERE = 75;
 
+/** @constant {number} FOV_MIN Default minimum Field of View when zooming in. */
+export const FOV_MIN = 15;
+
 /** @constant {number} DEFAULT_Friction Default friction. */
 export const DEFAULT_FRICTION = 400;
 
@@ -34,5 +43,146 @@ export const ZOOM_MAX = 15;
 /** @constant {number} ZOOM_SPEED Zoom speed */
 export const ZOOM_SPEED = 2.5;
 
-/** @constant {number} ZOOM_SPEED_TOUCH Zoom speed for touch */
-export const ZOOM_SPEED_TOUCH = 1.3;
\ No newline at end of file
+/** @constant {number} CAMERA_ANIMATION_DURATION Default camera animation duration in ms. */
+export const CAMERA_ANIMATION_DURATION = 500;
+
+/** @constant {number} VR_HOTSPOT_SIZE Size of hotspot sprites in virtual reality. */
+export const VR_HOTSPOT_SIZE = 1;
+
+/** @constant {string} PROJECTION_EQUIRECTANGULAR Equirectangular projection. */
+export const PROJECTION_EQUIRECTANGULAR = 'equirectangular';
+
+/** @constant {string} PROJECTION_CUBEMAP Cubemap projection. */
+export const PROJECTION_CUBEMAP = 'cubemap';
+
+/** @constant {string} PROJECTION_TILED Multi-resolution tiled cubemap projection. */
+export const PROJECTION_TILED = 'tiled';
+
+/** @constant {number} CUBEMAP_FACES Number of faces of a cubemap. */
+export const CUBEMAP_FACES = 6;
+
+/** @constant {string} TRANSITION_CROSSFADE Cross-fade between scenes. */
+export const TRANSITION_CROSSFADE = 'crossfade';
+
+/** @constant {string} TRANSITION_FADE Fade through black between scenes. */
+export const TRANSITION_FADE = 'fade';
+
+/** @constant {string} TRANSITION_ZOOM Zoom through a direction between scenes. */
+export const TRANSITION_ZOOM = 'zoom';
+
+/** @constant {number} TRANSITION_DURATION Default scene transition duration in ms. */
+export const TRANSITION_DURATION = 1000;
+
+/** @constant {number} SNAP_THRESHOLD Default distance in degrees to snap to horizon or hotspots. */
+export const SNAP_THRESHOLD = 2;
+
+/** @constant {number} HOTSPOT_HISTORY_SIZE Number of element moves that can be undone. */
+export const HOTSPOT_HISTORY_SIZE = 50;
+
+/** @constant {number} HOTSPOT_KEYBOARD_STEP Degrees an element moves per arrow key press. */
+export const HOTSPOT_KEYBOARD_STEP = 5;
+
+/** @constant {number} HOTSPOT_KEYBOARD_FINE_STEP Degrees an element moves per arrow key press with Shift. */
+export const HOTSPOT_KEYBOARD_FINE_STEP = 1;
+
+/** @constant {number} VIEW_ANNOUNCEMENT_DELAY Time in ms the view must be still before it's announced. */
+export const VIEW_ANNOUNCEMENT_DELAY = 500;
+
+/** @constant {string[]} PAN_ACTIONS Keymap actions moving the position. */
+export const PAN_ACTIONS = ['panLeft', 'panRight', 'panUp', 'panDown'];
+
+/** @constant {number} KEYBOARD_SPEED_START Speed in px/ms when a key is pressed, relative to friction. */
+export const KEYBOARD_SPEED_START = 0.2;
+
+/** @constant {number} KEYBOARD_SPEED_MAX Speed in px/ms after accelerating, relative to friction. */
+export const KEYBOARD_SPEED_MAX = 0.8;
+
+/** @constant {number} KEYBOARD_ACCELERATION_TIME Time in ms to reach maximum speed. */
+export const KEYBOARD_ACCELERATION_TIME = 1000;
+
+/** @constant {number} FRICTION_FACTOR_TOUCH Friction factor for touch movement. */
+export const FRICTION_FACTOR_TOUCH = 0.75;
+
+/** @constant {number} MOMENTUM_DAMPING Share of velocity kept per frame. */
+export const MOMENTUM_DAMPING = 0.92;
+
+/** @constant {number} MOMENTUM_MIN_SPEED Speed in px/ms below which gliding stops. */
+export const MOMENTUM_MIN_SPEED = 0.02;
+
+/** @constant {number} MOMENTUM_SAMPLE_WINDOW Time in ms considered for velocity. */
+export const MOMENTUM_SAMPLE_WINDOW = 100;
+
+/** @constant {number} FRAME_DURATION Duration of a frame at 60 fps in ms. */
+export const FRAME_DURATION = 1000 / 60;
+
+/** @constant {number} TAP_THRESHOLD Distance in px a tap may move. */
+export const TAP_THRESHOLD = 8;
+
+/** @constant {number} TAP_DURATION Duration in ms a tap may last. */
+export const TAP_DURATION = 300;
+
+/**
+ * @constant {object[]} CUBE_FACE_ORIENTATIONS Orientation of cube faces seen from inside.
+ * Matches the face order right, left, top, bottom, front, back of the world
+ * cube, which is flipped on its z axis.
+ */
+export const CUBE_FACE_ORIENTATIONS = [
+  { center: [1, 0, 0], right: [0, 0, 1], up: [0, 1, 0] },
+  { center: [-1, 0, 0], right: [0, 0, -1], up: [0, 1, 0] },
+  { center: [0, 1, 0], right: [1, 0, 0], up: [0, 0, 1] },
+  { center: [0, -1, 0], right: [1, 0, 0], up: [0, 0, -1] },
+  { center: [0, 0, -1], right: [1, 0, 0], up: [0, 1, 0] },
+  { center: [0, 0, 1], right: [-1, 0, 0], up: [0, 1, 0] }
+];
+
+/** @constant {number} TILE_LEVEL_OFFSET Share of radius each level of tiles is moved inwards. */
+export const TILE_LEVEL_OFFSET = 0.001;
+
+/** @constant {string} HOTSPOT_LAYOUT_CLUSTER Cluster overlapping hotspots into a badge. */
+export const HOTSPOT_LAYOUT_CLUSTER = 'cluster';
+
+/** @constant {string} HOTSPOT_LAYOUT_SPREAD Nudge overlapping hotspots apart. */
+export const HOTSPOT_LAYOUT_SPREAD = 'spread';
+
+/** @constant {number} HOTSPOT_SPREAD_ITERATIONS Maximum passes to resolve overlaps. */
+export const HOTSPOT_SPREAD_ITERATIONS = 10;
+
+/** @constant {number} GOLDEN_ANGLE Angle to fan out hotspots at the same spot. */
+export const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/** @constant {number} INDICATOR_EDGE_MARGIN Distance of off-screen arrows from the edge in px. */
+export const INDICATOR_EDGE_MARGIN = 24;
+
+/** @constant {number} JPEG_SOI Start of image marker. */
+export const JPEG_SOI = 0xFFD8;
+
+/** @constant {number} JPEG_APP1 APP1 segment marker, holds EXIF or XMP. */
+export const JPEG_APP1 = 0xE1;
+
+/** @constant {number} JPEG_SOS Start of scan marker. */
+export const JPEG_SOS = 0xDA;
+
+/** @constant {number} JPEG_EOI End of image marker. */
+export const JPEG_EOI = 0xD9;
+
+/** @constant {string} XMP_HEADER Header of APP1 segments with XMP. */
+export const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+/** @constant {object} GPANO_PROPERTIES Types of GPano properties by name. */
+export const GPANO_PROPERTIES = {
+  UsePanoramaViewer: 'boolean',
+  ProjectionType: 'string',
+  CroppedAreaImageWidthPixels: 'number',
+  CroppedAreaImageHeightPixels: 'number',
+  FullPanoWidthPixels: 'number',
+  FullPanoHeightPixels: 'number',
+  CroppedAreaLeftPixels: 'number',
+  CroppedAreaTopPixels: 'number',
+  PoseHeadingDegrees: 'number',
+  PosePitchDegrees: 'number',
+  PoseRollDegrees: 'number',
+  InitialViewHeadingDegrees: 'number',
+  InitialViewPitchDegrees: 'number',
+  InitialViewRollDegrees: 'number',
+  InitialHorizontalFOVDegrees: 'number'
+};
@@ -0,0 +1,73 @@
+/** Class for easing functions, all mapping progress 0-1 to 0-1 */
+export default class Easing {
+  /**
+   * Linear easing.
+   * @param {number} t Progress from 0 to 1.
+   * @returns {number} Eased progress.
+   */
+  static linear(t) {
+    return t;
+  }
+
+  /**
+   * Quadratic ease in.
+   * @param {number} t Progress from 0 to 1.
+   * @returns {number} Eased progress.
+   */
+  static easeInQuad(t) {
+    return t * t;
+  }
+
+  /**
+   * Quadratic ease out.
+   * @param {number} t Progress from 0 to 1.
+   * @returns {number} Eased progress.
+   */
+  static easeOutQuad(t) {
+    return t * (2 - t);
+  }
+
+  /**
+   * Quadratic ease in and out.
+   * @param {number} t Progress from 0 to 1.
+   * @returns {number} Eased progress.
+   */
+  static easeInOutQuad(t) {
+    return (t < 0.5) ? 2 * t * t : -1 + (4 - 2 * t) * t;
+  }
+
+  /**
+   * Cubic ease out.
+   * @param {number} t Progress from 0 to 1.
+   * @returns {number} Eased progress.
+   */
+  static easeOutCubic(t) {
+    return 1 - Math.pow(1 - t, 3);
+  }
+
+  /**
+   * Cubic ease in and out.
+   * @param {number} t Progress from 0 to 1.
+   * @returns {number} Eased progress.
+   */
+  static easeInOutCubic(t) {
+    return (t < 0.5) ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  }
+
+  /**
+   * Get easing function.
+   * @param {string|function} [easing] Name of easing or easing function.
+   * @returns {function} Easing function, easeInOutCubic as fallback.
+   */
+  static get(easing) {
+    if (typeof easing === 'function') {
+      return easing;
+    }
+
+    if (typeof easing === 'string' && typeof Easing[easing] === 'function') {
+      return Easing[easing];
+    }
+
+    return Easing.easeInOutCubic;
+  }
+}
@@ -0,0 +1,175 @@
+import {
+  GPANO_PROPERTIES, JPEG_APP1, JPEG_EOI, JPEG_SOI, JPEG_SOS,
+  PROJECTION_EQUIRECTANGULAR, XMP_HEADER
+} from '@services/constants';
+import Util from '@services/util';
+
+/** Class for reading photo sphere metadata (GPano XMP) of JPEG images */
+export default class PanoramaMetadata {
+  /**
+   * Read GPano metadata from JPEG image.
+   * @param {ArrayBuffer} buffer Image data.
+   * @returns {object|null} Metadata with GPano property names in lower camel case, null if none.
+   */
+  static read(buffer) {
+    const xmp = PanoramaMetadata.getXmp(buffer);
+    return xmp ? PanoramaMetadata.parseXmp(xmp) : null;
+  }
+
+  /**
+   * Get XMP packet from the APP1 segments of a JPEG image.
+   * @param {ArrayBuffer} buffer Image data.
+   * @returns {string|null} XMP packet, null if none.
+   */
+  static getXmp(buffer) {
+    const view = new DataView(buffer);
+
+    if (view.byteLength < 4 || view.getUint16(0) !== JPEG_SOI) {
+      return null; // Not a JPEG image
+    }
+
+    const decoder = new TextDecoder('utf-8');
+    let offset = 2;
+
+    while (offset + 4 <= view.byteLength) {
+      if (view.getUint8(offset) !== 0xFF) {
+        return null; // Corrupt segment
+      }
+
+      const marker = view.getUint8(offset + 1);
+      if (marker === JPEG_SOS || marker === JPEG_EOI) {
+        return null; // Image data follows, no more metadata
+      }
+
+      const length = view.getUint16(offset + 2); // Includes length bytes
+      const start = offset + 4;
+      const end = Math.min(offset + 2 + length, view.byteLength);
+
+      if (marker === JPEG_APP1) {
+        const header = XMP_HEADER;
+        const segment = decoder.decode(
+          new Uint8Array(buffer, start, end - start)
+        );
+
+        if (segment.startsWith(header)) {
+          return segment.substring(header.length);
+        }
+      }
+
+      offset += 2 + length;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse GPano properties of XMP packet. Properties may be written as
+   * attributes or as elements.
+   * @param {string} xmp XMP packet.
+   * @returns {object|null} Metadata, null if packet has no GPano properties.
+   */
+  static parseXmp(xmp) {
+    const metadata = {};
+
+    Object.entries(GPANO_PROPERTIES).forEach(([name, type]) => {
+      const match = xmp.match(new RegExp(
+        `GPano:${name}\\s*=\\s*["']([^"']*)["']|` +
+        `<GPano:${name}>([^<]*)</GPano:${name}>`
+      ));
+
+      if (!match) {
+        return;
+      }
+
+      const value = (match[1] ?? match[2]).trim();
+      const key = name.charAt(0).toLowerCase() + name.slice(1);
+
+      if (type === 'number') {
+        const number = parseFloat(value);
+        if (!Number.isNaN(number)) {
+          metadata[key] = number;
+        }
+      }
+      else if (type === 'boolean') {
+        metadata[key] = value.toLowerCase() === 'true';
+      }
+      else {
+        metadata[key] = value;
+      }
+    });
+
+    return Object.keys(metadata).length ? metadata : null;
+  }
+
+  /**
+   * Get viewer options from metadata. Cropped images are shown where they
+   * belong on the sphere, which shows the center of the full image at yaw
+   * -90 degrees, so headings are turned relative to that.
+   * @param {object|null} metadata Metadata, see read.
+   * @returns {object} Options for NDLAThreeSixty, empty if not applicable.
+   */
+  static toViewerOptions(metadata) {
+    if (
+      !metadata ||
+      (metadata.projectionType ?? PROJECTION_EQUIRECTANGULAR) !==
+        PROJECTION_EQUIRECTANGULAR
+    ) {
+      return {};
+    }
+
+    const fullWidth = metadata.fullPanoWidthPixels;
+    const fullHeight = metadata.fullPanoHeightPixels ?? fullWidth / 2;
+    const width = metadata.croppedAreaImageWidthPixels ?? fullWidth;
+    const height = metadata.croppedAreaImageHeightPixels ?? fullHeight;
+    const left = metadata.croppedAreaLeftPixels ?? 0;
+    const top = metadata.croppedAreaTopPixels ?? 0;
+
+    if (!fullWidth || !fullHeight || !width || !height) {
+      return {};
+    }
+
+    const options = {
+      projection: PROJECTION_EQUIRECTANGULAR,
+      isPanorama: false
+    };
+
+    if (width < fullWidth || height < fullHeight) {
+      options.croppedArea = {
+        left: left / fullWidth,
+        top: top / fullHeight,
+        width: Math.min(width / fullWidth, 1),
+        height: Math.min(height / fullHeight, 1)
+      };
+    }
+
+    // Heading of the full image's center
+    const poseHeading = metadata.poseHeadingDegrees ?? 0;
+
+    if (metadata.poseHeadingDegrees !== undefined) {
+      options.northYaw = PanoramaMetadata.toYaw(-90 - poseHeading);
+    }
+
+    if (
+      metadata.initialViewHeadingDegrees !== undefined ||
+      metadata.initialViewPitchDegrees !== undefined
+    ) {
+      const heading = metadata.initialViewHeadingDegrees ?? poseHeading;
+
+      options.cameraStartPosition = {
+        yaw: PanoramaMetadata.toYaw(-90 + heading - poseHeading),
+        pitch: Util.toRad(metadata.initialViewPitchDegrees ?? 0)
+      };
+    }
+
+    return options;
+  }
+
+  /**
+   * Convert degrees to yaw.
+   * @param {number} degrees Angle in degrees.
+   * @returns {number} Yaw from -Math.PI to Math.PI.
+   */
+  static toYaw(degrees) {
+    return Util.getShortestAngleDelta(0, Util.toRad(degrees));
+  }
+}
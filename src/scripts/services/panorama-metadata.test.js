@@ -0,0 +1,241 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import PanoramaMetadata from '@services/panorama-metadata';
+import Util from '@services/util';
+import {
+  assertAngle, createViewer, readFixture
+} from '../../../tests/helpers.js';
+
+/**
+ * Create JPEG image data with an XMP packet between other APP segments.
+ * @param {string} [xmp] XMP packet, none if not set.
+ * @returns {ArrayBuffer} Image data.
+ */
+const createJpeg = (xmp) => {
+  const encoder = new TextEncoder();
+  const createSegment = (marker, payload) => {
+    const length = payload.length + 2;
+    return [0xFF, marker, length >> 8, length & 0xFF, ...payload];
+  };
+
+  const bytes = [
+    0xFF, 0xD8,
+    ...createSegment(0xE0, encoder.encode('JFIF\0\x01\x02\0\0\x01\0\x01\0\0')),
+    ...createSegment(0xE1, encoder.encode('Exif\0\0')),
+    ...(xmp ?
+      createSegment(
+        0xE1, encoder.encode(`http://ns.adobe.com/xap/1.0/\0${xmp}`)
+      ) :
+      []),
+    ...createSegment(0xDA, new Uint8Array(10)),
+    0xFF, 0xD9
+  ];
+
+  return new Uint8Array(bytes).buffer;
+};
+
+/**
+ * Read XMP fixture.
+ * @param {string} name Name of fixture without extension.
+ * @returns {string} XMP packet.
+ */
+const readXmp = (name) => {
+  return new TextDecoder().decode(readFixture(`${name}.xmp`));
+};
+
+/**
+ * Get direction in which the center of the source is seen on the world mesh.
+ * @param {H5P.ThreeJS.Mesh} mesh World mesh.
+ * @returns {object} Yaw and pitch.
+ */
+const getImageCenter = (mesh) => {
+  const uv = mesh.geometry.getAttribute('uv');
+  const position = mesh.geometry.getAttribute('position');
+
+  for (let i = 0; i < uv.count; i++) {
+    if (uv.getX(i) === 0.5 && uv.getY(i) === 0.5) {
+      const x = position.getX(i);
+      const y = position.getY(i);
+      const z = position.getZ(i);
+
+      return {
+        yaw: Math.atan2(x, -z),
+        pitch: Math.atan2(y, Math.sqrt(x * x + z * z))
+      };
+    }
+  }
+};
+
+/**
+ * Assert that an angle from the world mesh matches, which has single
+ * precision positions.
+ * @param {number} actual Angle from mesh.
+ * @param {number} expected Expected angle.
+ */
+const assertMeshAngle = (actual, expected) => {
+  assert.ok(
+    Math.abs(Util.getShortestAngleDelta(actual, expected)) < 1e-6,
+    `Expected angle ${expected}, got ${actual}`
+  );
+};
+
+describe('PanoramaMetadata', () => {
+  const fullSphere = {
+    usePanoramaViewer: true,
+    projectionType: 'equirectangular',
+    fullPanoWidthPixels: 8000,
+    fullPanoHeightPixels: 4000,
+    croppedAreaImageWidthPixels: 8000,
+    croppedAreaImageHeightPixels: 4000,
+    croppedAreaLeftPixels: 0,
+    croppedAreaTopPixels: 0
+  };
+
+  describe('getXmp', () => {
+    it('finds the XMP packet behind other APP segments', () => {
+      const xmp = readXmp('gpano-attributes');
+
+      assert.equal(PanoramaMetadata.getXmp(createJpeg(xmp)), xmp);
+    });
+
+    it('returns null for JPEG images without XMP', () => {
+      assert.equal(PanoramaMetadata.getXmp(createJpeg()), null);
+    });
+
+    it('returns null for other images', () => {
+      assert.equal(
+        PanoramaMetadata.getXmp(readFixture('not-a-jpeg.png')), null
+      );
+    });
+
+    it('returns null for truncated data', () => {
+      assert.equal(PanoramaMetadata.getXmp(new ArrayBuffer(2)), null);
+    });
+  });
+
+  describe('parseXmp', () => {
+    it('parses properties written as attributes', () => {
+      assert.deepEqual(
+        PanoramaMetadata.parseXmp(readXmp('gpano-attributes')), fullSphere
+      );
+    });
+
+    it('parses properties written as elements', () => {
+      assert.deepEqual(
+        PanoramaMetadata.parseXmp(readXmp('gpano-elements')), fullSphere
+      );
+    });
+
+    it('returns null without GPano properties', () => {
+      assert.equal(
+        PanoramaMetadata.parseXmp('<x:xmpmeta xmlns:x="adobe:ns:meta/"/>'),
+        null
+      );
+    });
+  });
+
+  describe('read', () => {
+    it('reads metadata of JPEG images', () => {
+      assert.deepEqual(
+        PanoramaMetadata.read(createJpeg(readXmp('gpano-elements'))),
+        fullSphere
+      );
+    });
+
+    it('returns null for other images', () => {
+      assert.equal(PanoramaMetadata.read(readFixture('not-a-jpeg.png')), null);
+    });
+  });
+
+  describe('toViewerOptions', () => {
+    it('shows full spheres as sphere', () => {
+      assert.deepEqual(
+        PanoramaMetadata.toViewerOptions(fullSphere),
+        { projection: 'equirectangular', isPanorama: false }
+      );
+    });
+
+    it('turns spheres by their heading', () => {
+      const options = PanoramaMetadata.toViewerOptions(
+        PanoramaMetadata.parseXmp(readXmp('gpano-sphere-heading'))
+      );
+
+      assert.equal(options.isPanorama, false);
+      assertAngle(options.northYaw, Util.toRad(-120));
+      assertAngle(options.cameraStartPosition.yaw, 0);
+      assertAngle(options.cameraStartPosition.pitch, Util.toRad(10));
+    });
+
+    it('places cropped images where they belong on the sphere', () => {
+      const options = PanoramaMetadata.toViewerOptions(
+        PanoramaMetadata.parseXmp(readXmp('gpano-cropped'))
+      );
+
+      assert.equal(options.isPanorama, false);
+      assert.deepEqual(options.croppedArea, {
+        left: 0.375, top: 0.25, width: 0.5, height: 0.25
+      });
+      assertAngle(options.northYaw, Math.PI);
+      assertAngle(options.cameraStartPosition.yaw, 0);
+      assertAngle(options.cameraStartPosition.pitch, Util.toRad(30));
+    });
+
+    it('starts at the image center of full and cropped images', () => {
+      [false, true].forEach((isCropped) => {
+        const metadata = isCropped ?
+          PanoramaMetadata.parseXmp(readXmp('gpano-cropped')) :
+          PanoramaMetadata.parseXmp(readXmp('gpano-sphere-heading'));
+
+        // Image center of cropped fixture is turned by 45 degrees and above
+        // the horizon by 22.5 degrees
+        metadata.initialViewHeadingDegrees =
+          metadata.poseHeadingDegrees + (isCropped ? 45 : 0);
+        metadata.initialViewPitchDegrees = isCropped ? 22.5 : 0;
+
+        const options = PanoramaMetadata.toViewerOptions(metadata);
+        const viewer = createViewer(options);
+        const center = getImageCenter(viewer.sphere);
+
+        assertMeshAngle(options.cameraStartPosition.yaw, center.yaw);
+        assertMeshAngle(options.cameraStartPosition.pitch, center.pitch);
+        assertMeshAngle(viewer.getCurrentPosition().pitch, center.pitch);
+
+        viewer.destroy();
+      });
+    });
+
+    it('keeps the view on images cropped off-center', () => {
+      const options = PanoramaMetadata.toViewerOptions(
+        PanoramaMetadata.parseXmp(readXmp('gpano-cropped-top'))
+      );
+      assert.deepEqual(options.croppedArea, {
+        left: 0, top: 0, width: 1, height: 1 / 3
+      });
+
+      const viewer = createViewer(options);
+      const center = getImageCenter(viewer.sphere);
+      assertMeshAngle(center.pitch, Util.toRad(60));
+
+      // Strip reaches from 30 degrees to the zenith all around
+      const bounds = viewer.getViewBounds();
+      assert.equal(bounds.minYaw, undefined);
+      assertAngle(bounds.minPitch, Math.PI / 6);
+      assertAngle(bounds.maxPitch, Math.PI / 2);
+      assert.ok(Math.abs(viewer.camera.fov - 60) < 1e-9);
+      assertAngle(viewer.getCurrentPosition().yaw, 0);
+      assertAngle(viewer.getCurrentPosition().pitch, Util.toRad(60));
+
+      viewer.destroy();
+    });
+
+    it('ignores other projections and missing metadata', () => {
+      assert.deepEqual(PanoramaMetadata.toViewerOptions(null), {});
+      assert.deepEqual(
+        PanoramaMetadata.toViewerOptions({
+          ...fullSphere, projectionType: 'cylindrical'
+        }),
+        {}
+      );
+    });
+  });
+});
@@ -63,4 +63,33 @@ export default class Util {
   static toRad(value) {
     return value * (Math.PI / 180);
   }
+
+  /**
+   * Convert rad to deg.
+   * @param {number} value Radians value.
+   * @returns {number} Degree value.
+   */
+  static toDeg(value) {
+    return value * (180 / Math.PI);
+  }
+
+  /**
+   * Get shortest signed difference between two angles.
+   * @param {number} from Start angle in radians.
+   * @param {number} to Target angle in radians.
+   * @returns {number} Difference in radians from -Math.PI to Math.PI.
+   */
+  static getShortestAngleDelta(from, to) {
+    const fullCircle = Math.PI * 2;
+    const delta = (to - from) % fullCircle;
+
+    if (delta > Math.PI) {
+      return delta - fullCircle;
+    }
+    else if (delta < -Math.PI) {
+      return delta + fullCircle;
+    }
+
+    return delta;
+  }
 }
@@ -0,0 +1,340 @@
+import {
+  CUBE_FACE_ORIENTATIONS, DEFAULT_WORLD_RADIUS, TILE_LEVEL_OFFSET
+} from '@services/constants';
+import Util from '@services/util';
+
+export default class TiledPanorama extends H5P.EventDispatcher {
+
+  /**
+   * Class for streaming multi-resolution cube tiles onto a world cube.
+   * Level 0 is kept at all times, tiles of higher levels are loaded for the
+   * visible region and evicted when they leave the view.
+   * @class
+   * @param {H5P.ThreeJS.Mesh} cube World cube that tiles are added to.
+   * @param {object} params Parameters.
+   * @param {string} params.tileUrl URL template with {level}, {face}, {row} and {col}.
+   * @param {number} params.tileSize Size of tiles in px.
+   * @param {object[]} params.levels Levels from low to high resolution.
+   * @param {number} params.levels[].tiles Number of tiles per face side.
+   * @param {string[]} [params.faceNames] Names for right, left, top, bottom, front and back.
+   * @param {string} [params.crossOrigin] Cross origin setting for tiles.
+   */
+  constructor(cube, params = {}) {
+    super();
+
+    this.cube = cube;
+
+    this.params = Util.extend({
+      tileSize: 512,
+      levels: [],
+      faceNames: ['r', 'l', 'u', 'd', 'f', 'b'],
+      crossOrigin: 'anonymous'
+    }, params);
+
+    this.tiles = new Map(); // Tiles that are loading or loaded by key
+    this.loader = new H5P.ThreeJS.TextureLoader();
+    this.loader.setCrossOrigin(this.params.crossOrigin);
+
+    this.levelTiles = []; // Tiles with bounding spheres by level
+    this.needsUpdate = true; // Tiles changed since last update
+
+    // View of last update
+    this.view = {
+      fov: null,
+      viewportHeight: null,
+      cameraMatrix: new H5P.ThreeJS.Matrix4(),
+      projectionMatrix: new H5P.ThreeJS.Matrix4(),
+      cubeMatrix: new H5P.ThreeJS.Matrix4()
+    };
+
+    // Reused to not allocate on every frame
+    this.frustum = new H5P.ThreeJS.Frustum();
+    this.matrix = new H5P.ThreeJS.Matrix4();
+    this.boundingSphere = new H5P.ThreeJS.Sphere();
+    this.center = new H5P.ThreeJS.Vector3();
+    this.right = new H5P.ThreeJS.Vector3();
+    this.up = new H5P.ThreeJS.Vector3();
+    this.basis = new H5P.ThreeJS.Matrix4();
+    this.placement = {
+      position: new H5P.ThreeJS.Vector3(),
+      quaternion: new H5P.ThreeJS.Quaternion(),
+      size: 0
+    };
+  }
+
+  /**
+   * Choose level for view, load visible tiles and evict hidden ones.
+   * @param {H5P.ThreeJS.PerspectiveCamera} camera Camera.
+   * @param {number} viewportHeight Height of viewport in px.
+   */
+  update(camera, viewportHeight) {
+    if (!this.params.levels.length) {
+      return;
+    }
+
+    camera.updateMatrixWorld();
+    this.cube.updateMatrixWorld();
+
+    if (!this.needsUpdate && this.isViewUnchanged(camera, viewportHeight)) {
+      return;
+    }
+
+    this.needsUpdate = false;
+    this.storeView(camera, viewportHeight);
+
+    this.matrix.multiplyMatrices(
+      camera.projectionMatrix, camera.matrixWorldInverse
+    );
+    (this.frustum.setFromProjectionMatrix || this.frustum.setFromMatrix)
+      .call(this.frustum, this.matrix);
+
+    const level = this.getLevelForView(camera.fov, viewportHeight);
+
+    // Lowest level serves as fallback everywhere
+    const wanted = new Map();
+    this.getLevelTiles(0).forEach((tile) => {
+      wanted.set(tile.key, tile);
+    });
+    if (level > 0) {
+      this.getLevelTiles(level).forEach((tile) => {
+        if (this.isTileVisible(tile)) {
+          wanted.set(tile.key, tile);
+        }
+      });
+    }
+
+    wanted.forEach((tile, key) => {
+      if (!this.tiles.has(key)) {
+        this.loadTile(tile);
+      }
+    });
+
+    // Keep tiles of previous level in view until current level is complete
+    const isLevelComplete = [...wanted.keys()].every((key) => {
+      const tile = this.tiles.get(key);
+      return tile.mesh || tile.hasFailed;
+    });
+
+    [...this.tiles.entries()].forEach(([key, tile]) => {
+      if (tile.level === 0 || wanted.has(key)) {
+        return;
+      }
+
+      if (isLevelComplete || !this.isTileVisible(tile)) {
+        this.evictTile(key);
+      }
+    });
+  }
+
+  /**
+   * Determine whether camera, viewport and cube are as on last update.
+   * @param {H5P.ThreeJS.PerspectiveCamera} camera Camera.
+   * @param {number} viewportHeight Height of viewport in px.
+   * @returns {boolean} True, if nothing changed.
+   */
+  isViewUnchanged(camera, viewportHeight) {
+    return (
+      camera.fov === this.view.fov &&
+      viewportHeight === this.view.viewportHeight &&
+      camera.matrixWorld.equals(this.view.cameraMatrix) &&
+      camera.projectionMatrix.equals(this.view.projectionMatrix) &&
+      this.cube.matrixWorld.equals(this.view.cubeMatrix)
+    );
+  }
+
+  /**
+   * Store camera, viewport and cube to compare with on next update.
+   * @param {H5P.ThreeJS.PerspectiveCamera} camera Camera.
+   * @param {number} viewportHeight Height of viewport in px.
+   */
+  storeView(camera, viewportHeight) {
+    this.view.fov = camera.fov;
+    this.view.viewportHeight = viewportHeight;
+    this.view.cameraMatrix.copy(camera.matrixWorld);
+    this.view.projectionMatrix.copy(camera.projectionMatrix);
+    this.view.cubeMatrix.copy(this.cube.matrixWorld);
+  }
+
+  /**
+   * Get lowest level with enough resolution for the current view.
+   * @param {number} fov Vertical field of view in degrees.
+   * @param {number} viewportHeight Height of viewport in px.
+   * @returns {number} Level index.
+   */
+  getLevelForView(fov, viewportHeight) {
+    const pixelsPerRadian = viewportHeight / Util.toRad(fov);
+
+    // A face covers 90 degrees
+    const level = this.params.levels.findIndex((level) => {
+      return level.tiles * this.params.tileSize / (Math.PI / 2) >=
+        pixelsPerRadian;
+    });
+
+    return (level === -1) ? this.params.levels.length - 1 : level;
+  }
+
+  /**
+   * Get all tiles of a level with their bounding spheres relative to the cube.
+   * @param {number} level Level index.
+   * @returns {object[]} Tiles with key, level, face, row, col and boundingSphere.
+   */
+  getLevelTiles(level) {
+    if (this.levelTiles[level]) {
+      return this.levelTiles[level];
+    }
+
+    const tiles = this.params.levels[level].tiles;
+    this.levelTiles[level] = [];
+
+    for (let face = 0; face < CUBE_FACE_ORIENTATIONS.length; face++) {
+      for (let row = 0; row < tiles; row++) {
+        for (let col = 0; col < tiles; col++) {
+          const tile = { level: level, face: face, row: row, col: col };
+          const placement = this.getTilePlacement(tile);
+
+          tile.key = TiledPanorama.getKey(tile);
+          tile.boundingSphere = new H5P.ThreeJS.Sphere(
+            placement.position.clone(), placement.size * Math.SQRT1_2
+          );
+
+          this.levelTiles[level].push(tile);
+        }
+      }
+    }
+
+    return this.levelTiles[level];
+  }
+
+  /**
+   * Determine whether a tile is in the view of the camera.
+   * @param {object} tile Tile of getLevelTiles.
+   * @returns {boolean} True, if tile is visible.
+   */
+  isTileVisible(tile) {
+    this.boundingSphere
+      .copy(tile.boundingSphere)
+      .applyMatrix4(this.cube.matrixWorld);
+
+    return this.frustum.intersectsSphere(this.boundingSphere);
+  }
+
+  /**
+   * Get position, orientation and size of tile relative to the cube.
+   * @param {object} tile Tile with level, face, row and col.
+   * @returns {object} Position, quaternion and size, reused between calls.
+   */
+  getTilePlacement(tile) {
+    const tiles = this.params.levels[tile.level].tiles;
+    const face = CUBE_FACE_ORIENTATIONS[tile.face];
+
+    // Higher levels are closer to the camera to cover lower ones
+    const radius = DEFAULT_WORLD_RADIUS *
+      (1 - TILE_LEVEL_OFFSET * (tile.level + 1));
+
+    // Tile center on face from -1 to 1, row 0 at the top
+    const x = -1 + (2 * tile.col + 1) / tiles;
+    const y = 1 - (2 * tile.row + 1) / tiles;
+
+    const center = this.center.fromArray(face.center);
+    const right = this.right.fromArray(face.right);
+    const up = this.up.fromArray(face.up);
+
+    this.placement.position
+      .copy(center)
+      .addScaledVector(right, x)
+      .addScaledVector(up, y)
+      .multiplyScalar(radius);
+
+    // Plane faces +z, turn it to face the center of the cube
+    this.placement.quaternion.setFromRotationMatrix(
+      this.basis.makeBasis(right, up, center.negate())
+    );
+
+    this.placement.size = 2 * radius / tiles;
+
+    return this.placement;
+  }
+
+  /**
+   * Load tile and add it to the cube when loaded.
+   * @param {object} levelTile Tile of getLevelTiles.
+   */
+  loadTile(levelTile) {
+    const key = levelTile.key;
+    const tile = { ...levelTile }; // Own state for every load
+    this.tiles.set(key, tile);
+
+    const url = this.params.tileUrl
+      .replace('{level}', tile.level)
+      .replace('{face}', this.params.faceNames[tile.face])
+      .replace('{row}', tile.row)
+      .replace('{col}', tile.col);
+
+    this.loader.load(url, (texture) => {
+      if (this.tiles.get(key) !== tile) {
+        texture.dispose(); // Evicted while loading
+        return;
+      }
+
+      const placement = this.getTilePlacement(tile);
+
+      tile.mesh = new H5P.ThreeJS.Mesh(
+        new H5P.ThreeJS.PlaneGeometry(placement.size, placement.size),
+        new H5P.ThreeJS.MeshBasicMaterial({ map: texture })
+      );
+      tile.mesh.position.copy(placement.position);
+      tile.mesh.quaternion.copy(placement.quaternion);
+
+      this.cube.add(tile.mesh);
+      this.needsUpdate = true;
+
+      this.trigger('tileload', { level: tile.level });
+    }, undefined, () => {
+      if (this.tiles.get(key) !== tile) {
+        return; // Evicted while loading
+      }
+
+      tile.hasFailed = true; // Keep entry to not retry on every frame
+      this.needsUpdate = true;
+
+      this.trigger('tileerror', { level: tile.level });
+    });
+  }
+
+  /**
+   * Remove tile from cube and memory.
+   * @param {string} key Tile key.
+   */
+  evictTile(key) {
+    const tile = this.tiles.get(key);
+    this.tiles.delete(key);
+
+    if (!tile?.mesh) {
+      return;
+    }
+
+    this.cube.remove(tile.mesh);
+    tile.mesh.geometry.dispose();
+    tile.mesh.material.map.dispose();
+    tile.mesh.material.dispose();
+    tile.mesh = null;
+  }
+
+  /**
+   * Remove all tiles from memory.
+   */
+  dispose() {
+    [...this.tiles.keys()].forEach((key) => {
+      this.evictTile(key);
+    });
+  }
+
+  /**
+   * Get key of tile.
+   * @param {object} tile Tile with level, face, row and col.
+   * @returns {string} Key.
+   */
+  static getKey(tile) {
+    return `${tile.level}-${tile.face}-${tile.row}-${tile.col}`;
+  }
+}
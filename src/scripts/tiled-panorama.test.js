@@ -0,0 +1,192 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import TiledPanorama from '@scripts/tiled-panorama';
+import { DEFAULT_WORLD_RADIUS, TILE_LEVEL_OFFSET } from '@services/constants';
+
+/**
+ * Create tiled panorama with tile loads that the test completes.
+ * @param {object} t Test context.
+ * @returns {object} Panorama, camera, cube and pending loads.
+ */
+const createPanorama = (t) => {
+  const cube = new H5P.ThreeJS.Mesh();
+  const camera = new H5P.ThreeJS.PerspectiveCamera(75, 16 / 9, 0.1, 1000);
+  camera.rotation.order = 'YXZ';
+
+  const panorama = new TiledPanorama(cube, {
+    tileUrl: '{level}/{face}{row}_{col}.jpg',
+    tileSize: 512,
+    levels: [{ tiles: 1 }, { tiles: 2 }, { tiles: 4 }]
+  });
+
+  const loads = new Map();
+  t.mock.method(panorama.loader, 'load', (
+    url, onLoad, onProgress, onError
+  ) => {
+    loads.set(url, {
+      load: () => {
+        loads.delete(url);
+        onLoad(new H5P.ThreeJS.Texture());
+      },
+      fail: () => {
+        loads.delete(url);
+        onError(new Error('Not found'));
+      }
+    });
+  });
+
+  return { panorama: panorama, camera: camera, cube: cube, loads: loads };
+};
+
+/**
+ * Get keys of tiles that are loading or loaded.
+ * @param {TiledPanorama} panorama Panorama.
+ * @param {number} level Level index.
+ * @returns {string[]} Keys.
+ */
+const getTileKeys = (panorama, level) => {
+  return [...panorama.tiles.values()]
+    .filter((tile) => tile.level === level)
+    .map((tile) => tile.key);
+};
+
+describe('TiledPanorama', () => {
+  describe('update', () => {
+    it('loads visible tiles of the level the view needs', (t) => {
+      const { panorama, camera } = createPanorama(t);
+
+      panorama.update(camera, 400);
+      assert.equal(getTileKeys(panorama, 0).length, 6);
+      assert.equal(getTileKeys(panorama, 1).length, 0);
+
+      panorama.update(camera, 600);
+      const keys = getTileKeys(panorama, 1);
+      const front = keys.filter((key) => key.startsWith('1-4-'));
+      assert.equal(front.length, 4);
+      assert.equal(keys.some((key) => key.startsWith('1-5-')), false); // Back
+    });
+
+    it('places tiles inside the cube, higher levels in front', (t) => {
+      const { panorama, camera, cube, loads } = createPanorama(t);
+
+      panorama.update(camera, 600);
+      loads.get('0/f0_0.jpg').load();
+      loads.get('1/f0_0.jpg').load();
+
+      const [front, frontTopLeft] = cube.children;
+      const radius = DEFAULT_WORLD_RADIUS * (1 - TILE_LEVEL_OFFSET);
+      assert.ok(front.position.distanceTo({ x: 0, y: 0, z: -radius }) < 1e-9);
+      assert.ok(frontTopLeft.position.x < 0 && frontTopLeft.position.y > 0);
+      assert.ok(-frontTopLeft.position.z < radius);
+
+      // Plane faces the center of the cube
+      const normal = new H5P.ThreeJS.Vector3(0, 0, 1)
+        .applyQuaternion(front.quaternion);
+      assert.ok(normal.distanceTo({ x: 0, y: 0, z: 1 }) < 1e-9);
+    });
+
+    it('keeps the previous level until the current one is complete', (t) => {
+      const { panorama, camera, loads } = createPanorama(t);
+
+      panorama.update(camera, 600);
+      loads.forEach((load) => load.load());
+
+      panorama.update(camera, 1000);
+      assert.ok(getTileKeys(panorama, 2).length > 0);
+      assert.ok(getTileKeys(panorama, 1).length > 0);
+
+      [...loads.values()].forEach((load, index) => {
+        (index ? load.load : load.fail)(); // Failed tiles don't block
+      });
+
+      panorama.update(camera, 1000);
+      assert.equal(getTileKeys(panorama, 1).length, 0);
+      assert.equal(getTileKeys(panorama, 0).length, 6);
+    });
+
+    it('reports failed tiles, but not evicted ones', (t) => {
+      const { panorama, camera, loads } = createPanorama(t);
+      const levels = [];
+      panorama.on('tileerror', (event) => {
+        levels.push(event.data.level);
+      });
+
+      panorama.update(camera, 400);
+      const [first, second] = [...loads.values()];
+      first.fail();
+      assert.deepEqual(levels, [0]);
+      assert.equal(panorama.needsUpdate, true);
+
+      panorama.dispose();
+      second.fail();
+      assert.deepEqual(levels, [0]);
+    });
+
+    it('computes bounding spheres once per level', (t) => {
+      const { panorama, camera } = createPanorama(t);
+      const getTilePlacement = t.mock.method(panorama, 'getTilePlacement');
+
+      panorama.update(camera, 600);
+      camera.rotation.y = 1;
+      panorama.update(camera, 600);
+      camera.rotation.y = 2;
+      panorama.update(camera, 600);
+
+      assert.equal(getTilePlacement.mock.callCount(), 6 + 24);
+    });
+
+    it('skips views that did not change', (t) => {
+      const { panorama, camera } = createPanorama(t);
+      const isTileVisible = t.mock.method(panorama, 'isTileVisible');
+
+      panorama.update(camera, 600);
+      const callCount = isTileVisible.mock.callCount();
+      assert.ok(callCount > 0);
+
+      panorama.update(camera, 600);
+      assert.equal(isTileVisible.mock.callCount(), callCount);
+
+      camera.fov = 60;
+      camera.updateProjectionMatrix();
+      panorama.update(camera, 600);
+      assert.ok(isTileVisible.mock.callCount() > callCount);
+    });
+
+    it('updates the same view again once tiles have loaded', (t) => {
+      const { panorama, camera, loads } = createPanorama(t);
+      const isTileVisible = t.mock.method(panorama, 'isTileVisible');
+
+      panorama.update(camera, 600);
+      const callCount = isTileVisible.mock.callCount();
+      loads.get('1/f0_0.jpg').load();
+
+      panorama.update(camera, 600);
+      assert.ok(isTileVisible.mock.callCount() > callCount);
+    });
+
+    it('follows rotation of the cube', (t) => {
+      const { panorama, camera, cube } = createPanorama(t);
+
+      panorama.update(camera, 600);
+      cube.rotation.y = Math.PI; // Back face in front of camera now
+      panorama.update(camera, 600);
+
+      assert.ok(getTileKeys(panorama, 1).some((key) => key.startsWith('1-5-')));
+    });
+  });
+
+  describe('dispose', () => {
+    it('removes all tiles from the cube', (t) => {
+      const { panorama, camera, cube, loads } = createPanorama(t);
+
+      panorama.update(camera, 400);
+      loads.forEach((load) => load.load());
+      assert.equal(cube.children.length, 6);
+
+      panorama.dispose();
+
+      assert.equal(cube.children.length, 0);
+      assert.equal(panorama.tiles.size, 0);
+    });
+  });
+});
@@ -1,8 +1,10 @@
-import { FOV_PANORAMA, FOV_SPHERE, ZOOM_MIN, ZOOM_MAX, ZOOM_SPEED, ZOOM_SPEED_TOUCH } from '@services/constants';
+import { FOV_MIN, FOV_PANORAMA, FOV_SPHERE, ZOOM_MIN, ZOOM_MAX, ZOOM_SPEED } from '@services/constants';
+import GestureRecognizer from '@scripts/gesture-recognizer';
+import Keymap from '@scripts/keymap';
 
-/** 
+/**
  * Zoom controls for ThreeJS based on OrbitControls.js
- * @see https://github.com/mrdoob/three.js/blob/r101/examples/jsm/controls/OrbitControls.js 
+ * @see https://github.com/mrdoob/three.js/blob/r101/examples/jsm/controls/OrbitControls.js
  */
 export default class ZoomControls extends H5P.EventDispatcher {
 
@@ -13,17 +15,18 @@ export default class ZoomControls extends H5P.EventDispatcher {
    * @param {H5P.ThreeJS.Object3D} element DOM element of the ThreeJS object.
    * @param {boolean} isPanorama Whether the object is a panorama.
    * @param {boolean} enableZoom Whether to enable zoom.
+   * @param {Keymap} [keymap] Keymap for zoom actions.
+   * @param {object} [limits] Limits of field of view, see setFovLimits.
    */
-  constructor(object, element, isPanorama, enableZoom) {
+  constructor(
+    object, element, isPanorama, enableZoom, keymap = new Keymap(), limits = {}
+  ) {
     super();
 
     this.object = object;
+    this.keymap = keymap;
 
     this.element = (element !== undefined) ? element : document;
-    
-    // How far you can dolly in and out ( PerspectiveCamera only )
-    this.minFov = 15;
-    this.maxFov = isPanorama ? FOV_PANORAMA : FOV_SPHERE;
 
     // How far you can zoom in and out ( OrthographicCamera )
     this.minZoom = ZOOM_MIN;
@@ -31,19 +34,40 @@ export default class ZoomControls extends H5P.EventDispatcher {
 
     this.zoomPercentage = 0;
 
+    // How far you can dolly in and out ( PerspectiveCamera only ), the camera
+    // starts with the fov of the scene, e.g. the vertical panorama coverage
+    this.sceneMaxFov = object.isPerspectiveCamera ?
+      object.fov :
+      (isPanorama ? FOV_PANORAMA : FOV_SPHERE);
+    this.setFovLimits(limits);
+
     // Set to false to disable zooming
     this.enableZoom = enableZoom;
     this.zoomSpeed = ZOOM_SPEED;
 
-    this.dollyStart = new H5P.ThreeJS.Vector2();
-    this.dollyEnd = new H5P.ThreeJS.Vector2();
-    this.dollyDelta = new H5P.ThreeJS.Vector2();
+    [
+      'handlePinch', 'handleMouseWheel', 'handleKeyDown'
+    ].forEach((listener) => {
+      this[listener] = this[listener].bind(this);
+    });
+
+    // Register gesture and event listeners
+    this.gestures = GestureRecognizer.for(this.element);
+    this.gestures.on('pinch', this.handlePinch);
+
+    this.element.addEventListener('wheel', this.handleMouseWheel, false);
+    this.element.addEventListener('keydown', this.handleKeyDown, false);
+  }
+
+  /**
+   * Remove all listeners.
+   */
+  destroy() {
+    this.gestures.off('pinch', this.handlePinch);
+    this.gestures.release();
 
-    // Register event listeners
-    element.addEventListener('wheel', this.handleMouseWheel.bind(this), false);
-    element.addEventListener('touchstart', this.handleTouchStart.bind(this), false);
-    element.addEventListener('touchmove', this.handleTouchMove.bind(this), false);
-    element.addEventListener('keydown', this.handleKeyDown.bind(this), false);
+    this.element.removeEventListener('wheel', this.handleMouseWheel, false);
+    this.element.removeEventListener('keydown', this.handleKeyDown, false);
   }
 
   /**
@@ -56,22 +80,74 @@ export default class ZoomControls extends H5P.EventDispatcher {
 
   /**
    * Set state for max fov.
-   * @param {number} fov Max fov.
+   * @param {number} fov Max fov of the scene, custom limits still apply.
    */
   setMaxFov(fov) {
-    this.maxFov = fov;
+    this.sceneMaxFov = fov;
+    this.updateFovLimits();
+  }
+
+  /**
+   * Set custom limits of field of view, e.g. for a scene.
+   * @param {object} [limits] Limits.
+   * @param {number} [limits.minFov] Min fov when zoomed in, default FOV_MIN.
+   * @param {number} [limits.maxFov] Max fov when zoomed out, cannot exceed the fov of the scene.
+   */
+  setFovLimits(limits = {}) {
+    this.fovLimits = {
+      min: limits.minFov ?? FOV_MIN,
+      max: limits.maxFov ?? Infinity
+    };
+
+    this.updateFovLimits();
   }
 
   /**
-   * Set zoom percentage.
+   * Update min and max fov, keeping the camera within them.
+   */
+  updateFovLimits() {
+    this.maxFov = Math.min(this.sceneMaxFov, this.fovLimits.max);
+    this.minFov = Math.min(this.fovLimits.min, this.maxFov);
+
+    if (this.object.isPerspectiveCamera) {
+      const fov = Math.max(this.minFov, Math.min(this.maxFov, this.object.fov));
+      if (fov !== this.object.fov) {
+        this.object.fov = fov;
+        this.object.updateProjectionMatrix();
+      }
+    }
+
+    this.setZoomPercentage();
+  }
+
+  /**
+   * Set zoom percentage. Triggers zoomchange if it changed.
    */
   setZoomPercentage() {
+    const previousPercentage = this.zoomPercentage;
+
     if (this.object.isPerspectiveCamera) {
-      this.zoomPercentage = 100 - Math.round((this.object.fov - this.minFov) / (this.maxFov - this.minFov) * 100);
+      this.zoomPercentage = (this.maxFov === this.minFov) ?
+        0 :
+        100 - Math.round((this.object.fov - this.minFov) / (this.maxFov - this.minFov) * 100);
     }
     else {
       this.zoomPercentage = 100 - Math.round((this.object.zoom - this.minZoom) / (this.maxZoom - this.minZoom) * 100);
     }
+
+    if (this.zoomPercentage !== previousPercentage) {
+      this.trigger('zoomchange', { zoom: this.zoomPercentage });
+    }
+  }
+
+  /**
+   * Get field of view for zoom percentage.
+   * @param {number} percentage Zoom from 0 (max fov) to 100 (min fov).
+   * @returns {number} Field of view.
+   */
+  getFovForPercentage(percentage) {
+    const factor = Math.max(0, Math.min(percentage, 100)) / 100;
+    return this.maxFov - (this.maxFov - this.minFov) * factor;
   }
 
   /**
@@ -107,8 +183,11 @@ export default class ZoomControls extends H5P.EventDispatcher {
   /**
    * Dollies in the camera e.g. zoom in.
    * @param {number} dollyScale How much to dolly in.
+   * @param {object} [point] Point to zoom towards, screen center if not set.
+   * @param {number} point.x Horizontal position from -1 (left) to 1 (right).
+   * @param {number} point.y Vertical position from -1 (bottom) to 1 (top).
    */
-  dollyIn(dollyScale) {
+  dollyIn(dollyScale, point) {
     if (this.isDollyInDisabled()) {
       return;
     }
@@ -117,6 +196,11 @@ export default class ZoomControls extends H5P.EventDispatcher {
       dollyScale = this.getZoomScale();
     }
 
+    // Remember direction under point to keep it there
+    const direction = (point && this.object.isPerspectiveCamera) ?
+      this.getDirectionAt(point) :
+      null;
+
     if (this.object.isPerspectiveCamera) {
       this.object.fov = Math.max(this.minFov, Math.min(this.maxFov, this.object.fov * dollyScale));
       this.object.updateProjectionMatrix();
@@ -127,15 +211,20 @@ export default class ZoomControls extends H5P.EventDispatcher {
     }
 
     this.setZoomPercentage();
-    const zoomEvent = new H5P.Event('zoomin');
+    const zoomEvent = new H5P.Event(
+      'zoomin', direction ? { point: point, direction: direction } : undefined
+    );
     this.trigger(zoomEvent);
   }
 
   /**
    * Dollies out the camera e.g. zoom out.
    * @param {number} dollyScale How much to dolly out.
+   * @param {object} [point] Point to zoom towards, screen center if not set.
+   * @param {number} point.x Horizontal position from -1 (left) to 1 (right).
+   * @param {number} point.y Vertical position from -1 (bottom) to 1 (top).
    */
-  dollyOut(dollyScale) {
+  dollyOut(dollyScale, point) {
     if (this.isDollyOutDisabled()) {
       return;
     }
@@ -144,6 +233,11 @@ export default class ZoomControls extends H5P.EventDispatcher {
       dollyScale = this.getZoomScale();
     }
 
+    // Remember direction under point to keep it there
+    const direction = (point && this.object.isPerspectiveCamera) ?
+      this.getDirectionAt(point) :
+      null;
+
     if (this.object.isPerspectiveCamera) {
       this.object.fov = Math.max(this.minFov, Math.min(this.maxFov, this.object.fov / dollyScale));
       this.object.updateProjectionMatrix();
@@ -154,10 +248,41 @@ export default class ZoomControls extends H5P.EventDispatcher {
     }
 
     this.setZoomPercentage();
-    const zoomEvent = new H5P.Event('zoomout');
+    const zoomEvent = new H5P.Event(
+      'zoomout', direction ? { point: point, direction: direction } : undefined
+    );
     this.trigger(zoomEvent);
   }
 
+  /**
+   * Get point on screen from client coordinates.
+   * @param {number} clientX Horizontal client coordinate.
+   * @param {number} clientY Vertical client coordinate.
+   * @returns {object} Point with x and y from -1 to 1, y pointing up.
+   */
+  getPointFromClient(clientX, clientY) {
+    const rect = this.element.getBoundingClientRect();
+
+    return {
+      x: (clientX - rect.left) / rect.width * 2 - 1,
+      y: 1 - (clientY - rect.top) / rect.height * 2
+    };
+  }
+
+  /**
+   * Get world direction that is seen at point on screen.
+   * @param {object} point Point with x and y from -1 to 1.
+   * @returns {H5P.ThreeJS.Vector3} Normalized direction.
+   */
+  getDirectionAt(point) {
+    this.object.updateMatrixWorld();
+
+    return new H5P.ThreeJS.Vector3(point.x, point.y, 0.5)
+      .unproject(this.object)
+      .sub(this.object.position)
+      .normalize();
+  }
+
   /**
    * Handle mouse wheel.
    * @param {WheelEvent} event Mouse wheel event.
@@ -170,67 +295,36 @@ export default class ZoomControls extends H5P.EventDispatcher {
     event.preventDefault();
     event.stopPropagation();
 
+    const point = this.getPointFromClient(event.clientX, event.clientY);
+
     if (event.deltaY < 0) {
-      this.dollyIn(this.getZoomScale());
-    } 
+      this.dollyIn(this.getZoomScale(), point);
+    }
     else if (event.deltaY > 0) {
-      this.dollyOut(this.getZoomScale());
+      this.dollyOut(this.getZoomScale(), point);
     }
   }
 
   /**
-   * Handle touch start.
-   * @param {TouchEvent} event Touch event.
+   * Handle pinch gesture.
+   * @param {H5P.Event} event Pinch event.
    */
-  handleTouchStart(event) {
+  handlePinch(event) {
     if (!this.enableZoom) {
       return;
     }
-    // Only zoom if two fingers are used, pointer-controls will handle one finger movement
-    if (event.touches.length !== 2) {
-      return;
-    }
-
-    const dx = event.touches[0].pageX - event.touches[1].pageX;
-    const dy = event.touches[0].pageY - event.touches[1].pageY;
-
-    const distance = Math.sqrt(dx * dx + dy * dy);
 
-    this.dollyStart.set(0, distance);
-  }
+    const scale = event.data.scale;
+    const point = this.getPointFromClient(
+      event.data.center.x, event.data.center.y
+    );
 
-  /**
-   * Handle touch move.
-   * @param {TouchEvent} event Touch event.
-   */
-  handleTouchMove(event) {
-    if (!this.enableZoom) {
-      return;
-    }
-    // Only zoom if two fingers are used, pointer-controls will handle one finger movement
-    if (event.touches.length !== 2) {   
-      return;
+    // Field of view follows the distance between the pointers
+    if (scale > 1) {
+      this.dollyIn(1 / scale, point);
     }
-
-    event.preventDefault();
-    event.stopPropagation();
-
-    const dx = event.touches[0].pageX - event.touches[1].pageX;
-    const dy = event.touches[0].pageY - event.touches[1].pageY;
-
-    const distance = Math.sqrt(dx * dx + dy * dy);
-
-    this.dollyEnd.set(0, distance);
-
-    this.dollyDelta.set(0, Math.pow(this.dollyEnd.y / this.dollyStart.y, this.zoomSpeed));
-
-    const zoomScale = Math.pow(0.95, ZOOM_SPEED_TOUCH);
-      
-    if (this.dollyDelta.y < 1) {
-      this.dollyOut(zoomScale);
-    } 
-    else if (this.dollyDelta.y > 1) {
-      this.dollyIn(zoomScale);
+    else if (scale < 1) {
+      this.dollyOut(scale, point);
     }
   }
 
@@ -243,11 +337,11 @@ export default class ZoomControls extends H5P.EventDispatcher {
       return;
     }
 
-    switch (event.key) {
-      case '-': // minus key
+    switch (this.keymap.getAction(event)) {
+      case 'zoomOut':
         this.dollyOut();
         break;
-      case '+': // plus key
+      case 'zoomIn':
         this.dollyIn();
         break;
     }
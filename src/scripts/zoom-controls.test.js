@@ -0,0 +1,281 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Util from '@services/util';
+import { FOV_MIN, FOV_SPHERE } from '@services/constants';
+import {
+  assertAngle, createViewer, dispatchPointer, pressKey, runFrames
+} from '../../tests/helpers.js';
+
+const WIDTH = 800;
+const HEIGHT = 450;
+
+/**
+ * Create viewer facing yaw 0 and pitch 0, its scene laid out at 0, 0.
+ * @param {object} t Test context.
+ * @param {object} [options] Options of the viewer.
+ * @returns {H5P.NDLAThreeSixty} Viewer.
+ */
+const createZoomViewer = (t, options) => {
+  const viewer = createViewer(options);
+  t.mock.method(viewer.css2dRenderer.domElement, 'getBoundingClientRect', () => {
+    return { left: 0, top: 0, width: WIDTH, height: HEIGHT };
+  });
+  viewer.setCameraPosition(0, 0);
+
+  return viewer;
+};
+
+/**
+ * Turn mouse wheel.
+ * @param {H5P.NDLAThreeSixty} viewer Viewer.
+ * @param {number} deltaY Negative to zoom in, positive to zoom out.
+ * @param {number} clientX Horizontal position of cursor.
+ * @param {number} clientY Vertical position of cursor.
+ */
+const turnWheel = (viewer, deltaY, clientX, clientY) => {
+  viewer.css2dRenderer.domElement.dispatchEvent(new WheelEvent('wheel', {
+    deltaY: deltaY, clientX: clientX, clientY: clientY, cancelable: true
+  }));
+};
+
+/**
+ * Get world direction seen at client coordinates.
+ * @param {H5P.NDLAThreeSixty} viewer Viewer.
+ * @param {number} clientX Horizontal client coordinate.
+ * @param {number} clientY Vertical client coordinate.
+ * @returns {H5P.ThreeJS.Vector3} Direction.
+ */
+const getDirectionAt = (viewer, clientX, clientY) => {
+  const zoomControls = viewer.zoomControls;
+
+  return zoomControls.getDirectionAt(
+    zoomControls.getPointFromClient(clientX, clientY)
+  );
+};
+
+/**
+ * Record zoom percentages of zoomchange events.
+ * @param {H5P.NDLAThreeSixty} viewer Viewer.
+ * @returns {number[]} Percentages.
+ */
+const recordZoomChanges = (viewer) => {
+  const changes = [];
+  viewer.on('zoomchange', (event) => {
+    changes.push(event.data.zoom);
+  });
+
+  return changes;
+};
+
+describe('ZoomControls', () => {
+  describe('zoom to point', () => {
+    it('keeps the direction under the cursor', (t) => {
+      const viewer = createZoomViewer(t);
+      const direction = getDirectionAt(viewer, 600, 100);
+      const fov = viewer.camera.fov;
+
+      turnWheel(viewer, -100, 600, 100);
+      assert.ok(viewer.camera.fov < fov);
+      assert.ok(getDirectionAt(viewer, 600, 100).distanceTo(direction) < 1e-9);
+      // Turned towards the cursor
+      const position = viewer.getCurrentPosition();
+      assert.ok(Util.getShortestAngleDelta(0, position.yaw) > 0);
+      assert.ok(position.pitch > 0);
+
+      turnWheel(viewer, 100, 600, 100);
+      assert.equal(viewer.camera.fov, fov);
+      assert.ok(getDirectionAt(viewer, 600, 100).distanceTo(direction) < 1e-9);
+
+      viewer.destroy();
+    });
+
+    it('keeps the direction between pinching pointers', (t) => {
+      const viewer = createZoomViewer(t);
+      const element = viewer.css2dRenderer.domElement;
+      const touch = { pointerType: 'touch', clientY: 300 };
+      t.mock.method(viewer.cameraControls, 'move', () => {}); // Pinch only
+
+      dispatchPointer(element, 'pointerdown', {
+        ...touch, pointerId: 1, clientX: 100
+      });
+      dispatchPointer(element, 'pointerdown', {
+        ...touch, pointerId: 2, isPrimary: false, clientX: 250
+      });
+      const direction = getDirectionAt(viewer, 200, 300);
+      const fov = viewer.camera.fov;
+
+      // Pinch center moves from 175 to 200
+      dispatchPointer(element, 'pointermove', {
+        ...touch, pointerId: 2, isPrimary: false, clientX: 300
+      });
+
+      assert.ok(viewer.camera.fov < fov);
+      assert.ok(getDirectionAt(viewer, 200, 300).distanceTo(direction) < 1e-6);
+
+      dispatchPointer(element, 'pointerup', { ...touch, pointerId: 2 });
+      dispatchPointer(element, 'pointerup', { ...touch, pointerId: 1 });
+      viewer.destroy();
+    });
+
+    it('zooms towards the center with keys', (t) => {
+      const viewer = createZoomViewer(t);
+      const fov = viewer.camera.fov;
+
+      pressKey(viewer.css2dRenderer.domElement, '+', { code: 'Equal' });
+
+      assert.ok(viewer.camera.fov < fov);
+      assertAngle(viewer.getCurrentPosition().yaw, 0);
+      assertAngle(viewer.getCurrentPosition().pitch, 0);
+
+      viewer.destroy();
+    });
+
+    it('keeps the view within the bounds', (t) => {
+      const viewer = createZoomViewer(t, {
+        isPanorama: true, horizontalCoverage: 180
+      });
+
+      for (let i = 0; i < 10; i++) {
+        turnWheel(viewer, -100, 0, 0);
+      }
+      for (let i = 0; i < 10; i++) {
+        turnWheel(viewer, 100, WIDTH, HEIGHT);
+      }
+
+      const position = viewer.getCurrentPosition();
+      const clamped = viewer.clampCameraPosition(position);
+      assertAngle(position.yaw, clamped.yaw);
+      assertAngle(position.pitch, clamped.pitch);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('zoom API', () => {
+    it('sets and gets zoom as percentage or field of view', async () => {
+      const viewer = createViewer();
+      const changes = recordZoomChanges(viewer);
+      assert.equal(viewer.getZoom(), 0);
+      assert.equal(viewer.getZoom({ unit: 'fov' }), FOV_SPHERE);
+
+      assert.equal(await viewer.setZoom(50), true);
+      assert.equal(viewer.getZoom(), 50);
+      assert.equal(viewer.camera.fov, (FOV_SPHERE + FOV_MIN) / 2);
+
+      await viewer.setZoom(30, { unit: 'fov' });
+      assert.equal(viewer.getZoom({ unit: 'fov' }), 30);
+
+      await viewer.setZoom(200);
+      assert.equal(viewer.camera.fov, FOV_MIN);
+
+      assert.deepEqual(changes, [50, 75, 100]);
+
+      viewer.destroy();
+    });
+
+    it('animates zooming if requested', async () => {
+      const viewer = createViewer();
+      viewer.startRendering();
+      runFrames();
+      const changes = recordZoomChanges(viewer);
+
+      const done = viewer.setZoom(100, { animate: true });
+      runFrames(5);
+      assert.ok(viewer.getZoom() > 0 && viewer.getZoom() < 100);
+
+      runFrames(60);
+      assert.equal(await done, true);
+      assert.equal(viewer.getZoom(), 100);
+      assert.ok(changes.length > 2);
+      assert.equal(changes.at(-1), 100);
+
+      viewer.destroy();
+    });
+
+    it('relays zooming by the user', (t) => {
+      const viewer = createZoomViewer(t);
+      const changes = recordZoomChanges(viewer);
+
+      turnWheel(viewer, -100, WIDTH / 2, HEIGHT / 2);
+
+      assert.equal(changes.length, 1);
+      assert.equal(changes[0], viewer.getZoom());
+      assert.ok(changes[0] > 0);
+
+      viewer.destroy();
+    });
+
+    it('can be turned off for the user', (t) => {
+      const viewer = createZoomViewer(t, { enableZoom: false });
+
+      turnWheel(viewer, -100, WIDTH / 2, HEIGHT / 2);
+      pressKey(viewer.css2dRenderer.domElement, '+', { code: 'Equal' });
+
+      assert.equal(viewer.getZoom(), 0);
+
+      viewer.destroy();
+    });
+  });
+
+  describe('zoom limits', () => {
+    it('are set by options', async () => {
+      const viewer = createViewer({ minFov: 30, maxFov: 60 });
+
+      assert.equal(viewer.camera.fov, 60);
+      assert.equal(viewer.getZoom(), 0);
+
+      await viewer.setZoom(100);
+      assert.equal(viewer.camera.fov, 30);
+
+      await viewer.setZoom(10, { unit: 'fov' });
+      assert.equal(viewer.camera.fov, 30);
+
+      viewer.destroy();
+    });
+
+    it('do not exceed the field of view of the scene', () => {
+      const viewer = createViewer({ maxFov: 100 });
+
+      assert.equal(viewer.zoomControls.maxFov, FOV_SPHERE);
+      assert.equal(viewer.camera.fov, FOV_SPHERE);
+
+      viewer.destroy();
+    });
+
+    it('start at the field of view of panoramas of any height', () => {
+      const viewer = createViewer({
+        isPanorama: true, horizontalCoverage: 200, verticalCoverage: 60
+      });
+
+      assert.ok(Math.abs(viewer.camera.fov - 60) < 1e-9);
+      assert.equal(viewer.zoomControls.maxFov, viewer.camera.fov);
+      assert.equal(viewer.getZoom(), 0);
+
+      viewer.destroy();
+    });
+
+    it('can be changed for a scene', async () => {
+      const viewer = createViewer();
+      const changes = recordZoomChanges(viewer);
+
+      viewer.setZoomLimits({ maxFov: 45 });
+      assert.equal(viewer.camera.fov, 45);
+      assert.equal(viewer.getZoom(), 0);
+
+      await viewer.setZoom(100);
+      viewer.setZoomLimits({ minFov: 25 });
+      assert.equal(viewer.camera.fov, 25);
+      assert.equal(viewer.zoomControls.maxFov, FOV_SPHERE);
+      assert.equal(viewer.getZoom(), 100);
+
+      // Percentage changes with the limits
+      viewer.setZoomLimits();
+      assert.equal(viewer.camera.fov, 25);
+      assert.equal(viewer.getZoom(), 83);
+
+      assert.deepEqual(changes, [100, 83]);
+
+      viewer.destroy();
+    });
+  });
+});
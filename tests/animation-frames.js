@@ -0,0 +1,53 @@
+/** @constant {number} FRAME_DURATION Duration of a frame at 60 fps in ms. */
+const FRAME_DURATION = 1000 / 60;
+
+const callbacks = new Map(); // Callbacks of requested frames by id
+let lastId = 0;
+let now = 0;
+
+/**
+ * Request animation frame, run by runFrames.
+ * @param {function} callback Callback receiving the timestamp.
+ * @returns {number} Id.
+ */
+export const requestAnimationFrame = (callback) => {
+  lastId++;
+  callbacks.set(lastId, callback);
+
+  return lastId;
+};
+
+/**
+ * Cancel requested animation frame.
+ * @param {number} id Id.
+ */
+export const cancelAnimationFrame = (id) => {
+  callbacks.delete(id);
+};
+
+/**
+ * Get time of the current frame, used as performance.now().
+ * @returns {number} Time in ms.
+ */
+export const getTime = () => now;
+
+/**
+ * Run the requested animation frames, one after the other.
+ * @param {number} [count] Number of frames.
+ * @param {number} [duration] Time passing per frame in ms.
+ */
+export const runFrames = (count = 1, duration = FRAME_DURATION) => {
+  for (let i = 0; i < count; i++) {
+    now += duration;
+
+    const requested = [...callbacks.values()];
+    callbacks.clear();
+    requested.forEach((callback) => callback(now));
+  }
+};
+
+/**
+ * Determine whether animation frames have been requested.
+ * @returns {boolean} True, if frames have been requested.
+ */
+export const hasRequestedFrames = () => callbacks.size > 0;
@@ -0,0 +1,157 @@
+import * as THREE from 'three';
+import {
+  CSS2DObject, CSS2DRenderer
+} from 'three/addons/renderers/CSS2DRenderer.js';
+import {
+  CSS3DObject, CSS3DRenderer
+} from 'three/addons/renderers/CSS3DRenderer.js';
+
+/** Event like H5P.Event of H5P core */
+class Event {
+  /**
+   * @class
+   * @param {string} type Type.
+   * @param {*} [data] Data.
+   * @param {object} [extras] Extras.
+   */
+  constructor(type, data, extras = {}) {
+    this.type = type;
+    this.data = data;
+    this.extras = extras;
+  }
+}
+
+/** Event dispatcher like H5P.EventDispatcher of H5P core */
+class EventDispatcher {
+  /**
+   * Add listener.
+   * @param {string} type Type.
+   * @param {function} listener Listener.
+   * @param {object} [thisArg] This for listener.
+   */
+  on(type, listener, thisArg) {
+    this.listeners = this.listeners ?? {};
+    this.listeners[type] = this.listeners[type] ?? [];
+    this.listeners[type].push({ listener: listener, thisArg: thisArg });
+  }
+
+  /**
+   * Add listener that is removed after its first call.
+   * @param {string} type Type.
+   * @param {function} listener Listener.
+   * @param {object} [thisArg] This for listener.
+   */
+  once(type, listener, thisArg) {
+    const wrapper = (event) => {
+      this.off(type, wrapper);
+      listener.call(thisArg ?? this, event);
+    };
+
+    this.on(type, wrapper);
+  }
+
+  /**
+   * Remove listener, all listeners of type if none given.
+   * @param {string} type Type.
+   * @param {function} [listener] Listener.
+   */
+  off(type, listener) {
+    if (!this.listeners?.[type]) {
+      return;
+    }
+
+    this.listeners[type] = listener ?
+      this.listeners[type].filter((item) => item.listener !== listener) :
+      [];
+  }
+
+  /**
+   * Trigger event.
+   * @param {string|Event} event Type or event.
+   * @param {*} [eventData] Data.
+   * @param {object} [extras] Extras.
+   */
+  trigger(event, eventData, extras) {
+    if (typeof event === 'string') {
+      event = new Event(event, eventData, extras);
+    }
+    else if (eventData !== undefined) {
+      event.data = eventData;
+    }
+
+    [...(this.listeners?.[event.type] ?? []), ...(this.listeners?.['*'] ?? [])]
+      .forEach((item) => {
+        item.listener.call(item.thisArg ?? this, event);
+      });
+  }
+}
+
+/**
+ * WebGL renderer without WebGL, which is not available in the test DOM.
+ * Keeps track of what was rendered.
+ */
+class WebGLRenderer {
+  /**
+   * @class
+   */
+  constructor() {
+    this.domElement = document.createElement('canvas');
+    this.renderCount = 0;
+    this.animationLoop = null;
+    this.xr = {
+      enabled: false,
+      setReferenceSpaceType: () => {},
+      setSession: async () => {}
+    };
+  }
+
+  /**
+   * Render scene.
+   */
+  render() {
+    this.renderCount++;
+  }
+
+  /**
+   * Set callback called every frame, null to stop.
+   * @param {function|null} callback Callback.
+   */
+  setAnimationLoop(callback) {
+    this.animationLoop = callback;
+  }
+
+  /**
+   * Set size.
+   */
+  setSize() {}
+
+  /**
+   * Release resources.
+   */
+  dispose() {}
+
+  /**
+   * Release WebGL context.
+   */
+  forceContextLoss() {}
+}
+
+/**
+ * Install H5P globals with ThreeJS like the H5P.ThreeJS library provides it.
+ */
+export const installH5P = () => {
+  globalThis.H5P = {
+    Event: Event,
+    EventDispatcher: EventDispatcher,
+    createUUID: () => crypto.randomUUID(),
+    ThreeJS: {
+      ...THREE,
+      CSS2DObject: CSS2DObject,
+      CSS2DRenderer: CSS2DRenderer,
+      CSS3DObject: CSS3DObject,
+      CSS3DRenderer: CSS3DRenderer,
+      RGBFormat: THREE.RGBAFormat, // Removed from ThreeJS after r136
+      WebGLRenderer: WebGLRenderer
+    }
+  };
+};
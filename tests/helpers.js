@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import NDLAThreeSixty from '@scripts/h5p-ndla-three-sixty';
+import Util from '@services/util';
+
+import { runFrames } from './animation-frames.js';
+
+export { hasRequestedFrames, runFrames } from './animation-frames.js';
+
+/**
+ * Create canvas to be used as source, drawn like a loaded image.
+ * @param {number} [width] Width in px.
+ * @param {number} [height] Height in px.
+ * @returns {HTMLCanvasElement} Canvas.
+ */
+export const createSource = (width = 2048, height = 1024) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  return canvas;
+};
+
+/**
+ * Read file from the fixtures directory.
+ * @param {string} name File name.
+ * @returns {ArrayBuffer} File content.
+ */
+export const readFixture = (name) => {
+  const buffer = readFileSync(new URL(`fixtures/${name}`, import.meta.url));
+
+  return buffer.buffer.slice(
+    buffer.byteOffset, buffer.byteOffset + buffer.byteLength
+  );
+};
+
+/**
+ * Create viewer with its world mesh, attached to the document.
+ * @param {object} [options] Options of the viewer.
+ * @param {HTMLElement} [source] Source, default a canvas.
+ * @returns {NDLAThreeSixty} Viewer.
+ */
+export const createViewer = (options = {}, source = createSource()) => {
+  const viewer = new NDLAThreeSixty(source, options);
+  document.body.append(viewer.getElement());
+  viewer.update();
+
+  return viewer;
+};
+
+/**
+ * Set size of element, as the test DOM does no layout.
+ * @param {HTMLElement} element Element.
+ * @param {number} width Width in px.
+ * @param {number} height Height in px.
+ */
+export const setElementSize = (element, width, height) => {
+  Object.defineProperties(element, {
+    clientWidth: { value: width, configurable: true },
+    clientHeight: { value: height, configurable: true },
+    offsetWidth: { value: width, configurable: true },
+    offsetHeight: { value: height, configurable: true }
+  });
+};
+
+/**
+ * Dispatch key down event.
+ * @param {HTMLElement} element Element to dispatch on.
+ * @param {string} key Key, e.g. 'Enter'.
+ * @param {object} [init] Further event properties, e.g. code or shiftKey.
+ * @returns {KeyboardEvent} Event.
+ */
+export const pressKey = (element, key, init = {}) => {
+  const event = new KeyboardEvent('keydown', {
+    key: key, code: key, bubbles: true, cancelable: true, ...init
+  });
+  element.dispatchEvent(event);
+
+  return event;
+};
+
+/**
+ * Dispatch pointer event.
+ * @param {HTMLElement} element Element to dispatch on.
+ * @param {string} type Type, e.g. 'pointerdown'.
+ * @param {object} [init] Further event properties, e.g. clientX or pointerId.
+ * @param {number} [init.timeStamp] Time stamp of event in ms.
+ * @returns {PointerEvent} Event.
+ */
+export const dispatchPointer = (element, type, init = {}) => {
+  const { timeStamp, ...properties } = init;
+  const event = new PointerEvent(type, {
+    pointerId: 1,
+    pointerType: 'mouse',
+    isPrimary: true,
+    bubbles: true,
+    cancelable: true,
+    ...properties
+  });
+
+  if (timeStamp !== undefined) {
+    Object.defineProperty(event, 'timeStamp', { value: timeStamp });
+  }
+
+  element.dispatchEvent(event);
+
+  return event;
+};
+
+/**
+ * Drag pointer over element, moving in steps with a frame between them.
+ * @param {HTMLElement} element Element.
+ * @param {object[]} points Points with clientX and clientY, first is start.
+ * @param {object} [init] Further event properties, e.g. pointerType.
+ */
+export const dragPointer = (element, points, init = {}) => {
+  const [start, ...moves] = points;
+  dispatchPointer(element, 'pointerdown', { ...init, ...start });
+
+  moves.forEach((point) => {
+    runFrames();
+    dispatchPointer(element, 'pointermove', { ...init, ...point });
+  });
+
+  dispatchPointer(element, 'pointerup', { ...init, ...moves.at(-1) ?? start });
+};
+
+/**
+ * Keep track of event listeners added to targets and not removed since.
+ * @param {object} t Test context.
+ * @param {EventTarget[]} targets Targets.
+ * @returns {function} Function returning the number of listeners.
+ */
+export const trackListeners = (t, targets) => {
+  const listeners = new Set();
+
+  targets.forEach((target) => {
+    const getKey = (type, listener, options) => {
+      const capture = (typeof options === 'boolean') ?
+        options :
+        !!options?.capture;
+
+      return [target, type, listener, capture];
+    };
+
+    const find = (key) => [...listeners].find((item) => {
+      return item.every((value, index) => value === key[index]);
+    });
+
+    const addEventListener = target.addEventListener;
+    t.mock.method(target, 'addEventListener', function (...args) {
+      if (!find(getKey(...args))) {
+        listeners.add(getKey(...args));
+      }
+      return addEventListener.apply(this, args);
+    });
+
+    const removeEventListener = target.removeEventListener;
+    t.mock.method(target, 'removeEventListener', function (...args) {
+      listeners.delete(find(getKey(...args)));
+      return removeEventListener.apply(this, args);
+    });
+  });
+
+  return () => listeners.size;
+};
+
+/**
+ * Assert that two angles are equal, apart from full turns and rounding.
+ * @param {number} actual Actual angle in radians.
+ * @param {number} expected Expected angle in radians.
+ */
+export const assertAngle = (actual, expected) => {
+  assert.ok(
+    Math.abs(Util.getShortestAngleDelta(actual, expected)) < 1e-9,
+    `Expected angle ${expected}, got ${actual}`
+  );
+};
@@ -0,0 +1,35 @@
+/** @constant {object} ALIASES Import aliases as set in webpack.config.js. */
+const ALIASES = {
+  '@mixins/': 'src/scripts/mixins/',
+  '@scripts/': 'src/scripts/',
+  '@services/': 'src/scripts/services/',
+  '@styles/': 'src/styles/'
+};
+
+/** @constant {URL} ROOT Root directory of the repository. */
+const ROOT = new URL('../', import.meta.url);
+
+/**
+ * Resolve the import aliases of the source like webpack does, including
+ * the omitted file extension.
+ * @param {string} specifier Import specifier.
+ * @param {object} context Context.
+ * @param {function} nextResolve Next resolve hook.
+ * @returns {Promise<object>} Resolved module.
+ */
+export const resolve = (specifier, context, nextResolve) => {
+  const alias = Object.keys(ALIASES).find((alias) => {
+    return specifier.startsWith(alias);
+  });
+
+  if (!alias) {
+    return nextResolve(specifier, context);
+  }
+
+  let path = `${ALIASES[alias]}${specifier.substring(alias.length)}`;
+  if (!/\.[a-z]+$/.test(path)) {
+    path = `${path}.js`;
+  }
+
+  return nextResolve(new URL(path, ROOT).href, context);
+};
@@ -0,0 +1,47 @@
+import { register } from 'node:module';
+import { JSDOM } from 'jsdom';
+import {
+  cancelAnimationFrame, getTime, requestAnimationFrame
+} from './animation-frames.js';
+import { installH5P } from './h5p.js';
+
+/*
+ * Set up the browser environment of H5P for tests: the source's import
+ * aliases, a DOM with frames run on demand and the H5P globals.
+ */
+register('./loader.js', import.meta.url);
+
+const { window } = new JSDOM('<!DOCTYPE html><body></body>');
+
+window.requestAnimationFrame = requestAnimationFrame;
+window.cancelAnimationFrame = cancelAnimationFrame;
+
+// Pointer capture is not part of the test DOM
+window.Element.prototype.setPointerCapture = function (pointerId) {
+  this.capturedPointers = (this.capturedPointers ?? new Set()).add(pointerId);
+};
+window.Element.prototype.releasePointerCapture = function (pointerId) {
+  this.capturedPointers?.delete(pointerId);
+};
+window.Element.prototype.hasPointerCapture = function (pointerId) {
+  return !!this.capturedPointers?.has(pointerId);
+};
+
+// Let tests mock timers
+window.setTimeout = (...args) => globalThis.setTimeout(...args);
+window.clearTimeout = (...args) => globalThis.clearTimeout(...args);
+
+globalThis.window = window;
+[
+  'document', 'navigator', 'requestAnimationFrame', 'cancelAnimationFrame',
+  'HTMLElement', 'HTMLCanvasElement', 'HTMLImageElement', 'HTMLVideoElement',
+  'KeyboardEvent', 'PointerEvent', 'FocusEvent', 'WheelEvent'
+].forEach((name) => {
+  Object.defineProperty(globalThis, name, {
+    value: window[name], configurable: true, writable: true
+  });
+});
+
+performance.now = getTime;
+
+installH5P();